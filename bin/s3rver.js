@@ -35,6 +35,26 @@ function parseConfigureBucket(bucketName, memo = []) {
   return memo;
 }
 
+// group repeated --account options into accounts with multiple key pairs
+function parseAccount(value, memo = []) {
+  const [id, displayName, accessKeyId, ...secretAccessKey] = value.split(':');
+  if (!id || !displayName || !accessKeyId || !secretAccessKey.length) {
+    throw new Error(
+      `invalid account "${value}": expected id:name:accessKey:secret`,
+    );
+  }
+  let account = memo.find(account => account.id === id);
+  if (!account) {
+    account = { id, displayName, accessKeys: [] };
+    memo.push(account);
+  }
+  account.accessKeys.push({
+    accessKeyId,
+    secretAccessKey: secretAccessKey.join(':'),
+  });
+  return memo;
+}
+
 program
   .storeOptionsAsProperties(true)
   .usage('-d <path> [options]')
@@ -69,7 +89,35 @@ program
     '--allow-mismatched-signatures',
     'Prevent SignatureDoesNotMatch errors for all well-formed signatures',
   )
+  .option(
+    '--max-allowed-skew <ms>',
+    'Maximum difference in milliseconds between the time of a signed request and the server',
+    Number,
+    S3rver.defaultOptions.maxAllowedSkew,
+  )
+  .option(
+    '--min-part-size <bytes>',
+    'Minimum size in bytes of every part of a multipart upload except the last',
+    Number,
+    S3rver.defaultOptions.minPartSize,
+  )
+  .option(
+    '--lifecycle-interval <ms>',
+    'Interval in milliseconds at which bucket lifecycle rules are applied, or 0 to disable',
+    Number,
+    S3rver.defaultOptions.lifecycleInterval,
+  )
   .option('--no-vhost-buckets', 'Disables vhost-style access for all buckets')
+  .option(
+    '--account <id:name:accessKey:secret>',
+    'Account and access key pair to accept requests from (repeat for multiple accounts or key pairs)',
+    parseAccount,
+  )
+  .option(
+    '--accounts-file <path>',
+    'Path to a JSON file listing accounts and their access key pairs',
+    fs.readJsonSync,
+  )
   // NOTE: commander doesn't actually support options with multiple parts,
   // we must manually parse this option
   .option(
@@ -86,11 +134,15 @@ program.on('--help', () => {
   console.log(
     '  $ s3rver -d /tmp/s3rver --configure-bucket test-bucket ./cors.xml ./website.xml',
   );
+  console.log(
+    '  $ s3rver -d /tmp/s3rver --account 111122223333:alice:AKIDALICE:alicesecret',
+  );
 });
 
 program.action(async command => {
-  const { configureBucket, ...opts } = command.opts();
+  const { configureBucket, account, accountsFile, ...opts } = command.opts();
   opts.configureBuckets = configureBucket;
+  opts.accounts = [...(accountsFile || []), ...(account || [])];
   const { address, port } = await new S3rver(opts).run();
   console.log();
   console.log('S3rver listening on %s:%d', address, port);
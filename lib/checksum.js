@@ -0,0 +1,302 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { Transform } = require('stream');
+
+const S3Error = require('./models/error');
+
+/*
+ * Checksums
+ * Additional checksums that clients can specify with x-amz-checksum-* headers or trailers to
+ * verify the integrity of uploads. Checksums are sent and returned base64-encoded.
+ * https://docs.aws.amazon.com/AmazonS3/latest/userguide/checking-object-integrity.html
+ */
+
+exports.ALGORITHMS = ['CRC32', 'CRC32C', 'CRC64NVME', 'SHA1', 'SHA256'];
+
+/**
+ * Algorithms whose checksums of multipart objects are of their full content rather than composite
+ * checksums of their parts, since S3 only supports full object checksums for them.
+ */
+exports.FULL_OBJECT_ALGORITHMS = ['CRC64NVME'];
+
+const DIGEST_LENGTHS = {
+  CRC32: 4,
+  CRC32C: 4,
+  CRC64NVME: 8,
+  SHA1: 20,
+  SHA256: 32,
+};
+
+const CRC32_TABLE = createCRC32Table(0xedb88320);
+const CRC32C_TABLE = createCRC32Table(0x82f63b78);
+const CRC64NVME_TABLE = createCRC64Table(0x9a6c9329, 0xac4bc9b5);
+
+/**
+ * Gets the name of the header specifying a checksum of the given algorithm.
+ *
+ * @param {string} algorithm
+ */
+exports.getChecksumHeader = function(algorithm) {
+  return `x-amz-checksum-${algorithm.toLowerCase()}`;
+};
+
+/**
+ * Validates the value of a header naming a checksum algorithm, returning the algorithm in
+ * uppercase.
+ *
+ * @param {string} value
+ * @param {string} headerName
+ */
+exports.parseChecksumAlgorithm = function(value, headerName) {
+  const algorithm = String(value).toUpperCase();
+  if (!exports.ALGORITHMS.includes(algorithm)) {
+    throw new S3Error(
+      'InvalidRequest',
+      `Value for ${headerName} header is invalid.`,
+    );
+  }
+  return algorithm;
+};
+
+/**
+ * Gets the checksum specified for a request's payload by its x-amz-checksum-* headers (or the form
+ * fields of a POST request), or by its x-amz-trailer header if the checksum follows the payload.
+ *
+ * @param {object} fields the request's headers or form fields, keyed by their lowercase names
+ * @returns {{algorithm: string, value?: string, trailer?: string}|null} where value is only
+ *   present if the checksum was given in a header or a field
+ */
+exports.getExpectedChecksum = function(fields) {
+  const trailers = (fields['x-amz-trailer'] || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase());
+  const checksums = [];
+  for (const algorithm of exports.ALGORITHMS) {
+    const name = exports.getChecksumHeader(algorithm);
+    if (fields[name] !== undefined) {
+      const value = fields[name];
+      if (!isValidChecksum(algorithm, value)) {
+        throw new S3Error(
+          'InvalidRequest',
+          `Value for ${name} header is invalid.`,
+        );
+      }
+      checksums.push({ algorithm, value });
+    }
+    if (trailers.includes(name)) {
+      checksums.push({ algorithm, trailer: name });
+    }
+  }
+  if (checksums.length > 1) {
+    throw new S3Error(
+      'InvalidRequest',
+      'Expecting a single x-amz-checksum- header. Multiple checksum Types are not allowed.',
+    );
+  }
+
+  const [checksum = null] = checksums;
+  const sdkAlgorithm = fields['x-amz-sdk-checksum-algorithm'];
+  if (sdkAlgorithm !== undefined) {
+    const algorithm = exports.parseChecksumAlgorithm(
+      sdkAlgorithm,
+      'x-amz-sdk-checksum-algorithm',
+    );
+    if (!checksum) {
+      throw new S3Error(
+        'InvalidRequest',
+        'x-amz-sdk-checksum-algorithm specified, but no corresponding x-amz-checksum-* or ' +
+          'x-amz-trailer headers were found.',
+      );
+    }
+    if (checksum.algorithm !== algorithm) {
+      throw new S3Error(
+        'InvalidRequest',
+        'Value for x-amz-sdk-checksum-algorithm header is invalid.',
+      );
+    }
+  }
+  return checksum;
+};
+
+/**
+ * Creates a hash calculating a checksum.
+ *
+ * @param {string} algorithm
+ * @returns {{update: function(Buffer), digest: function(string=)}}
+ */
+exports.createChecksumHash = function(algorithm) {
+  switch (algorithm) {
+    case 'SHA1':
+    case 'SHA256':
+      return createHash(algorithm.toLowerCase());
+    case 'CRC32':
+      return new CRC32Hash(CRC32_TABLE);
+    case 'CRC32C':
+      return new CRC32Hash(CRC32C_TABLE);
+    case 'CRC64NVME':
+      return new CRC64Hash(CRC64NVME_TABLE);
+  }
+  throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+};
+
+/**
+ * Calculates the checksum of a multipart object from the checksums of its parts, which like S3 is
+ * the checksum of the concatenated part checksums, followed by the number of parts.
+ *
+ * @param {string} algorithm
+ * @param {string[]} partChecksums
+ */
+exports.getCompositeChecksum = function(algorithm, partChecksums) {
+  const hash = exports.createChecksumHash(algorithm);
+  for (const checksum of partChecksums) {
+    hash.update(Buffer.from(checksum, 'base64'));
+  }
+  return `${hash.digest('base64')}-${partChecksums.length}`;
+};
+
+/**
+ * Calculates the checksum of some content while it's being read. If the content doesn't match the
+ * expected checksum, the returned stream errors with BadDigest once the content ends.
+ *
+ * @param {stream.Readable|Buffer} content
+ * @param {string} algorithm
+ * @param {string|Function} [expected] the expected checksum, or a function returning it once the
+ *   content has been read when it's sent in a trailer
+ * @param {Function} callback called with the calculated checksum once the content is verified
+ * @returns {stream.Readable|Buffer}
+ */
+exports.verifyChecksum = function(content, algorithm, expected, callback) {
+  const hash = exports.createChecksumHash(algorithm);
+  const verify = () => {
+    const checksum = hash.digest('base64');
+    const expectedChecksum =
+      typeof expected === 'function' ? expected() : expected;
+    if (expectedChecksum !== undefined && expectedChecksum !== checksum) {
+      throw new S3Error(
+        'BadDigest',
+        `The ${algorithm} you specified did not match the calculated checksum.`,
+      );
+    }
+    callback(checksum);
+  };
+
+  if (Buffer.isBuffer(content)) {
+    hash.update(content);
+    verify();
+    return content;
+  }
+  const verifier = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      try {
+        verify();
+      } catch (err) {
+        return callback(err);
+      }
+      callback();
+    },
+  });
+  // only start reading the content once the verifier is read from, so that its consumer is
+  // listening for any errors before they can occur
+  content.once('error', err => verifier.destroy(err));
+  verifier.once('resume', () => content.pipe(verifier));
+  return verifier;
+};
+
+function isValidChecksum(algorithm, value) {
+  return (
+    /^[A-Za-z0-9+/]*={0,2}$/.test(value) &&
+    Buffer.from(value, 'base64').length === DIGEST_LENGTHS[algorithm]
+  );
+}
+
+class CRC32Hash {
+  constructor(table) {
+    this.table = table;
+    this.crc = 0xffffffff;
+  }
+
+  update(data) {
+    let crc = this.crc;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    this.crc = crc;
+    return this;
+  }
+
+  digest(encoding) {
+    const digest = Buffer.alloc(4);
+    digest.writeUInt32BE((this.crc ^ 0xffffffff) >>> 0);
+    return encoding ? digest.toString(encoding) : digest;
+  }
+}
+
+/**
+ * CRC64 hash, with the 64-bit CRC split into high and low 32-bit halves since bitwise operations
+ * on numbers are limited to 32 bits.
+ */
+class CRC64Hash {
+  constructor([highTable, lowTable]) {
+    this.highTable = highTable;
+    this.lowTable = lowTable;
+    this.high = 0xffffffff;
+    this.low = 0xffffffff;
+  }
+
+  update(data) {
+    let { high, low } = this;
+    for (let i = 0; i < data.length; i++) {
+      const index = (low ^ data[i]) & 0xff;
+      low = ((low >>> 8) | (high << 24)) ^ this.lowTable[index];
+      high = (high >>> 8) ^ this.highTable[index];
+    }
+    this.high = high;
+    this.low = low;
+    return this;
+  }
+
+  digest(encoding) {
+    const digest = Buffer.alloc(8);
+    digest.writeUInt32BE((this.high ^ 0xffffffff) >>> 0, 0);
+    digest.writeUInt32BE((this.low ^ 0xffffffff) >>> 0, 4);
+    return encoding ? digest.toString(encoding) : digest;
+  }
+}
+
+function createCRC32Table(polynomial) {
+  const table = new Int32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ polynomial : crc >>> 1;
+    }
+    table[i] = crc;
+  }
+  return table;
+}
+
+function createCRC64Table(polynomialHigh, polynomialLow) {
+  const highTable = new Uint32Array(256);
+  const lowTable = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let high = 0;
+    let low = i;
+    for (let bit = 0; bit < 8; bit++) {
+      const carry = low & 1;
+      low = (low >>> 1) | ((high & 1) << 31);
+      high = high >>> 1;
+      if (carry) {
+        high ^= polynomialHigh;
+        low ^= polynomialLow;
+      }
+    }
+    highTable[i] = high;
+    lowTable[i] = low;
+  }
+  return [highTable, lowTable];
+}
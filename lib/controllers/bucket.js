@@ -1,14 +1,20 @@
 'use strict';
 
 const crypto = require('crypto');
+const xmlParser = require('fast-xml-parser');
+const { camelCase } = require('lodash');
 
-const { DUMMY_ACCOUNT } = require('../models/account');
 const S3Error = require('../models/error');
 const {
+  S3AccessControlPolicy,
   S3CorsConfiguration,
+  S3LifecycleConfiguration,
+  S3ObjectLockConfiguration,
+  S3VersioningConfiguration,
   S3WebsiteConfiguration,
 } = require('../models/config');
-const { utf8BodyParser } = require('../utils');
+const S3BucketPolicy = require('../models/policy');
+const { utf8BodyParser } = require('../signature/payload');
 
 function generateContinuationToken(bucket, keyName, region) {
   const key = Buffer.alloc(8, 'S3RVER', 'utf8');
@@ -47,10 +53,48 @@ exports.bucketExists = async function bucketExists(ctx, next) {
       BucketName: bucketName,
     });
   }
+  const expectedOwner = ctx.get('x-amz-expected-bucket-owner');
+  if (expectedOwner && expectedOwner !== bucket.owner.id) {
+    throw new S3Error('AccessDenied', 'Access Denied');
+  }
   ctx.bucket = bucket;
   if (next) await next();
 };
 
+/**
+ * Validates the max-keys parameter of a listing, or another parameter limiting its length, which
+ * is capped at 1000.
+ *
+ * @param {string} value
+ * @param {string} [argumentName]
+ */
+function parseMaxKeys(value, argumentName = 'max-keys') {
+  if (!value.match(/^-?\d+$/)) {
+    throw new S3Error(
+      'InvalidArgument',
+      `Provided ${argumentName} not an integer or within integer range`,
+      {
+        ArgumentName: argumentName,
+        ArgumentValue: value,
+      },
+    );
+  }
+  const maxKeys = Number(value);
+  if (maxKeys < 0 || maxKeys > 2147483647) {
+    throw new S3Error(
+      'InvalidArgument',
+      `Argument ${camelCase(
+        argumentName,
+      )} must be an integer between 0 and 2147483647`,
+      {
+        ArgumentName: camelCase(argumentName),
+        ArgumentValue: maxKeys,
+      },
+    );
+  }
+  return Math.min(1000, maxKeys);
+}
+
 /*
  * Operations on Buckets
  * The following methods correspond to operations you can perform on Amazon S3 buckets.
@@ -76,6 +120,7 @@ exports.METHODS = [
   'requestPayment',
   'tagging',
   'uploads',
+  'versioning',
   'versions',
   'website',
 ];
@@ -87,10 +132,10 @@ exports.METHODS = [
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketDELETE.html}
  */
 exports.deleteBucket = async function deleteBucket(ctx) {
-  const { objects } = await ctx.store.listObjects(ctx.params.bucket, {
+  const { versions } = await ctx.store.listObjectVersions(ctx.params.bucket, {
     maxKeys: 1,
   });
-  if (objects.length) {
+  if (versions.length) {
     throw new S3Error(
       'BucketNotEmpty',
       'The bucket your tried to delete is not empty',
@@ -111,6 +156,28 @@ exports.deleteBucketCors = async function deleteBucketCors(ctx) {
   ctx.body = '';
 };
 
+/**
+ * DELETE Bucket lifecycle
+ * Deletes the lifecycle configuration from the specified bucket, after which its rules are no
+ * longer applied.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_DeleteBucketLifecycle.html}
+ */
+exports.deleteBucketLifecycle = async function deleteBucketLifecycle(ctx) {
+  await ctx.store.deleteSubresource(ctx.params.bucket, undefined, 'lifecycle');
+  ctx.status = 204;
+};
+
+/**
+ * DELETE Bucket policy
+ * This implementation of the DELETE operation uses the policy subresource to delete the policy of
+ * a specified bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketDELETEpolicy.html}
+ */
+exports.deleteBucketPolicy = async function deleteBucketPolicy(ctx) {
+  await ctx.store.deleteSubresource(ctx.params.bucket, undefined, 'policy');
+  ctx.status = 204;
+};
+
 /**
  * DELETE Bucket website
  * This operation removes the website configuration for a bucket. Amazon S3
@@ -142,28 +209,7 @@ exports.getBucket = async function getBucket(ctx) {
     fetchOwner: undefined,
   };
   if (ctx.query['max-keys']) {
-    if (!ctx.query['max-keys'].match(/^-?\d+$/)) {
-      throw new S3Error(
-        'InvalidArgument',
-        'Provided max-keys not an integer or within integer range',
-        {
-          ArgumentName: 'max-keys',
-          ArgumentValue: ctx.query['max-keys'],
-        },
-      );
-    }
-    const maxKeys = Number(ctx.query['max-keys']);
-    if (maxKeys < 0 || maxKeys > 2147483647) {
-      throw new S3Error(
-        'InvalidArgument',
-        'Argument maxKeys must be an integer between 0 and 2147483647',
-        {
-          ArgumentName: 'maxKeys',
-          ArgumentValue: maxKeys,
-        },
-      );
-    }
-    options.maxKeys = Math.min(1000, maxKeys);
+    options.maxKeys = parseMaxKeys(ctx.query['max-keys']);
   }
   switch (ctx.query['list-type']) {
     case '2':
@@ -233,6 +279,8 @@ exports.getBucket = async function getBucket(ctx) {
       result.objects.length,
       ctx.params.bucket,
     );
+    // objects are owned by the bucket owner, whoever lists them
+    const { owner } = ctx.bucket;
     ctx.body = {
       ListBucketResult: {
         '@': { xmlns: 'http://doc.s3.amazonaws.com/2006-03-01/' },
@@ -270,8 +318,8 @@ exports.getBucket = async function getBucket(ctx) {
           Size: object.size,
           Owner: options.fetchOwner
             ? {
-                ID: DUMMY_ACCOUNT.id,
-                DisplayName: DUMMY_ACCOUNT.displayName,
+                ID: owner.id,
+                DisplayName: owner.displayName,
               }
             : undefined,
           StorageClass: 'STANDARD',
@@ -291,6 +339,24 @@ exports.getBucket = async function getBucket(ctx) {
   }
 };
 
+/**
+ * GET Bucket acl
+ * This implementation of the GET operation uses the acl subresource to return the access control
+ * list (ACL) of a bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketGETacl.html}
+ */
+exports.getBucketAcl = async function getBucketAcl(ctx) {
+  const acl = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'acl',
+  );
+  ctx.type = 'application/xml';
+  ctx.body = (
+    acl || S3AccessControlPolicy.fromCannedACL('private', ctx.bucket.owner)
+  ).toXML();
+};
+
 /**
  * GET Bucket cors
  * Returns the cors configuration information set for the bucket.
@@ -313,6 +379,30 @@ exports.getBucketCors = async function getBucketCors(ctx) {
   ctx.body = config.toXML();
 };
 
+/**
+ * GET Bucket lifecycle configuration
+ * Returns the lifecycle configuration information set on the bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetBucketLifecycleConfiguration.html}
+ */
+exports.getBucketLifecycleConfiguration = async function getBucketLifecycleConfiguration(
+  ctx,
+) {
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'lifecycle',
+  );
+  if (!config) {
+    throw new S3Error(
+      'NoSuchLifecycleConfiguration',
+      'The lifecycle configuration does not exist',
+      { BucketName: ctx.params.bucket },
+    );
+  }
+  ctx.type = 'application/xml';
+  ctx.body = config.toXML();
+};
+
 /**
  * GET Bucket location
  * This implementation of the GET operation returns the location configuration
@@ -328,6 +418,232 @@ exports.getBucketLocation = async function getBucketLocation(ctx) {
   };
 };
 
+/**
+ * GET Bucket object lock configuration
+ * Gets the Object Lock configuration for a bucket. The rule specified in the Object Lock
+ * configuration will be applied by default to every new object placed in the specified bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObjectLockConfiguration.html}
+ */
+exports.getBucketObjectLockConfiguration = async function getBucketObjectLockConfiguration(
+  ctx,
+) {
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'object-lock',
+  );
+  if (!config) {
+    throw new S3Error(
+      'ObjectLockConfigurationNotFoundError',
+      'Object Lock configuration does not exist for this bucket',
+      { BucketName: ctx.params.bucket },
+    );
+  }
+  ctx.type = 'application/xml';
+  ctx.body = config.toXML();
+};
+
+/**
+ * GET Bucket policy
+ * This implementation of the GET operation uses the policy subresource to return the policy of a
+ * specified bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketGETpolicy.html}
+ */
+exports.getBucketPolicy = async function getBucketPolicy(ctx) {
+  const policy = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'policy',
+  );
+  if (!policy) {
+    throw new S3Error(
+      'NoSuchBucketPolicy',
+      'The bucket policy does not exist',
+      { BucketName: ctx.params.bucket },
+    );
+  }
+  ctx.type = 'application/json';
+  ctx.body = JSON.stringify(policy);
+};
+
+/**
+ * List Multipart Uploads
+ * This operation lists in-progress multipart uploads, which have been initiated but not yet
+ * completed or aborted, in order of their keys and then of the times they were initiated.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListMultipartUploads.html}
+ */
+exports.getBucketUploads = async function getBucketUploads(ctx) {
+  const options = {
+    delimiter: ctx.query.delimiter || undefined,
+    keyMarker: ctx.query['key-marker'] || undefined,
+    // the upload ID marker is ignored without a key marker
+    uploadIdMarker:
+      (ctx.query['key-marker'] && ctx.query['upload-id-marker']) || undefined,
+    maxUploads: ctx.query['max-uploads']
+      ? parseMaxKeys(ctx.query['max-uploads'], 'max-uploads')
+      : 1000,
+    prefix: ctx.query.prefix || undefined,
+  };
+  ctx.logger.info(
+    'Fetched multipart uploads of bucket "%s" with options %j',
+    ctx.params.bucket,
+    options,
+  );
+  const result =
+    options.maxUploads === 0
+      ? { uploads: [], commonPrefixes: [], isTruncated: false }
+      : await ctx.store.listUploads(ctx.params.bucket, options);
+
+  // objects and uploads are owned by the bucket owner, whoever lists them
+  const { owner } = ctx.bucket;
+  const lastUpload = result.uploads[result.uploads.length - 1];
+  const lastPrefix = result.commonPrefixes[result.commonPrefixes.length - 1];
+  // the listing resumes after whichever of its last upload or common prefix comes last
+  const resumeAfterPrefix =
+    lastPrefix !== undefined && (!lastUpload || lastPrefix > lastUpload.key);
+  ctx.body = {
+    ListMultipartUploadsResult: {
+      '@': { xmlns: 'http://s3.amazonaws.com/doc/2006-03-01/' },
+      Bucket: ctx.params.bucket,
+      KeyMarker: options.keyMarker || '', // never omit
+      UploadIdMarker: options.uploadIdMarker || '', // never omit
+      NextKeyMarker: result.isTruncated
+        ? resumeAfterPrefix
+          ? lastPrefix
+          : lastUpload.key
+        : undefined,
+      NextUploadIdMarker:
+        result.isTruncated && !resumeAfterPrefix
+          ? lastUpload.uploadId
+          : undefined,
+      Delimiter: options.delimiter,
+      Prefix: options.prefix || '', // never omit
+      MaxUploads: options.maxUploads,
+      IsTruncated: result.isTruncated,
+      Upload: result.uploads.map(upload => ({
+        Key: upload.key,
+        UploadId: upload.uploadId,
+        Initiator: {
+          ID: owner.id,
+          DisplayName: owner.displayName,
+        },
+        Owner: {
+          ID: owner.id,
+          DisplayName: owner.displayName,
+        },
+        StorageClass: upload.metadata['x-amz-storage-class'] || 'STANDARD',
+        Initiated: upload.initiated.toISOString(),
+      })),
+      CommonPrefixes: result.commonPrefixes.map(prefix => ({
+        Prefix: prefix,
+      })),
+    },
+  };
+};
+
+/**
+ * GET Bucket versioning
+ * This implementation of the GET operation uses the versioning subresource to return the
+ * versioning state of a bucket. A bucket that has never been versioned returns an empty
+ * configuration.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketGETversioningStatus.html}
+ */
+exports.getBucketVersioning = async function getBucketVersioning(ctx) {
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'versioning',
+  );
+  ctx.type = 'application/xml';
+  ctx.body = (config || S3VersioningConfiguration.EMPTY).toXML();
+};
+
+/**
+ * GET Bucket Object versions
+ * You can use the versions subresource to list metadata about all of the versions of objects in a
+ * bucket. Objects that were written while the bucket was unversioned have a null version ID.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketGETVersion.html}
+ */
+exports.getBucketVersions = async function getBucketVersions(ctx) {
+  const options = {
+    delimiter: ctx.query.delimiter || undefined,
+    keyMarker: ctx.query['key-marker'] || undefined,
+    versionIdMarker: ctx.query['version-id-marker'] || undefined,
+    maxKeys: ctx.query['max-keys'] ? parseMaxKeys(ctx.query['max-keys']) : 1000,
+    prefix: ctx.query.prefix || undefined,
+  };
+  if (options.versionIdMarker && !options.keyMarker) {
+    throw new S3Error(
+      'InvalidArgument',
+      'A version-id marker cannot be specified without a key marker.',
+      {
+        ArgumentName: 'version-id-marker',
+        ArgumentValue: options.versionIdMarker,
+      },
+    );
+  }
+  ctx.logger.info(
+    'Fetched versions of bucket "%s" with options %j',
+    ctx.params.bucket,
+    options,
+  );
+  const result =
+    options.maxKeys === 0
+      ? { versions: [], commonPrefixes: [], isTruncated: false }
+      : await ctx.store.listObjectVersions(ctx.params.bucket, options);
+
+  // objects are owned by the bucket owner, whoever lists them
+  const { owner } = ctx.bucket;
+  const formatVersion = object => ({
+    Key: object.key,
+    VersionId: object.versionId,
+    IsLatest: object.isLatest,
+    LastModified: object.lastModifiedDate.toISOString(),
+    ETag: object.deleteMarker ? undefined : object.metadata.etag,
+    Size: object.deleteMarker ? undefined : object.size,
+    Owner: {
+      ID: owner.id,
+      DisplayName: owner.displayName,
+    },
+    StorageClass: object.deleteMarker ? undefined : 'STANDARD',
+  });
+  const lastVersion = result.versions[result.versions.length - 1];
+  const lastPrefix = result.commonPrefixes[result.commonPrefixes.length - 1];
+  // the listing resumes after whichever of its last version or common prefix comes last
+  const resumeAfterPrefix =
+    lastPrefix !== undefined && (!lastVersion || lastPrefix > lastVersion.key);
+  ctx.body = {
+    ListVersionsResult: {
+      '@': { xmlns: 'http://s3.amazonaws.com/doc/2006-03-01/' },
+      Name: ctx.params.bucket,
+      Prefix: options.prefix || '', // never omit
+      KeyMarker: options.keyMarker || '', // never omit
+      VersionIdMarker: options.versionIdMarker || '', // never omit
+      NextKeyMarker: result.isTruncated
+        ? resumeAfterPrefix
+          ? lastPrefix
+          : lastVersion.key
+        : undefined,
+      NextVersionIdMarker:
+        result.isTruncated && !resumeAfterPrefix
+          ? lastVersion.versionId
+          : undefined,
+      MaxKeys: options.maxKeys,
+      Delimiter: options.delimiter,
+      IsTruncated: result.isTruncated,
+      Version: result.versions
+        .filter(object => !object.deleteMarker)
+        .map(formatVersion),
+      DeleteMarker: result.versions
+        .filter(object => object.deleteMarker)
+        .map(formatVersion),
+      CommonPrefixes: result.commonPrefixes.map(prefix => ({
+        Prefix: prefix,
+      })),
+    },
+  };
+};
+
 /**
  * GET Bucket website
  * This implementation of the GET operation returns the website configuration
@@ -362,6 +678,11 @@ exports.getBucketWebsite = async function getBucketWebsite(ctx) {
  */
 exports.putBucket = async function putBucket(ctx) {
   const bucketName = ctx.params.bucket;
+  // buckets are owned by the account creating them, so anonymous requests can't create them
+  const { account } = ctx.state;
+  if (!account) {
+    throw new S3Error('AccessDenied', 'Access Denied');
+  }
   /**
    * Derived from http://docs.aws.amazon.com/AmazonS3/latest/dev/BucketRestrictions.html
    */
@@ -386,23 +707,93 @@ exports.putBucket = async function putBucket(ctx) {
       'The bucket name must be between 3 and 63 characters.',
     );
   }
+  await utf8BodyParser(ctx);
+  if (ctx.request.body && xmlParser.validate(ctx.request.body) !== true) {
+    throw new S3Error(
+      'MalformedXML',
+      'The XML you provided was not well-formed or did not validate against ' +
+        'our published schema.',
+    );
+  }
+  const { CreateBucketConfiguration: config } = ctx.request.body
+    ? xmlParser.parse(ctx.request.body)
+    : {};
+  const locationConstraint = config && config.LocationConstraint;
+
+  const acl = S3AccessControlPolicy.fromHeaders(ctx.headers, account);
   const bucket = await ctx.store.getBucket(bucketName);
-  if (bucket) {
+  if (bucket && bucket.owner.id !== account.id) {
     ctx.logger.error(
       'Error creating bucket. Bucket "%s" already exists',
       bucketName,
     );
     throw new S3Error(
       'BucketAlreadyExists',
-      'The requested bucket already exists',
+      'The requested bucket name is not available. The bucket namespace ' +
+        'is shared by all users of the system. Please select a different ' +
+        'name and try again.',
+      { BucketName: bucketName },
     );
   }
-  await ctx.store.putBucket(bucketName);
-  ctx.logger.info('Created new bucket "%s" successfully', bucketName);
+  if (bucket) {
+    // S3 only lets owners re-create their buckets in the us-east-1 region
+    if (locationConstraint && locationConstraint !== 'us-east-1') {
+      ctx.logger.error(
+        'Error creating bucket. Bucket "%s" is already owned by you',
+        bucketName,
+      );
+      throw new S3Error(
+        'BucketAlreadyOwnedByYou',
+        'Your previous request to create the named bucket succeeded and you ' +
+          'already own it.',
+        { BucketName: bucketName },
+      );
+    }
+  } else {
+    await ctx.store.putBucket(bucketName, account);
+    // Object Lock can only be enabled when creating a bucket, and requires versioning
+    if (
+      (ctx.headers['x-amz-bucket-object-lock-enabled'] || '').toLowerCase() ===
+      'true'
+    ) {
+      await ctx.store.putSubresource(
+        bucketName,
+        undefined,
+        S3VersioningConfiguration.ENABLED,
+      );
+      await ctx.store.putSubresource(
+        bucketName,
+        undefined,
+        S3ObjectLockConfiguration.ENABLED,
+      );
+    }
+    // re-creating a bucket leaves its existing ACL as it is
+    if (acl) {
+      await ctx.store.putSubresource(bucketName, undefined, acl);
+    }
+    ctx.logger.info('Created new bucket "%s" successfully', bucketName);
+  }
   ctx.set('Location', '/' + bucketName);
   ctx.body = '';
 };
 
+/**
+ * PUT Bucket acl
+ * This implementation of the PUT operation uses the acl subresource to set the permissions on an
+ * existing bucket using access control lists (ACL).
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketPUTacl.html}
+ */
+exports.putBucketAcl = async function putBucketAcl(ctx) {
+  await utf8BodyParser(ctx);
+  const acl = S3AccessControlPolicy.fromRequest(
+    ctx.request.body,
+    ctx.headers,
+    ctx.bucket.owner,
+  );
+  await ctx.store.putSubresource(ctx.params.bucket, undefined, acl);
+  ctx.body = '';
+};
+
 /**
  * PUT Bucket cors
  * Sets the cors configuration for your bucket. If the configuration exists,
@@ -416,6 +807,88 @@ exports.putBucketCors = async function putBucketCors(ctx) {
   ctx.body = '';
 };
 
+/**
+ * PUT Bucket lifecycle configuration
+ * Creates a new lifecycle configuration for the bucket or replaces an existing one. Its rules are
+ * applied periodically while the server runs.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutBucketLifecycleConfiguration.html}
+ */
+exports.putBucketLifecycleConfiguration = async function putBucketLifecycleConfiguration(
+  ctx,
+) {
+  await utf8BodyParser(ctx);
+  const config = S3LifecycleConfiguration.validate(ctx.request.body);
+  await ctx.store.putSubresource(ctx.params.bucket, undefined, config);
+  ctx.body = '';
+};
+
+/**
+ * PUT Bucket object lock configuration
+ * Places an Object Lock configuration on a bucket. Object Lock can only be enabled when a bucket
+ * is created, after which this sets the default retention of new objects.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObjectLockConfiguration.html}
+ */
+exports.putBucketObjectLockConfiguration = async function putBucketObjectLockConfiguration(
+  ctx,
+) {
+  await utf8BodyParser(ctx);
+  const config = S3ObjectLockConfiguration.validate(ctx.request.body);
+  const currentConfig = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'object-lock',
+  );
+  if (!currentConfig) {
+    throw new S3Error(
+      'InvalidBucketState',
+      'Object Lock configuration cannot be enabled on existing buckets',
+      { BucketName: ctx.params.bucket },
+    );
+  }
+  await ctx.store.putSubresource(ctx.params.bucket, undefined, config);
+  ctx.body = '';
+};
+
+/**
+ * PUT Bucket policy
+ * This implementation of the PUT operation uses the policy subresource to add to or replace a
+ * policy on a bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketPUTpolicy.html}
+ */
+exports.putBucketPolicy = async function putBucketPolicy(ctx) {
+  await utf8BodyParser(ctx);
+  const policy = S3BucketPolicy.validate(ctx.request.body, ctx.params.bucket);
+  await ctx.store.putSubresource(ctx.params.bucket, undefined, policy);
+  ctx.status = 204;
+};
+
+/**
+ * PUT Bucket versioning
+ * This implementation of the PUT operation uses the versioning subresource to set the versioning
+ * state of an existing bucket to either Enabled or Suspended. Once versioning has been enabled, a
+ * bucket can never return to an unversioned state.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTBucketPUTVersioningStatus.html}
+ */
+exports.putBucketVersioning = async function putBucketVersioning(ctx) {
+  await utf8BodyParser(ctx);
+  const config = S3VersioningConfiguration.validate(ctx.request.body);
+  const objectLock = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'object-lock',
+  );
+  if (objectLock && config.status !== 'Enabled') {
+    throw new S3Error(
+      'InvalidBucketState',
+      'An Object Lock configuration is present on this bucket, so the ' +
+        'versioning state cannot be changed.',
+      { BucketName: ctx.params.bucket },
+    );
+  }
+  await ctx.store.putSubresource(ctx.params.bucket, undefined, config);
+  ctx.body = '';
+};
+
 /**
  * PUT Bucket website
  * Sets the configuration of the website that is specified in the website
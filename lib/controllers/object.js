@@ -6,21 +6,162 @@ const xmlParser = require('fast-xml-parser');
 const he = require('he');
 const { URL } = require('url');
 
+const {
+  ALGORITHMS,
+  FULL_OBJECT_ALGORITHMS,
+  getChecksumHeader,
+  getCompositeChecksum,
+  getExpectedChecksum,
+  parseChecksumAlgorithm,
+  verifyChecksum,
+} = require('../checksum');
+const { authenticateForm } = require('../middleware/authentication');
+const { authorize } = require('../middleware/authorization');
 const { DUMMY_ACCOUNT } = require('../models/account');
 const S3Error = require('../models/error');
 const S3Event = require('../models/event');
 const S3Object = require('../models/object');
-const { TaggingConfiguration } = require('../models/config');
-const { capitalizeHeader, once, utf8BodyParser } = require('../utils');
+const {
+  S3AccessControlPolicy,
+  S3ObjectLegalHold,
+  S3ObjectRetention,
+  TaggingConfiguration,
+} = require('../models/config');
+const { getRequestContent, utf8BodyParser } = require('../signature/payload');
+const { capitalizeHeader, once } = require('../utils');
+
+/**
+ * Creates the ACL of an object being written, as specified by the x-amz-acl or x-amz-grant-*
+ * headers of the request. Objects are private to their owner by default.
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} [headers] the headers specifying the ACL, if not the request's
+ */
+function createObjectAcl(ctx, headers = ctx.headers) {
+  const owner = ctx.state.account || DUMMY_ACCOUNT;
+  return (
+    S3AccessControlPolicy.fromHeaders(headers, owner, ctx.bucket.owner) ||
+    S3AccessControlPolicy.fromCannedACL('private', owner)
+  );
+}
+
+/**
+ * Creates the Object Lock retention and legal hold of an object being written, as specified by
+ * the x-amz-object-lock-* headers of the request or else the bucket's default retention.
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} [headers] the headers specifying the lock, if not the request's
+ * @returns {Promise<Array>} the subresources to store along with the object
+ */
+async function createObjectLock(ctx, headers = ctx.headers) {
+  const retention = S3ObjectRetention.fromHeaders(headers);
+  const legalHold = S3ObjectLegalHold.fromHeaders(headers);
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'object-lock',
+  );
+  if (!config) {
+    if (retention || legalHold) {
+      throw missingObjectLockError();
+    }
+    return [];
+  }
+  return [retention || config.createDefaultRetention(), legalHold].filter(
+    Boolean,
+  );
+}
+
+/**
+ * Throws AccessDenied if a version of an object is protected by a legal hold or an unexpired
+ * retention period. Retention periods in governance mode don't apply to requesters allowed to
+ * bypass them who send the x-amz-bypass-governance-retention header.
+ *
+ * @param {Koa.Context} ctx
+ * @param {string} key
+ * @param {string} versionId
+ */
+async function checkObjectLock(ctx, key, versionId) {
+  const [retention, legalHold] = await Promise.all([
+    ctx.store.getSubresource(ctx.params.bucket, key, 'retention', versionId),
+    ctx.store.getSubresource(ctx.params.bucket, key, 'legal-hold', versionId),
+  ]);
+  const isLocked =
+    (legalHold && legalHold.status === 'ON') ||
+    (retention &&
+      retention.isActive() &&
+      !(
+        retention.mode === 'GOVERNANCE' &&
+        (await canBypassGovernanceRetention(ctx, key))
+      ));
+  if (isLocked) {
+    throw new S3Error(
+      'AccessDenied',
+      'Access Denied because object protected by object lock.',
+    );
+  }
+}
+
+async function canBypassGovernanceRetention(ctx, key) {
+  const header = ctx.headers['x-amz-bypass-governance-retention'] || '';
+  if (header.toLowerCase() !== 'true') return false;
+  await authorize(ctx, 's3:BypassGovernanceRetention', key);
+  return true;
+}
+
+/**
+ * Finds the version of an object specified by a request, throwing if it doesn't exist or is a
+ * delete marker.
+ *
+ * @param {Koa.Context} ctx
+ */
+async function findObjectVersion(ctx) {
+  const { key } = ctx.params;
+  const { versionId } = ctx.query;
+  const version = await ctx.store.findVersion(
+    ctx.params.bucket,
+    key,
+    versionId,
+  );
+  if (!version || (version.deleteMarker && versionId === undefined)) {
+    throw versionId === undefined
+      ? new S3Error('NoSuchKey', 'The specified key does not exist.', {
+          Key: key,
+        })
+      : new S3Error('NoSuchVersion', 'The specified version does not exist.', {
+          Key: key,
+          VersionId: versionId,
+        });
+  }
+  if (version.deleteMarker) {
+    throw new S3Error(
+      'MethodNotAllowed',
+      'The specified method is not allowed against this resource.',
+      { Method: ctx.method, ResourceType: 'DeleteMarker' },
+    );
+  }
+  return version;
+}
+
+async function requireObjectLock(ctx) {
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'object-lock',
+  );
+  if (!config) throw missingObjectLockError();
+}
+
+function missingObjectLockError() {
+  return new S3Error(
+    'InvalidRequest',
+    'Bucket is missing Object Lock Configuration',
+  );
+}
 
 async function xmlBodyParser(ctx) {
-  const { req } = ctx;
-  const xmlString = await new Promise((resolve, reject) => {
-    let payload = '';
-    req.on('data', data => (payload += data.toString('utf8')));
-    req.on('end', () => resolve(payload));
-    req.on('error', reject);
-  });
+  await utf8BodyParser(ctx);
+  const xmlString = ctx.request.body;
   if (xmlParser.validate(xmlString) !== true) {
     throw new S3Error(
       'MalformedXML',
@@ -33,6 +174,458 @@ async function xmlBodyParser(ctx) {
   });
 }
 
+/**
+ * Sets the x-amz-version-id header of a response if the object it refers to is versioned.
+ *
+ * @param {Koa.Context} ctx
+ * @param {string} [versionId]
+ */
+function setVersionId(ctx, versionId) {
+  if (versionId !== undefined) {
+    ctx.set('x-amz-version-id', versionId);
+  }
+}
+
+/**
+ * Sets the x-amz-checksum-* header of a response to the additional checksum of the object or part
+ * it refers to, if it has one.
+ *
+ * @param {Koa.Context} ctx
+ * @param {{algorithm: string, value: string}} [checksum]
+ */
+function setChecksum(ctx, checksum) {
+  if (checksum && checksum.value) {
+    ctx.set(getChecksumHeader(checksum.algorithm), checksum.value);
+  }
+}
+
+/**
+ * Sets the x-amz-expiration header of a response if the bucket's lifecycle configuration expires
+ * the current version of an object.
+ *
+ * @param {Koa.Context} ctx
+ * @param {S3Object} object
+ */
+async function setExpiration(ctx, object) {
+  const config = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    undefined,
+    'lifecycle',
+  );
+  if (!config) return;
+  const tagging = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    object.key,
+    'tagging',
+  );
+  const expiration = config.getExpiration(object, tagging ? tagging.tags : []);
+  if (expiration) {
+    ctx.set(
+      'x-amz-expiration',
+      `expiry-date="${expiration.date.toUTCString()}", ` +
+        `rule-id="${expiration.ruleId}"`,
+    );
+  }
+}
+
+/**
+ * Verifies the content of an upload against the checksum specified by the x-amz-checksum-* header,
+ * form field or trailer of its request, if any.
+ *
+ * @param {Koa.Context} ctx
+ * @param {stream.Readable|Buffer} content
+ * @param {object} fields the request headers or form fields
+ * @param {string} [requiredAlgorithm] the only algorithm the request may specify, whose checksum
+ *   is calculated even if the request doesn't specify one
+ * @param {Function} onChecksum called with the algorithm and the value of the checksum once it
+ *   has been calculated
+ */
+function verifyUploadChecksum(
+  ctx,
+  content,
+  fields,
+  requiredAlgorithm,
+  onChecksum,
+) {
+  const expected = getExpectedChecksum(fields);
+  if (
+    expected &&
+    requiredAlgorithm &&
+    expected.algorithm !== requiredAlgorithm
+  ) {
+    throw new S3Error(
+      'InvalidRequest',
+      'Checksum Type mismatch occurred, expected checksum Type: ' +
+        `${requiredAlgorithm.toLowerCase()}, actual checksum Type: ` +
+        expected.algorithm.toLowerCase(),
+    );
+  }
+  if (!expected) {
+    return requiredAlgorithm
+      ? verifyChecksum(content, requiredAlgorithm, undefined, value =>
+          onChecksum({ algorithm: requiredAlgorithm, value }),
+        )
+      : content;
+  }
+  return verifyChecksum(
+    content,
+    expected.algorithm,
+    expected.trailer
+      ? () => (ctx.state.trailers || {})[expected.trailer]
+      : expected.value,
+    value => onChecksum({ algorithm: expected.algorithm, value }),
+  );
+}
+
+/**
+ * Gets the multipart upload specified by the uploadId parameter of a request, which must be an
+ * upload of the request's key.
+ *
+ * @param {Koa.Context} ctx
+ */
+async function findUpload(ctx) {
+  const upload = await ctx.store.getUpload(
+    ctx.params.bucket,
+    ctx.query.uploadId,
+  );
+  if (!upload || upload.key !== ctx.params.key) {
+    throw new S3Error(
+      'NoSuchUpload',
+      'The specified upload does not exist. The upload ID may be invalid, or the upload may ' +
+        'have been aborted or completed.',
+      { UploadId: ctx.query.uploadId },
+    );
+  }
+  return upload;
+}
+
+/**
+ * Parses the x-amz-copy-source header of a request into the bucket and key of the object to copy,
+ * and the version to copy if it's followed by a versionId query parameter. The bucket and key are
+ * percent-decoded as a whole, so keys may contain any character including ? and #.
+ *
+ * @param {Koa.Context} ctx
+ * @returns {{bucket: string, key: string, versionId?: string}}
+ */
+function parseCopySource(ctx) {
+  const header = ctx.headers['x-amz-copy-source'];
+  const queryIndex = header.indexOf('?');
+  let copySource;
+  try {
+    copySource = decodeURIComponent(
+      queryIndex === -1 ? header : header.slice(0, queryIndex),
+    );
+  } catch (err) {
+    throw new S3Error('InvalidArgument', 'Invalid copy source encoding', {
+      ArgumentName: 'x-amz-copy-source',
+      ArgumentValue: header,
+    });
+  }
+  copySource = copySource.startsWith('/') ? copySource.slice(1) : copySource;
+  const [bucket, ...key] = copySource.split('/');
+  if (!bucket || !key.join('/')) {
+    throw new S3Error(
+      'InvalidArgument',
+      'Copy Source must mention the source bucket and key: sourcebucket/sourcekey',
+      { ArgumentName: 'x-amz-copy-source', ArgumentValue: header },
+    );
+  }
+  const query = new URLSearchParams(
+    queryIndex === -1 ? '' : header.slice(queryIndex + 1),
+  );
+  return {
+    bucket,
+    key: key.join('/'),
+    versionId: query.has('versionId') ? query.get('versionId') : undefined,
+  };
+}
+
+/**
+ * Evaluates conditional headers against an object in the order of precedence of RFC 7232:
+ * If-Match, or If-Unmodified-Since in its absence, followed by If-None-Match, or If-Modified-Since
+ * in its absence. If-Match uses the strong comparison, so weak ETags never match it, while
+ * If-None-Match uses the weak comparison. Invalid dates are ignored.
+ *
+ * {@link https://tools.ietf.org/html/rfc7232#section-6}
+ *
+ * @param {S3Object} object
+ * @param {object} conditions the values of the conditional headers, keyed by their names
+ * @returns {string|undefined} the name of the first condition that doesn't hold
+ */
+function evaluatePreconditions(object, conditions) {
+  const {
+    'If-Match': ifMatch,
+    'If-None-Match': ifNoneMatch,
+    'If-Modified-Since': ifModifiedSince,
+    'If-Unmodified-Since': ifUnmodifiedSince,
+  } = conditions;
+  // like S3, ignore any double quotes when comparing ETags
+  const etag = object.metadata.etag.replace(/"/g, '');
+  const matchesETag = (header, weak) =>
+    header
+      .split(',')
+      .map(value => value.trim())
+      .some(value => {
+        if (value === '*') return true;
+        if (value.startsWith('W/')) {
+          if (!weak) return false;
+          value = value.slice(2);
+        }
+        return value.replace(/"/g, '') === etag;
+      });
+  const parseDateHeader = header => {
+    const date = new Date(header);
+    return isNaN(date) ? undefined : date;
+  };
+
+  if (ifMatch !== undefined) {
+    if (!matchesETag(ifMatch, false)) return 'If-Match';
+  } else if (
+    parseDateHeader(ifUnmodifiedSince) &&
+    object.lastModifiedDate > parseDateHeader(ifUnmodifiedSince)
+  ) {
+    return 'If-Unmodified-Since';
+  }
+  if (ifNoneMatch !== undefined) {
+    if (matchesETag(ifNoneMatch, true)) return 'If-None-Match';
+  } else if (
+    parseDateHeader(ifModifiedSince) &&
+    object.lastModifiedDate <= parseDateHeader(ifModifiedSince)
+  ) {
+    return 'If-Modified-Since';
+  }
+  return undefined;
+}
+
+/**
+ * Throws PreconditionFailed unless the source object of a copy satisfies the
+ * x-amz-copy-source-if-* headers of the request.
+ *
+ * @param {Koa.Context} ctx
+ * @param {S3Object} object
+ */
+function checkCopySourcePreconditions(ctx, object) {
+  const failedCondition = evaluatePreconditions(object, {
+    'If-Match': ctx.headers['x-amz-copy-source-if-match'],
+    'If-None-Match': ctx.headers['x-amz-copy-source-if-none-match'],
+    'If-Modified-Since': ctx.headers['x-amz-copy-source-if-modified-since'],
+    'If-Unmodified-Since': ctx.headers['x-amz-copy-source-if-unmodified-since'],
+  });
+  if (failedCondition) {
+    throw new S3Error(
+      'PreconditionFailed',
+      'At least one of the pre-conditions you specified did not hold',
+      { Condition: `x-amz-copy-source-${failedCondition}` },
+    );
+  }
+}
+
+/**
+ * Gets the source object of a copy, or a range of it, after checking that the request may read it
+ * and that it satisfies the x-amz-copy-source-if-* headers of the request.
+ *
+ * @param {Koa.Context} ctx
+ * @param {{bucket: string, key: string, versionId?: string}} source
+ * @param {{start: number, end: number}} [range]
+ */
+async function getCopySource(ctx, source, range) {
+  const { bucket, key, versionId } = source;
+  if (!(await ctx.store.getBucket(bucket))) {
+    ctx.logger.error('No bucket found for "%s"', bucket);
+    throw new S3Error('NoSuchBucket', 'The specified bucket does not exist', {
+      BucketName: bucket,
+    });
+  }
+  await authorize(
+    ctx,
+    versionId === undefined ? 's3:GetObject' : 's3:GetObjectVersion',
+    key,
+    bucket,
+    versionId,
+  );
+
+  const object = await ctx.store.getObject(bucket, key, {
+    ...range,
+    versionId,
+  });
+  if (!object || (object.deleteMarker && versionId === undefined)) {
+    ctx.logger.error('Object "%s" in bucket "%s" does not exist', key, bucket);
+    throw versionId === undefined
+      ? new S3Error('NoSuchKey', 'The specified key does not exist.', {
+          Key: key,
+        })
+      : new S3Error('NoSuchVersion', 'The specified version does not exist.', {
+          Key: key,
+          VersionId: versionId,
+        });
+  }
+  if (object.deleteMarker) {
+    throw new S3Error(
+      'InvalidRequest',
+      'The source of a copy request may not specifically refer to a delete marker by version id.',
+    );
+  }
+  try {
+    checkCopySourcePreconditions(ctx, object);
+  } catch (err) {
+    if (object.content) object.content.destroy();
+    throw err;
+  }
+  return object;
+}
+
+/**
+ * Creates the precondition of a conditional write, which only replaces the current version of an
+ * object if it matches If-Match, or only creates an object that doesn't exist yet with
+ * If-None-Match: *.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/userguide/conditional-writes.html}
+ *
+ * @param {Koa.Context} ctx
+ * @returns {Function|undefined} a function that throws unless the current version of the object
+ *   it's called with (or null) satisfies the preconditions, if the request has any
+ */
+function createWritePrecondition(ctx) {
+  const ifMatch = ctx.headers['if-match'];
+  const ifNoneMatch = ctx.headers['if-none-match'];
+  if (ifNoneMatch !== undefined && ifNoneMatch !== '*') {
+    throw new S3Error(
+      'NotImplemented',
+      'A header you provided implies functionality that is not implemented',
+      { Header: 'If-None-Match' },
+    );
+  }
+  if (ifMatch === undefined && ifNoneMatch === undefined) return undefined;
+
+  return current => {
+    if (!current) {
+      if (ifMatch !== undefined) {
+        throw new S3Error('NoSuchKey', 'The specified key does not exist.', {
+          Key: ctx.params.key,
+        });
+      }
+      return;
+    }
+    const failedCondition = evaluatePreconditions(current, {
+      'If-Match': ifMatch,
+      'If-None-Match': ifNoneMatch,
+    });
+    if (failedCondition) {
+      throw new S3Error(
+        'PreconditionFailed',
+        'At least one of the pre-conditions you specified did not hold',
+        { Condition: failedCondition },
+      );
+    }
+  };
+}
+
+/**
+ * Throws unless the parts of a request to complete a multipart upload are listed in ascending
+ * order, have all been uploaded with the given ETags and checksums, and are large enough.
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} upload
+ * @param {Array<{number: number, etag: string, checksum?: string}>} parts
+ * @returns {Promise<object[]>} the uploaded parts
+ */
+async function validateParts(ctx, upload, parts) {
+  for (let i = 1; i < parts.length; i++) {
+    if (!(parts[i].number > parts[i - 1].number)) {
+      throw new S3Error(
+        'InvalidPartOrder',
+        'The list of parts was not in ascending order. The parts list must be specified in ' +
+          'order by part number.',
+        { UploadId: upload.uploadId },
+      );
+    }
+  }
+
+  const uploadedParts = new Map(
+    (
+      await ctx.store.listParts(ctx.params.bucket, upload.uploadId)
+    ).map(part => [part.number, part]),
+  );
+  for (const [i, { number, etag, checksum }] of parts.entries()) {
+    const uploadedPart = uploadedParts.get(number);
+    if (
+      !uploadedPart ||
+      uploadedPart.md5 !== etag ||
+      (checksum !== undefined &&
+        (!uploadedPart.checksum || uploadedPart.checksum.value !== checksum))
+    ) {
+      throw new S3Error(
+        'InvalidPart',
+        'One or more of the specified parts could not be found. The part may not have been ' +
+          "uploaded, or the specified entity tag may not match the part's entity tag.",
+        { UploadId: upload.uploadId, PartNumber: number, ETag: etag },
+      );
+    }
+    // every part except the last must be at least the minimum part size
+    if (i < parts.length - 1 && uploadedPart.size < ctx.app.minPartSize) {
+      throw new S3Error(
+        'EntityTooSmall',
+        'Your proposed upload is smaller than the minimum allowed size',
+        {
+          ProposedSize: uploadedPart.size,
+          MinSizeAllowed: ctx.app.minPartSize,
+          PartNumber: number,
+          ETag: etag,
+        },
+      );
+    }
+  }
+  return parts.map(({ number }) => uploadedParts.get(number));
+}
+
+/**
+ * Gets the algorithm of the checksums that the parts of a multipart upload were required to have
+ * when it was initiated, if any.
+ *
+ * @param {object} upload
+ */
+function getUploadChecksumAlgorithm(upload) {
+  const algorithm = upload.metadata['x-amz-checksum-algorithm'];
+  return algorithm && algorithm.toUpperCase();
+}
+
+/**
+ * Validates an optional query parameter that must be a non-negative integer.
+ *
+ * @param {Koa.Context} ctx
+ * @param {string} name
+ */
+function parseIntegerParam(ctx, name) {
+  const value = ctx.query[name];
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value) || Number(value) > 2147483647) {
+    throw new S3Error(
+      'InvalidArgument',
+      `Provided ${name} not an integer or within integer range`,
+      { ArgumentName: name, ArgumentValue: value },
+    );
+  }
+  return Number(value);
+}
+
+/**
+ * Validates the partNumber query parameter of a request uploading a part.
+ *
+ * @param {Koa.Context} ctx
+ * @returns {number}
+ */
+function parsePartNumber(ctx) {
+  const value = ctx.query.partNumber;
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 10000) {
+    throw new S3Error(
+      'InvalidArgument',
+      'Part number must be an integer between 1 and 10000, inclusive',
+      { ArgumentName: 'partNumber', ArgumentValue: value },
+    );
+  }
+  return Number(value);
+}
+
 function triggerS3Event(ctx, eventData) {
   ctx.app.emit(
     'event',
@@ -76,24 +669,62 @@ exports.deleteMultipleObjects = async function deleteMultipleObjects(ctx) {
         'our published schema.',
     );
   }
-  const keys = [].concat(ctx.request.body.Delete.Object).map(o => o.Key);
-  await Promise.all(
-    keys.map(async key => {
-      const objectExists = await ctx.store.existsObject(ctx.params.bucket, key);
-      if (!objectExists) return;
+  const objects = [].concat(ctx.request.body.Delete.Object).map(o => ({
+    key: o.Key,
+    versionId: o.VersionId === undefined ? undefined : String(o.VersionId),
+  }));
+  const results = await Promise.all(
+    objects.map(async ({ key, versionId }) => {
+      try {
+        await authorize(
+          ctx,
+          versionId === undefined
+            ? 's3:DeleteObject'
+            : 's3:DeleteObjectVersion',
+          key,
+        );
+        if (versionId !== undefined) {
+          await checkObjectLock(ctx, key, versionId);
+        }
+      } catch (err) {
+        if (err.code !== 'AccessDenied') throw err;
+        return {
+          Error: {
+            Key: key,
+            VersionId: versionId,
+            Code: 'AccessDenied',
+            Message: err.message,
+          },
+        };
+      }
 
-      await ctx.store.deleteObject(ctx.params.bucket, key);
+      const deleted = await ctx.store.deleteObject(
+        ctx.params.bucket,
+        key,
+        versionId,
+      );
       ctx.logger.info(
         'Deleted object "%s" in bucket "%s"',
         key,
         ctx.params.bucket,
       );
+      return {
+        Deleted: {
+          Key: key,
+          VersionId: versionId,
+          DeleteMarker: deleted.deleteMarker,
+          DeleteMarkerVersionId: deleted.deleteMarker
+            ? deleted.versionId
+            : undefined,
+        },
+      };
     }),
   );
   ctx.body = {
     DeleteResult: {
       '@': { xmlns: 'http://s3.amazonaws.com/doc/2006-03-01/' },
-      Deleted: keys.map(k => ({ Key: k })),
+      Deleted: results.filter(r => r.Deleted).map(r => r.Deleted),
+      Error: results.filter(r => r.Error).map(r => r.Error),
     },
   };
 };
@@ -107,12 +738,30 @@ exports.deleteMultipleObjects = async function deleteMultipleObjects(ctx) {
  */
 exports.deleteObject = async function deleteObject(ctx) {
   try {
-    if (await ctx.store.existsObject(ctx.params.bucket, ctx.params.key)) {
-      await ctx.store.deleteObject(ctx.params.bucket, ctx.params.key);
+    if (ctx.query.versionId !== undefined) {
+      await checkObjectLock(ctx, ctx.params.key, ctx.query.versionId);
+    }
+    const exists = await ctx.store.existsObject(
+      ctx.params.bucket,
+      ctx.params.key,
+    );
+    const { versionId, deleteMarker } = await ctx.store.deleteObject(
+      ctx.params.bucket,
+      ctx.params.key,
+      ctx.query.versionId,
+    );
+    setVersionId(ctx, versionId);
+    if (deleteMarker) {
+      ctx.set('x-amz-delete-marker', 'true');
+    }
+    if (exists || versionId !== undefined) {
       triggerS3Event(ctx, {
         bucket: ctx.params.bucket,
-        eventType: 'Delete',
-        S3Item: { key: ctx.params.key },
+        eventType:
+          deleteMarker && ctx.query.versionId === undefined
+            ? 'DeleteMarkerCreated'
+            : 'Delete',
+        S3Item: { key: ctx.params.key, versionId },
       });
     }
     ctx.status = 204;
@@ -135,7 +784,7 @@ exports.deleteObject = async function deleteObject(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectGET.html}
  */
 exports.getObject = async function getObject(ctx) {
-  const options = {};
+  const options = { versionId: ctx.query.versionId };
   if (/^bytes=/.test(ctx.headers.range)) {
     const [start, end] = ctx.headers.range.replace('bytes=', '').split('-');
     options.start = Number(start);
@@ -145,11 +794,98 @@ exports.getObject = async function getObject(ctx) {
   const key = ctx.params.key;
   const object = await ctx.store.getObject(ctx.params.bucket, key, options);
   if (!object) {
+    if (options.versionId !== undefined) {
+      throw new S3Error(
+        'NoSuchVersion',
+        'The specified version does not exist.',
+        {
+          Key: key,
+          VersionId: options.versionId,
+        },
+      );
+    }
     throw new S3Error('NoSuchKey', 'The specified key does not exist.', {
       Key: key,
     });
   }
 
+  setVersionId(ctx, object.versionId);
+  if (object.deleteMarker) {
+    ctx.set('x-amz-delete-marker', 'true');
+    if (options.versionId === undefined) {
+      throw new S3Error('NoSuchKey', 'The specified key does not exist.', {
+        Key: key,
+      });
+    }
+    throw new S3Error(
+      'MethodNotAllowed',
+      'The specified method is not allowed against this resource.',
+      { Method: ctx.method, ResourceType: 'DeleteMarker' },
+    );
+  }
+  const [retention, legalHold] = await Promise.all([
+    ctx.store.getSubresource(
+      ctx.params.bucket,
+      key,
+      'retention',
+      object.versionId,
+    ),
+    ctx.store.getSubresource(
+      ctx.params.bucket,
+      key,
+      'legal-hold',
+      object.versionId,
+    ),
+  ]);
+  if (retention) {
+    ctx.set('x-amz-object-lock-mode', retention.mode);
+    ctx.set(
+      'x-amz-object-lock-retain-until-date',
+      retention.retainUntilDate.toISOString(),
+    );
+  }
+  if (legalHold) {
+    ctx.set('x-amz-object-lock-legal-hold', legalHold.status);
+  }
+  if (options.versionId === undefined) {
+    await setExpiration(ctx, object);
+  }
+
+  // preconditions are evaluated before the range of the request
+  const failedCondition = evaluatePreconditions(object, {
+    'If-Match': ctx.headers['if-match'],
+    'If-None-Match': ctx.headers['if-none-match'],
+    'If-Modified-Since': ctx.headers['if-modified-since'],
+    'If-Unmodified-Since': ctx.headers['if-unmodified-since'],
+  });
+  if (failedCondition) {
+    if (object.content) object.content.destroy();
+    if (
+      failedCondition === 'If-Match' ||
+      failedCondition === 'If-Unmodified-Since'
+    ) {
+      throw new S3Error(
+        'PreconditionFailed',
+        'At least one of the pre-conditions you specified did not hold',
+        { Condition: failedCondition },
+      );
+    }
+    // like S3, responses to requests for unmodified objects keep the headers identifying the
+    // object's representation
+    ctx.status = 304;
+    for (const header of [
+      'etag',
+      'last-modified',
+      'cache-control',
+      'expires',
+    ]) {
+      if (object.metadata[header] !== undefined) {
+        ctx.set(capitalizeHeader(header), object.metadata[header]);
+      }
+    }
+    return;
+  }
+
   // Range request was out of range
   if (object.range && !object.content) {
     throw new S3Error(
@@ -162,20 +898,19 @@ exports.getObject = async function getObject(ctx) {
     );
   }
 
-  const noneMatch = ctx.headers['if-none-match'];
-  if (noneMatch && (noneMatch === object.metadata.etag || noneMatch === '*')) {
-    ctx.status = 304;
-    return;
-  }
-  const modifiedSince = ctx.headers['if-modified-since'];
-  if (new Date(modifiedSince) >= object.lastModifiedDate) {
-    ctx.status = 304;
-    return;
-  }
-
   ctx.set('Accept-Ranges', 'bytes');
 
+  // checksums are only returned when requested, and don't apply to parts of objects
+  const includeChecksum =
+    ctx.get('x-amz-checksum-mode') === 'ENABLED' && !object.range;
   for (const header of Object.keys(object.metadata)) {
+    if (S3Object.CHECKSUM_HEADERS.includes(header)) {
+      if (!includeChecksum) continue;
+      ctx.set(
+        'x-amz-checksum-type',
+        object.metadata[header].includes('-') ? 'COMPOSITE' : 'FULL_OBJECT',
+      );
+    }
     ctx.set(capitalizeHeader(header), object.metadata[header]);
   }
   if (object.range) {
@@ -204,29 +939,65 @@ exports.getObject = async function getObject(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectGETacl.html}
  */
 exports.getObjectAcl = async function getObjectAcl(ctx) {
-  // NOTE: This is a stub implemenatation
-  ctx.body = {
-    AccessControlPolicy: {
-      '@': { xmlns: 'http://doc.s3.amazonaws.com/2006-03-01/' },
-      Owner: {
-        ID: DUMMY_ACCOUNT.id,
-        DisplayName: DUMMY_ACCOUNT.displayName,
-      },
-      AccessControlList: {
-        Grant: {
-          Grantee: {
-            '@': {
-              'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
-              'xsi:type': 'CanonicalUser',
-            },
-            ID: 'abc',
-            DisplayName: 'You',
-          },
-        },
-        Permission: 'FULL_CONTROL',
-      },
-    },
-  };
+  const { versionId } = await findObjectVersion(ctx);
+  const acl = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    'acl',
+    versionId,
+  );
+  ctx.type = 'application/xml';
+  ctx.body = (
+    acl || S3AccessControlPolicy.fromCannedACL('private', ctx.bucket.owner)
+  ).toXML();
+};
+
+/**
+ * GET Object legal hold
+ * Gets an object's current legal hold status.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObjectLegalHold.html}
+ */
+exports.getObjectLegalHold = async function getObjectLegalHold(ctx) {
+  await requireObjectLock(ctx);
+  const { versionId } = await findObjectVersion(ctx);
+  const legalHold = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    'legal-hold',
+    versionId,
+  );
+  if (!legalHold) {
+    throw new S3Error(
+      'NoSuchObjectLockConfiguration',
+      'The specified object does not have a ObjectLock configuration',
+    );
+  }
+  ctx.type = 'application/xml';
+  ctx.body = legalHold.toXML();
+};
+
+/**
+ * GET Object retention
+ * Retrieves an object's retention settings.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObjectRetention.html}
+ */
+exports.getObjectRetention = async function getObjectRetention(ctx) {
+  await requireObjectLock(ctx);
+  const { versionId } = await findObjectVersion(ctx);
+  const retention = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    'retention',
+    versionId,
+  );
+  if (!retention) {
+    throw new S3Error(
+      'NoSuchObjectLockConfiguration',
+      'The specified object does not have a ObjectLock configuration',
+    );
+  }
+  ctx.type = 'application/xml';
+  ctx.body = retention.toXML();
 };
 
 /**
@@ -277,6 +1048,8 @@ exports.postObject = async function postObject(ctx) {
     let successRedirect;
     let successStatus = 204;
     let fileCount = 0;
+    // fields submitted before the file, keyed by their lowercase names
+    const fields = {};
 
     const busboy = new Busboy({ headers: ctx.headers });
     const finishedPromise = once(busboy, 'finish');
@@ -303,6 +1076,7 @@ exports.postObject = async function postObject(ctx) {
             // ignore everything submitted after the first 'file' field
             return;
           }
+          fields[fieldname.toLowerCase()] = value;
           switch (fieldname) {
             case 'key':
               key = value;
@@ -326,7 +1100,7 @@ exports.postObject = async function postObject(ctx) {
             case 'acl':
             case 'policy':
             case 'tagging':
-              // unimplemented
+              // applied once the file has been received
               break;
             default:
               metadata[fieldname.toLowerCase()] = value;
@@ -382,7 +1156,44 @@ exports.postObject = async function postObject(ctx) {
       );
     }
 
-    const { md5, size } = await ctx.store.putObject(object);
+    let acl;
+    let tagging;
+    let objectLock;
+    let checksum;
+    try {
+      const policy = authenticateForm(ctx, fields);
+      if (policy) {
+        policy.validate(fields, ctx.params.bucket);
+        object.content = policy.limitContentLength(object.content);
+      }
+      object.content = verifyUploadChecksum(
+        ctx,
+        object.content,
+        fields,
+        undefined,
+        result => {
+          checksum = result;
+          object.metadata[getChecksumHeader(checksum.algorithm)] =
+            checksum.value;
+        },
+      );
+      await authorize(ctx, 's3:PutObject', object.key);
+      acl = createObjectAcl(
+        ctx,
+        'acl' in fields ? { 'x-amz-acl': fields.acl } : {},
+      );
+      if ('tagging' in fields) {
+        tagging = TaggingConfiguration.validate(fields.tagging);
+      }
+      objectLock = await createObjectLock(ctx, fields);
+    } catch (err) {
+      if (!Buffer.isBuffer(object.content)) object.content.resume();
+      throw err;
+    }
+
+    const { md5, size, versionId } = await ctx.store.putObject(object, {
+      subresources: [acl, tagging, ...objectLock].filter(Boolean),
+    });
     ctx.logger.info(
       'Stored object "%s" in bucket "%s" successfully',
       object.key,
@@ -412,6 +1223,8 @@ exports.postObject = async function postObject(ctx) {
     }
 
     ctx.etag = md5;
+    setVersionId(ctx, versionId);
+    setChecksum(ctx, checksum);
 
     if (successRedirect) {
       ctx.status = 303;
@@ -459,14 +1272,32 @@ exports.postObject = async function postObject(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUT.html}
  */
 exports.putObject = async function putObject(ctx) {
+  // the headers are validated before the content is read
+  const acl = createObjectAcl(ctx);
+  const objectLock = await createObjectLock(ctx);
+  const precondition = createWritePrecondition(ctx);
   const object = new S3Object(
     ctx.params.bucket,
     ctx.params.key,
-    ctx.req,
+    getRequestContent(ctx),
     ctx.headers,
   );
+  let checksum;
+  object.content = verifyUploadChecksum(
+    ctx,
+    object.content,
+    ctx.headers,
+    undefined,
+    result => {
+      checksum = result;
+      object.metadata[getChecksumHeader(checksum.algorithm)] = checksum.value;
+    },
+  );
   try {
-    const { md5, size } = await ctx.store.putObject(object);
+    const { md5, size, versionId } = await ctx.store.putObject(object, {
+      precondition,
+      subresources: [acl, ...objectLock],
+    });
     ctx.logger.info(
       'Stored object "%s" in bucket "%s" successfully',
       object.key,
@@ -481,6 +1312,8 @@ exports.putObject = async function putObject(ctx) {
       }),
     });
     ctx.etag = md5;
+    setVersionId(ctx, versionId);
+    setChecksum(ctx, checksum);
     ctx.body = '';
   } catch (err) {
     ctx.logger.error(
@@ -502,36 +1335,22 @@ exports.putObject = async function putObject(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUT.html}
  */
 exports.putObjectCopy = async function putObjectCopy(ctx) {
-  let copySource = decodeURI(ctx.headers['x-amz-copy-source']);
-  copySource = copySource.startsWith('/') ? copySource.slice(1) : copySource;
-  let [srcBucket, ...srcKey] = copySource.split('/');
-  srcKey = srcKey.join('/');
+  const source = parseCopySource(ctx);
+  const { bucket: srcBucket, key: srcKey } = source;
 
   const destBucket = ctx.params.bucket;
   const destKey = ctx.params.key;
 
   try {
-    const bucket = await ctx.store.getBucket(srcBucket);
-    if (!bucket) {
-      ctx.logger.error('No bucket found for "%s"', srcBucket);
-      throw new S3Error('NoSuchBucket', 'The specified bucket does not exist', {
-        BucketName: srcBucket,
-      });
-    }
-
-    if (!(await ctx.store.existsObject(srcBucket, srcKey))) {
-      ctx.logger.error(
-        'Object "%s" in bucket "%s" does not exist',
-        srcKey,
-        srcBucket,
-      );
-      throw new S3Error('NoSuchKey', 'The specified key does not exist.', {
-        Key: srcKey,
-      });
-    }
     const replaceMetadata =
       ctx.headers['x-amz-metadata-directive'] === 'REPLACE';
-    if (srcBucket === destBucket && srcKey === destKey && !replaceMetadata) {
+    // copying an older version of an object over its current version is allowed
+    if (
+      srcBucket === destBucket &&
+      srcKey === destKey &&
+      source.versionId === undefined &&
+      !replaceMetadata
+    ) {
       throw new S3Error(
         'InvalidRequest',
         'This copy request is illegal because it is trying to copy an object ' +
@@ -539,13 +1358,18 @@ exports.putObjectCopy = async function putObjectCopy(ctx) {
           'website redirect location or encryption attributes.',
       );
     }
+    // ACLs and Object Lock settings aren't copied along with objects, and are validated before
+    // the source object is read
+    const acl = createObjectAcl(ctx);
+    const objectLock = await createObjectLock(ctx);
 
-    const metadata = await ctx.store.copyObject(
-      srcBucket,
-      srcKey,
+    const srcObject = await getCopySource(ctx, source);
+    const { metadata, versionId } = await ctx.store.copyObject(
+      srcObject,
       destBucket,
       destKey,
       replaceMetadata ? ctx.headers : null,
+      [acl, ...objectLock],
     );
 
     ctx.logger.info(
@@ -560,6 +1384,10 @@ exports.putObjectCopy = async function putObjectCopy(ctx) {
       eventType: 'Copy',
       S3Item: new S3Object(destBucket, destKey, null, metadata),
     });
+    setVersionId(ctx, versionId);
+    if (srcObject.versionId !== undefined) {
+      ctx.set('x-amz-copy-source-version-id', srcObject.versionId);
+    }
     ctx.body = {
       CopyObjectResult: {
         LastModified: new Date(metadata['last-modified']).toISOString(),
@@ -578,6 +1406,99 @@ exports.putObjectCopy = async function putObjectCopy(ctx) {
   }
 };
 
+/**
+ * PUT Object acl
+ * This implementation of the PUT operation uses the acl subresource to set the access control list
+ * (ACL) permissions for an object that already exists in a bucket.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTObjectPUTacl.html}
+ */
+exports.putObjectAcl = async function putObjectAcl(ctx) {
+  const { versionId } = await findObjectVersion(ctx);
+  await utf8BodyParser(ctx);
+  const currentAcl = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    'acl',
+    versionId,
+  );
+  const acl = S3AccessControlPolicy.fromRequest(
+    ctx.request.body,
+    ctx.headers,
+    currentAcl ? currentAcl.owner : ctx.bucket.owner,
+    ctx.bucket.owner,
+  );
+  await ctx.store.putSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    acl,
+    versionId,
+  );
+  ctx.body = '';
+};
+
+/**
+ * PUT Object legal hold
+ * Applies a legal hold configuration to the specified object. A legal hold prevents an object
+ * version from being deleted until it is removed, regardless of its retention period.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObjectLegalHold.html}
+ */
+exports.putObjectLegalHold = async function putObjectLegalHold(ctx) {
+  await requireObjectLock(ctx);
+  const { versionId } = await findObjectVersion(ctx);
+  await utf8BodyParser(ctx);
+  const legalHold = S3ObjectLegalHold.validate(ctx.request.body);
+  await ctx.store.putSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    legalHold,
+    versionId,
+  );
+  ctx.body = '';
+};
+
+/**
+ * PUT Object retention
+ * Places an Object Retention configuration on an object. Retention periods in compliance mode
+ * can only be extended, and those in governance mode can only be shortened or removed by
+ * requesters that bypass governance retention.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_PutObjectRetention.html}
+ */
+exports.putObjectRetention = async function putObjectRetention(ctx) {
+  await requireObjectLock(ctx);
+  const { versionId } = await findObjectVersion(ctx);
+  await utf8BodyParser(ctx);
+  const retention = S3ObjectRetention.validate(ctx.request.body);
+  const currentRetention = await ctx.store.getSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    'retention',
+    versionId,
+  );
+  if (currentRetention && currentRetention.isActive()) {
+    const isWeakened =
+      retention.retainUntilDate < currentRetention.retainUntilDate ||
+      (currentRetention.mode === 'COMPLIANCE' &&
+        retention.mode !== 'COMPLIANCE');
+    if (
+      isWeakened &&
+      (currentRetention.mode === 'COMPLIANCE' ||
+        !(await canBypassGovernanceRetention(ctx, ctx.params.key)))
+    ) {
+      throw new S3Error(
+        'AccessDenied',
+        'Access Denied because object protected by object lock.',
+      );
+    }
+  }
+  await ctx.store.putSubresource(
+    ctx.params.bucket,
+    ctx.params.key,
+    retention,
+    versionId,
+  );
+  ctx.body = '';
+};
+
 /**
  * PUT Object tagging
  * This implementation of the PUT operation uses the tagging subresource to add a set of tags
@@ -613,12 +1534,31 @@ exports.putObjectTagging = async function putObject(ctx) {
   }
 };
 
+/**
+ * Abort Multipart Upload
+ * This operation aborts a multipart upload, after which its parts are deleted and no more parts
+ * can be uploaded.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_AbortMultipartUpload.html}
+ */
+exports.abortMultipartUpload = async function abortMultipartUpload(ctx) {
+  const upload = await findUpload(ctx);
+  await ctx.store.abortUpload(ctx.params.bucket, upload.uploadId);
+  ctx.logger.info(
+    'Aborted upload %s of object "%s" in bucket "%s"',
+    upload.uploadId,
+    upload.key,
+    ctx.params.bucket,
+  );
+  ctx.status = 204;
+};
+
 /**
  * Complete Multipart Upload
  * This operation completes a multipart upload by assembling previously uploaded parts.
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadComplete.html}
  */
 exports.completeMultipartUpload = async function completeMultipartUpload(ctx) {
+  const upload = await findUpload(ctx);
   await xmlBodyParser(ctx);
   if (
     !ctx.request.body.CompleteMultipartUpload ||
@@ -635,13 +1575,52 @@ exports.completeMultipartUpload = async function completeMultipartUpload(ctx) {
     .map(part => ({
       number: Number(part.PartNumber),
       // S3 removes all double quotes when comparing etags
-      etag: part.ETag.replace(/"/g, ''),
+      etag: String(part.ETag).replace(/"/g, ''),
+      checksum: ALGORITHMS.map(algorithm => part[`Checksum${algorithm}`])
+        .filter(checksum => checksum !== undefined)
+        .map(String)[0],
     }));
+  const precondition = createWritePrecondition(ctx);
+  const uploadedParts = await validateParts(ctx, upload, parts);
+
+  // the object has a checksum if all its parts have checksums of the same algorithm, which is a
+  // composite checksum unless the store calculates it from the object's full content
+  const algorithm =
+    getUploadChecksumAlgorithm(upload) ||
+    (uploadedParts[0].checksum && uploadedParts[0].checksum.algorithm);
+  let checksum;
+  if (
+    algorithm &&
+    uploadedParts.every(
+      part => part.checksum && part.checksum.algorithm === algorithm,
+    )
+  ) {
+    checksum = FULL_OBJECT_ALGORITHMS.includes(algorithm)
+      ? { algorithm }
+      : {
+          algorithm,
+          value: getCompositeChecksum(
+            algorithm,
+            uploadedParts.map(part => part.checksum.value),
+          ),
+        };
+  }
   try {
-    const { md5, size } = await ctx.store.putObjectMultipart(
+    // the ACL and Object Lock settings were specified when initiating the upload
+    const subresources = [
+      createObjectAcl(ctx, upload.metadata),
+      ...(await createObjectLock(ctx, upload.metadata)),
+    ];
+    const {
+      md5,
+      size,
+      versionId,
+      checksum: objectChecksum,
+    } = await ctx.store.putObjectMultipart(
       ctx.params.bucket,
-      ctx.query.uploadId,
+      upload.uploadId,
       parts,
+      { checksum, precondition, subresources },
     );
     ctx.logger.info(
       'Stored object "%s" in bucket "%s" successfully',
@@ -656,12 +1635,16 @@ exports.completeMultipartUpload = async function completeMultipartUpload(ctx) {
         'content-length': size,
       }),
     });
+    setVersionId(ctx, versionId);
     ctx.body = {
       CompleteMultipartUploadResult: {
         Location: ctx.href.split('?')[0],
         Bucket: ctx.params.bucket,
         Key: ctx.params.key,
         ETag: JSON.stringify(md5),
+        ...(objectChecksum && {
+          [`Checksum${objectChecksum.algorithm}`]: objectChecksum.value,
+        }),
       },
     };
   } catch (err) {
@@ -684,6 +1667,18 @@ exports.completeMultipartUpload = async function completeMultipartUpload(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadInitiate.html}
  */
 exports.initiateMultipartUpload = async function initiateMultipartUpload(ctx) {
+  // fail early if the object's ACL or Object Lock settings are invalid
+  createObjectAcl(ctx);
+  await createObjectLock(ctx);
+  if (ctx.headers['x-amz-checksum-algorithm'] !== undefined) {
+    ctx.set(
+      'x-amz-checksum-algorithm',
+      parseChecksumAlgorithm(
+        ctx.headers['x-amz-checksum-algorithm'],
+        'x-amz-checksum-algorithm',
+      ),
+    );
+  }
   const uploadId = crypto.randomBytes(16).toString('hex');
   await ctx.store.initiateUpload(
     ctx.params.bucket,
@@ -700,6 +1695,64 @@ exports.initiateMultipartUpload = async function initiateMultipartUpload(ctx) {
   };
 };
 
+/**
+ * List Parts
+ * This operation lists the parts that have been uploaded for a specific multipart upload, in
+ * order of their part numbers.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListParts.html}
+ */
+exports.listParts = async function listParts(ctx) {
+  const upload = await findUpload(ctx);
+  const partNumberMarker = parseIntegerParam(ctx, 'part-number-marker') || 0;
+  const maxParts = Math.min(
+    1000,
+    ctx.query['max-parts'] === undefined
+      ? 1000
+      : parseIntegerParam(ctx, 'max-parts'),
+  );
+
+  const parts = (
+    await ctx.store.listParts(ctx.params.bucket, upload.uploadId)
+  ).filter(part => part.number > partNumberMarker);
+  const isTruncated = parts.length > maxParts;
+  const listedParts = parts.slice(0, maxParts);
+
+  // uploads are owned by the bucket owner, whoever lists their parts
+  const { owner } = ctx.bucket;
+  ctx.body = {
+    ListPartsResult: {
+      '@': { xmlns: 'http://s3.amazonaws.com/doc/2006-03-01/' },
+      Bucket: ctx.params.bucket,
+      Key: upload.key,
+      UploadId: upload.uploadId,
+      Initiator: {
+        ID: owner.id,
+        DisplayName: owner.displayName,
+      },
+      Owner: {
+        ID: owner.id,
+        DisplayName: owner.displayName,
+      },
+      StorageClass: upload.metadata['x-amz-storage-class'] || 'STANDARD',
+      PartNumberMarker: partNumberMarker,
+      NextPartNumberMarker: listedParts.length
+        ? listedParts[listedParts.length - 1].number
+        : undefined,
+      MaxParts: maxParts,
+      IsTruncated: isTruncated,
+      Part: listedParts.map(part => ({
+        PartNumber: part.number,
+        LastModified: part.lastModified.toISOString(),
+        ETag: JSON.stringify(part.md5),
+        ...(part.checksum && {
+          [`Checksum${part.checksum.algorithm}`]: part.checksum.value,
+        }),
+        Size: part.size,
+      })),
+    },
+  };
+};
+
 /**
  * Upload Part
  * This operation uploads a part in a multipart upload. Part numbers can be any number from 1 to
@@ -710,25 +1763,37 @@ exports.initiateMultipartUpload = async function initiateMultipartUpload(ctx) {
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/mpUploadUploadPart.html}
  */
 exports.uploadPart = async function uploadPart(ctx) {
+  const partNumber = parsePartNumber(ctx);
+  const upload = await findUpload(ctx);
+  const checksum = {};
+  const content = verifyUploadChecksum(
+    ctx,
+    getRequestContent(ctx),
+    ctx.headers,
+    getUploadChecksumAlgorithm(upload),
+    result => Object.assign(checksum, result),
+  );
   try {
     const { md5 } = await ctx.store.putPart(
       ctx.params.bucket,
-      ctx.query.uploadId,
-      ctx.query.partNumber,
-      ctx.req,
+      upload.uploadId,
+      partNumber,
+      content,
+      checksum,
     );
     ctx.logger.info(
       'Stored part %s of %s in bucket "%s" successfully',
-      ctx.query.partNumber,
+      partNumber,
       ctx.query.uploadId,
       ctx.params.bucket,
     );
     ctx.etag = md5;
+    setChecksum(ctx, checksum);
     ctx.body = '';
   } catch (err) {
     ctx.logger.error(
       'Error uploading part %s of %s to bucket "%s"',
-      ctx.query.partNumber,
+      partNumber,
       ctx.query.uploadId,
       ctx.params.bucket,
       err,
@@ -736,3 +1801,84 @@ exports.uploadPart = async function uploadPart(ctx) {
     throw err;
   }
 };
+
+/**
+ * Upload Part - Copy
+ * Uploads a part by copying data from an existing object, or a range of its bytes specified by the
+ * x-amz-copy-source-range header.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/API_UploadPartCopy.html}
+ */
+exports.uploadPartCopy = async function uploadPartCopy(ctx) {
+  const partNumber = parsePartNumber(ctx);
+  const upload = await findUpload(ctx);
+  const source = parseCopySource(ctx);
+
+  const rangeHeader = ctx.headers['x-amz-copy-source-range'];
+  let range;
+  if (rangeHeader !== undefined) {
+    const match = /^bytes=(\d+)-(\d+)$/.exec(rangeHeader);
+    if (!match || Number(match[1]) > Number(match[2])) {
+      throw new S3Error(
+        'InvalidArgument',
+        'The x-amz-copy-source-range value must be of the form bytes=first-last where first ' +
+          'and last are the zero-based offsets of the first and last bytes to copy',
+        {
+          ArgumentName: 'x-amz-copy-source-range',
+          ArgumentValue: rangeHeader,
+        },
+      );
+    }
+    range = { start: Number(match[1]), end: Number(match[2]) };
+  }
+
+  const object = await getCopySource(ctx, source, range);
+  try {
+    if (range && range.end >= object.size) {
+      throw new S3Error(
+        'InvalidArgument',
+        `Range specified is not valid for source object of size: ${object.size}`,
+        {
+          ArgumentName: 'x-amz-copy-source-range',
+          ArgumentValue: rangeHeader,
+        },
+      );
+    }
+  } catch (err) {
+    if (object.content) object.content.destroy();
+    throw err;
+  }
+
+  // parts of uploads that require checksums get the checksum of the copied data
+  const checksum = {};
+  const algorithm = getUploadChecksumAlgorithm(upload);
+  const { md5 } = await ctx.store.putPart(
+    ctx.params.bucket,
+    upload.uploadId,
+    partNumber,
+    algorithm
+      ? verifyChecksum(object.content, algorithm, undefined, value =>
+          Object.assign(checksum, { algorithm, value }),
+        )
+      : object.content,
+    checksum,
+  );
+  ctx.logger.info(
+    'Copied part %s of %s from object "%s" in bucket "%s"',
+    partNumber,
+    upload.uploadId,
+    source.key,
+    source.bucket,
+  );
+  if (object.versionId !== undefined) {
+    ctx.set('x-amz-copy-source-version-id', object.versionId);
+  }
+  ctx.body = {
+    CopyPartResult: {
+      LastModified: new Date().toISOString(),
+      ETag: JSON.stringify(md5),
+      ...(checksum.value && {
+        [`Checksum${checksum.algorithm}`]: checksum.value,
+      }),
+    },
+  };
+};
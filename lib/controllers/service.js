@@ -1,6 +1,6 @@
 'use strict';
 
-const { DUMMY_ACCOUNT } = require('../models/account');
+const S3Error = require('../models/error');
 
 /*
  * Operations on the Service
@@ -15,14 +15,21 @@ const { DUMMY_ACCOUNT } = require('../models/account');
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/RESTServiceGET.html}
  */
 exports.getService = async function getService(ctx) {
-  const buckets = await ctx.store.listBuckets();
+  // buckets are only listed for the account they belong to, so anonymous requests can't list any
+  const { account } = ctx.state;
+  if (!account) {
+    throw new S3Error('AccessDenied', 'Access Denied');
+  }
+  const buckets = (await ctx.store.listBuckets()).filter(
+    bucket => bucket.owner.id === account.id,
+  );
   ctx.logger.info('Fetched %d buckets', buckets.length);
   ctx.body = {
     ListAllMyBucketsResult: {
       '@': { xmlns: 'http://doc.s3.amazonaws.com/2006-03-01/' },
       Owner: {
-        ID: DUMMY_ACCOUNT.id,
-        DisplayName: DUMMY_ACCOUNT.displayName,
+        ID: account.id,
+        DisplayName: account.displayName,
       },
       Buckets: {
         Bucket: buckets.map(bucket => ({
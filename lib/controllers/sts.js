@@ -0,0 +1,183 @@
+'use strict';
+
+const querystring = require('querystring');
+
+const AWSAccount = require('../models/account');
+const S3Error = require('../models/error');
+
+/*
+ * Security Token Service
+ * A minimal stand-in for the STS Query API, served from the service endpoint, that issues temporary
+ * credentials for the configured accounts. There are no IAM roles, so a signed request may assume
+ * any role in its own account or in an account that trusts it, and the credentials act on behalf
+ * of that account.
+ * https://docs.aws.amazon.com/STS/latest/APIReference/welcome.html
+ */
+
+const XMLNS = 'https://sts.amazonaws.com/doc/2011-06-15/';
+
+/**
+ * Parses the parameters of a STS request, which may be given in its query string or its
+ * form-encoded body, and requires the request to be signed.
+ */
+exports.parseRequest = async function parseRequest(ctx, next) {
+  ctx.state.stsParams = {
+    ...ctx.query,
+    ...querystring.parse(ctx.request.body || ''),
+  };
+  if (!ctx.state.account) {
+    throw new S3Error(
+      'MissingAuthenticationToken',
+      'Request is missing Authentication Token',
+    );
+  }
+  await next();
+};
+
+/**
+ * AssumeRole
+ * Returns temporary credentials for the account owning the role, if it's the requester's account
+ * or an account that trusts it.
+ * {@link https://docs.aws.amazon.com/STS/latest/APIReference/API_AssumeRole.html}
+ */
+exports.assumeRole = async function assumeRole(ctx) {
+  const { RoleArn, RoleSessionName } = ctx.state.stsParams;
+  requireParam('roleArn', RoleArn);
+  requireParam('roleSessionName', RoleSessionName);
+  if (!/^[\w+=,.@-]{2,64}$/.test(RoleSessionName)) {
+    throw constraintError(
+      'roleSessionName',
+      RoleSessionName,
+      'Member must satisfy regular expression pattern: [\\w+=,.@-]*',
+    );
+  }
+  const match = /^arn:aws:iam::(\d{12}):role\/(?:[\w+=,.@-]+\/)*([\w+=,.@-]+)$/.exec(
+    RoleArn,
+  );
+  if (!match) {
+    throw new S3Error('ValidationError', `${RoleArn} is invalid`);
+  }
+  const [, accountId, roleName] = match;
+  const account = AWSAccount.findById(accountId);
+  if (!account || !account.trusts(ctx.state.account.id)) {
+    throw new S3Error(
+      'AccessDenied',
+      `User: arn:aws:iam::${ctx.state.account.id}:root is not authorized ` +
+        `to perform: sts:AssumeRole on resource: ${RoleArn}`,
+    );
+  }
+
+  const credentials = account.createSessionCredentials(
+    getDurationSeconds(ctx, 3600, 43200),
+  );
+  ctx.app.sessionAccounts.set(credentials.accessKeyId, account);
+  ctx.logger.info(
+    'Issued credentials %s for role %s',
+    credentials.accessKeyId,
+    RoleArn,
+  );
+  ctx.body = {
+    AssumeRoleResponse: {
+      '@': { xmlns: XMLNS },
+      AssumeRoleResult: {
+        Credentials: formatCredentials(credentials),
+        AssumedRoleUser: {
+          AssumedRoleId: `${credentials.accessKeyId}:${RoleSessionName}`,
+          Arn: `arn:aws:sts::${accountId}:assumed-role/${roleName}/${RoleSessionName}`,
+        },
+      },
+    },
+  };
+};
+
+/**
+ * GetSessionToken
+ * Returns temporary credentials for the account making the request.
+ * {@link https://docs.aws.amazon.com/STS/latest/APIReference/API_GetSessionToken.html}
+ */
+exports.getSessionToken = async function getSessionToken(ctx) {
+  const { account, signature } = ctx.state;
+  if (account.sessions.has(signature.accessKeyId)) {
+    throw new S3Error(
+      'AccessDenied',
+      'Cannot call GetSessionToken with session credentials',
+    );
+  }
+
+  const credentials = account.createSessionCredentials(
+    getDurationSeconds(ctx, 43200, 129600),
+  );
+  ctx.app.sessionAccounts.set(credentials.accessKeyId, account);
+  ctx.logger.info(
+    'Issued credentials %s for account %s',
+    credentials.accessKeyId,
+    account.id,
+  );
+  ctx.body = {
+    GetSessionTokenResponse: {
+      '@': { xmlns: XMLNS },
+      GetSessionTokenResult: {
+        Credentials: formatCredentials(credentials),
+      },
+    },
+  };
+};
+
+function formatCredentials(credentials) {
+  return {
+    AccessKeyId: credentials.accessKeyId,
+    SecretAccessKey: credentials.secretAccessKey,
+    SessionToken: credentials.sessionToken,
+    Expiration: credentials.expiration.toISOString(),
+  };
+}
+
+/**
+ * Validates the DurationSeconds parameter of a request, which must be at least 15 minutes.
+ *
+ * @param {Koa.Context} ctx
+ * @param {number} defaultDuration
+ * @param {number} maxDuration
+ */
+function getDurationSeconds(ctx, defaultDuration, maxDuration) {
+  const { DurationSeconds } = ctx.state.stsParams;
+  if (DurationSeconds === undefined) return defaultDuration;
+
+  const duration = Number(DurationSeconds);
+  if (!Number.isInteger(duration)) {
+    throw new S3Error(
+      'MalformedInput',
+      `Invalid value for DurationSeconds: ${DurationSeconds}`,
+    );
+  }
+  if (duration < 900) {
+    throw constraintError(
+      'durationSeconds',
+      duration,
+      'Member must have value greater than or equal to 900',
+    );
+  }
+  if (duration > maxDuration) {
+    throw constraintError(
+      'durationSeconds',
+      duration,
+      `Member must have value less than or equal to ${maxDuration}`,
+    );
+  }
+  return duration;
+}
+
+function requireParam(name, value) {
+  if (value === undefined) {
+    throw constraintError(name, null, 'Member must not be null');
+  }
+}
+
+function constraintError(name, value, constraint) {
+  return new S3Error(
+    'ValidationError',
+    '1 validation error detected: ' +
+      `Value ${value === null ? 'null' : `'${value}'`} at '${name}' ` +
+      `failed to satisfy constraint: ${constraint}`,
+  );
+}
@@ -0,0 +1,147 @@
+'use strict';
+
+/*
+ * Lifecycle
+ * Applies the lifecycle configurations of all buckets at a given time, expiring current versions,
+ * noncurrent versions and expired object delete markers, and aborting incomplete multipart
+ * uploads. Unlike S3, actions take effect as soon as they're due rather than within a day.
+ * https://docs.aws.amazon.com/AmazonS3/latest/dev/object-lifecycle-mgmt.html
+ */
+
+/**
+ * Applies the enabled lifecycle rules of every bucket in a store.
+ *
+ * @param {FilesystemStore} store
+ * @param {Date} now
+ * @param {winston.Logger} logger
+ */
+exports.runLifecycle = async function runLifecycle(store, now, logger) {
+  for (const bucket of await store.listBuckets()) {
+    const config = await store.getSubresource(
+      bucket.name,
+      undefined,
+      'lifecycle',
+    );
+    if (!config || !config.rules.some(rule => rule.enabled)) continue;
+    await expireObjects(store, bucket.name, config, now, logger);
+    await abortUploads(store, bucket.name, config, now, logger);
+  }
+};
+
+async function expireObjects(store, bucket, config, now, logger) {
+  const { versions } = await store.listObjectVersions(bucket, {});
+  const rules = config.rules.filter(rule => rule.enabled);
+
+  // versions are listed newest first for each key
+  const keys = new Map();
+  for (const version of versions) {
+    if (!keys.has(version.key)) keys.set(version.key, []);
+    keys.get(version.key).push(version);
+  }
+
+  for (const [key, [current, ...noncurrent]] of keys) {
+    if (!current.deleteMarker) {
+      const tags = await getTags(store, bucket, current);
+      const expiration = config.getExpiration(current, tags);
+      if (expiration && expiration.date <= now) {
+        await store.deleteObject(bucket, key);
+        logger.info(
+          'Lifecycle rule "%s" expired object "%s" in bucket "%s"',
+          expiration.ruleId,
+          key,
+          bucket,
+        );
+      }
+    }
+
+    let remaining = noncurrent.length;
+    for (const [i, version] of noncurrent.entries()) {
+      // a version becomes noncurrent once the next newer version is created
+      const noncurrentDate = (i ? noncurrent[i - 1] : current).lastModifiedDate;
+      const tags = await getTags(store, bucket, version);
+      const rule = rules.find(rule => {
+        const date = rule.getNoncurrentExpirationDate(noncurrentDate);
+        return (
+          date <= now &&
+          i >=
+            (rule.noncurrentVersionExpiration.newerNoncurrentVersions || 0) &&
+          rule.matches(version, tags)
+        );
+      });
+      if (!rule || (await isLocked(store, bucket, version, now))) continue;
+      await store.deleteObject(bucket, key, version.versionId);
+      remaining--;
+      logger.info(
+        'Lifecycle rule "%s" expired noncurrent version "%s" of object "%s" in bucket "%s"',
+        rule.id,
+        version.versionId,
+        key,
+        bucket,
+      );
+    }
+
+    // a delete marker is expired once every noncurrent version of its object has been deleted
+    const rule = rules.find(
+      rule =>
+        current.deleteMarker &&
+        rule.expiration &&
+        rule.expiration.expiredObjectDeleteMarker &&
+        rule.matches(current),
+    );
+    if (!remaining && rule) {
+      await store.deleteObject(bucket, key, current.versionId);
+      logger.info(
+        'Lifecycle rule "%s" removed expired delete marker of object "%s" in bucket "%s"',
+        rule.id,
+        key,
+        bucket,
+      );
+    }
+  }
+}
+
+async function abortUploads(store, bucket, config, now, logger) {
+  const rules = config.rules.filter(rule => rule.enabled);
+  const { uploads } = await store.listUploads(bucket);
+  for (const upload of uploads) {
+    const rule = rules.find(
+      rule =>
+        rule.getAbortDate(upload.initiated) <= now && rule.matches(upload),
+    );
+    if (!rule) continue;
+    await store.abortUpload(bucket, upload.uploadId);
+    logger.info(
+      'Lifecycle rule "%s" aborted upload "%s" of object "%s" in bucket "%s"',
+      rule.id,
+      upload.uploadId,
+      upload.key,
+      bucket,
+    );
+  }
+}
+
+async function getTags(store, bucket, version) {
+  if (version.deleteMarker) return [];
+  const tagging = await store.getSubresource(
+    bucket,
+    version.key,
+    'tagging',
+    version.isLatest ? undefined : version.versionId,
+  );
+  return tagging ? tagging.tags : [];
+}
+
+/**
+ * Determines whether a version is protected by a legal hold or an active retention period.
+ */
+async function isLocked(store, bucket, version, now) {
+  if (version.deleteMarker) return false;
+  const [retention, legalHold] = await Promise.all([
+    store.getSubresource(bucket, version.key, 'retention', version.versionId),
+    store.getSubresource(bucket, version.key, 'legal-hold', version.versionId),
+  ]);
+  return (
+    (legalHold !== null && legalHold.status === 'ON') ||
+    (retention !== null && retention.isActive(now))
+  );
+}
@@ -1,60 +1,37 @@
 'use strict';
 
-const { createHmac } = require('crypto');
+const { createHash } = require('crypto');
 const { mapKeys, pickBy } = require('lodash');
-const querystring = require('querystring');
 
 const AWSAccount = require('../models/account');
 const S3Error = require('../models/error');
-const { RESPONSE_HEADERS } = require('./response-header-override');
-const {
-  encodeURIComponentRFC3986,
-  parseDate,
-  parseISO8601String,
-} = require('../utils');
-
-const SUBRESOURCES = {
-  acl: 1,
-  accelerate: 1,
-  analytics: 1,
-  cors: 1,
-  lifecycle: 1,
-  delete: 1,
-  inventory: 1,
-  location: 1,
-  logging: 1,
-  metrics: 1,
-  notification: 1,
-  partNumber: 1,
-  policy: 1,
-  requestPayment: 1,
-  replication: 1,
-  restore: 1,
-  tagging: 1,
-  torrent: 1,
-  uploadId: 1,
-  uploads: 1,
-  versionId: 1,
-  versioning: 1,
-  versions: 1,
-  website: 1,
-};
+const S3PostPolicy = require('../models/post-policy');
+const { utf8BodyParser } = require('../signature/payload');
+const v2 = require('../signature/v2');
+const v4 = require('../signature/v4');
+const { parseDate } = require('../utils');
 
 /**
  * Middleware that verifies signed HTTP requests
  *
- * This also processes request and response headers specified via query params. Currently only S3
- * (V2) signatures are fully supported. V4 signatures have incomplete support.
+ * This also processes request and response headers specified via query params. Both S3 (V2) and
+ * V4 signatures are supported in either the Authorization header or the query string.
  *
  * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/RESTAuthentication.html}
  */
-module.exports = () =>
+exports = module.exports = () =>
   async function authentication(ctx, next) {
     if (ctx.state.website) {
       // skip for static website requests
       return next();
     }
 
+    const service = isSTSRequest(ctx) ? 'sts' : 's3';
+    if (service === 'sts') {
+      // the form-encoded parameters of STS requests are covered by their signature
+      await utf8BodyParser(ctx);
+    }
+
     const amzQueryHeaders = pickBy(
       mapKeys(ctx.query, (value, key) => key.toLowerCase()),
       (value, key) => key.startsWith('x-amz-'),
@@ -85,81 +62,15 @@ module.exports = () =>
       );
     }
 
-    let canonicalizedResource = ctx.mountPath || '';
-    if (ctx.params.bucket) {
-      // the following behavior is derived from the behavior of the JS aws-sdk
-      if (ctx.state.vhost) {
-        canonicalizedResource = '/' + ctx.params.bucket + canonicalizedResource;
-      } else {
-        canonicalizedResource += '/' + ctx.params.bucket;
-      }
-      if (ctx.params.key) {
-        canonicalizedResource += '/' + ctx.params.key;
-      }
-    } else {
-      canonicalizedResource += '/';
-    }
-    canonicalizedResource = canonicalizedResource
-      .split('/')
-      .map(encodeURIComponentRFC3986)
-      .join('/');
-
-    const canonicalizedQueryString = Object.entries(ctx.query)
-      .filter(
-        ([param]) =>
-          SUBRESOURCES[param] ||
-          RESPONSE_HEADERS[param] ||
-          (mechanisms.queryV4 && param.startsWith('x-amz-')),
-      )
-      .map(([param, value]) =>
-        // v2 signing doesn't encode values in the signature calculation
-        mechanisms.queryV2
-          ? [param, value].join('=')
-          : querystring.stringify({ [param]: value }),
-      )
-      .sort()
-      .join('&')
-      .replace(/=(&|$)/g, ''); // remove trailing = for empty params
-
-    const canonicalizedAmzHeaders = Object.keys(ctx.headers)
-      .filter(headerName => headerName.startsWith('x-amz-'))
-      .sort()
-      .map(
-        headerName =>
-          `${headerName}:${ctx.get(headerName).replace(/ +/g, ' ')}`,
-      );
-
-    const canonicalRequest = {
-      method:
-        ctx.method === 'OPTIONS'
-          ? ctx.get('Access-Control-Request-Method')
-          : ctx.method,
-      contentMD5: ctx.get('Content-MD5'),
-      contentType: ctx.get('Content-Type'),
-      timestamp: undefined,
-      uri: canonicalizedResource,
-      querystring: canonicalizedQueryString,
-      amzHeaders: canonicalizedAmzHeaders,
-    };
-
-    // begin parsing for each part of the signature algorithm and the rest of the canonical request
     let signature;
-    let signatureProvided;
     if (mechanisms.header) {
-      const result = parseHeader(ctx.headers);
-      ({ signature, signatureProvided } = result);
+      signature = parseHeader(ctx.headers, ctx.app.maxAllowedSkew, service);
     } else if (mechanisms.queryV2) {
-      const result = parseQueryV2(ctx.query, ctx.headers);
-      ({ signature, signatureProvided } = result);
-      // S3 signing uses expiration time as timestamp
-      canonicalRequest.timestamp = result.expires;
+      signature = v2.parseQuery(ctx.query);
     } else if (mechanisms.queryV4) {
-      const result = parseQueryV4(ctx.query, ctx.headers);
-      ({ signature, signatureProvided } = result);
-      canonicalRequest.timestamp = result.timestamp;
+      signature = v4.parseQuery(ctx.query);
     }
 
-    let stringToSign;
     const account = AWSAccount.registry.get(signature.accessKeyId);
     if (!account) {
       throw new S3Error(
@@ -168,331 +79,238 @@ module.exports = () =>
         { AWSAccessKeyId: signature.accessKeyId },
       );
     }
+    verifySecurityToken(
+      account,
+      signature.accessKeyId,
+      ctx.headers['x-amz-security-token'],
+    );
 
+    const secretAccessKey = account.accessKeys.get(signature.accessKeyId);
+    let canonicalRequest;
+    let stringToSign;
+    let signingKey;
+    let calculatedSignature;
     if (signature.version === 2) {
-      stringToSign = getStringToSign(canonicalRequest);
-
-      const signingKey = account.accessKeys.get(signature.accessKeyId);
-      const calculatedSignature = calculateSignature(
+      stringToSign = v2.getStringToSign(ctx, signature);
+      calculatedSignature = v2.calculateSignature(
         stringToSign,
-        signingKey,
-        signature.algorithm,
+        secretAccessKey,
       );
-      if (signatureProvided === calculatedSignature) {
-        ctx.state.account = account;
-      }
     } else if (signature.version === 4) {
-      // Signature version 4 calculation is unimplemeneted
-      ctx.state.account = account;
-    }
-
-    if (!ctx.state.account) {
-      if (ctx.app.allowMismatchedSignatures) {
-        ctx.state.account = account;
-      } else {
+      // the host header and any x-amz-* headers must be included in the signature
+      const headersNotSigned = Object.keys(ctx.headers).filter(
+        headerName =>
+          (headerName === 'host' ||
+            (headerName.startsWith('x-amz-') &&
+              !(headerName in amzQueryHeaders))) &&
+          !signature.signedHeaders.includes(headerName),
+      );
+      if (headersNotSigned.length) {
         throw new S3Error(
-          'SignatureDoesNotMatch',
-          'The request signature we calculated does not match the signature ' +
-            'you provided. Check your key and signing method.',
-          {
-            AWSAccessKeyId: signature.accessKeyId,
-            StringToSign: stringToSign,
-            StringToSignBytes: Buffer.from(stringToSign)
-              .toString('hex')
-              .match(/../g)
-              .join(' '),
-          },
+          'AccessDenied',
+          'There were headers present in the request which were not signed',
+          { HeadersNotSigned: headersNotSigned.join(', ') },
         );
       }
+      if (!signature.payloadHash) {
+        // only S3 sends the payload hash in a header
+        signature.payloadHash = createHash('sha256')
+          .update(ctx.request.body)
+          .digest('hex');
+      }
+      canonicalRequest = v4.getCanonicalRequest(ctx, signature);
+      stringToSign = v4.getStringToSign(canonicalRequest, signature);
+      signingKey = v4.getSigningKey(secretAccessKey, signature.credential);
+      calculatedSignature = v4.calculateSignature(stringToSign, signingKey);
     }
 
-    return next();
-  };
-
-function parseHeader(headers) {
-  const signature = {
-    version: undefined,
-    algorithm: undefined,
-    accessKeyId: undefined,
-  };
-  let signatureProvided;
-  const timestamp = headers['x-amz-date'] || headers.date;
-
-  const [algorithm, ...components] = headers.authorization.split(' ');
-  switch (algorithm.toUpperCase()) {
-    case 'AWS':
-      signature.version = 2;
-      signature.algorithm = 'sha1';
-      break;
-    case 'AWS4-HMAC-SHA256':
-      signature.version = 4;
-      signature.algorithm = 'sha256';
-      break;
-    default:
-      throw new S3Error('InvalidArgument', 'Unsupported Authorization Type', {
-        ArgumentName: 'Authorization',
-        ArgumentValue: headers.authorization,
-      });
-  }
-
-  if (signature.version === 2) {
-    if (components.length !== 1) {
-      throw new S3Error(
-        'InvalidArgument',
-        "Authorization header is invalid -- one and only one ' ' (space) required",
-        {
-          ArgumentName: 'Authorization',
-          ArgumentValue: headers.authorization,
-        },
-      );
-    }
-
-    const match = /([^:]*):([^:]+)/.exec(components[0]);
-    if (!match) {
-      throw new S3Error(
-        'InvalidArgument',
-        'AWS authorization header is invalid.  Expected AwsAccessKeyId:signature',
-        {
-          ArgumentName: 'Authorization',
-          ArgumentValue: headers.authorization,
-        },
-      );
-    }
-    signature.accessKeyId = match[1];
-    signatureProvided = match[2];
-  } else if (signature.version === 4) {
-    if (!('x-amz-content-sha256' in headers)) {
-      throw new S3Error(
-        'InvalidRequest',
-        'Missing required header for this request: x-amz-content-sha256',
-      );
-    }
     if (
-      !headers['x-amz-content-sha256'].match(
-        /UNSIGNED-PAYLOAD|STREAMING-AWS4-HMAC-SHA256-PAYLOAD|[0-9A-Fa-f]{64}/,
-      )
+      signature.signatureProvided === calculatedSignature ||
+      ctx.app.allowMismatchedSignatures
     ) {
+      ctx.state.account = account;
+      // retained for verifying the signatures of aws-chunked payloads
+      ctx.state.signature = { ...signature, signingKey };
+    } else {
       throw new S3Error(
-        'InvalidArgument',
-        'x-amz-content-sha256 must be UNSIGNED-PAYLOAD, ' +
-          'STREAMING-AWS4-HMAC-SHA256-PAYLOAD, or a valid sha256 value.',
+        'SignatureDoesNotMatch',
+        'The request signature we calculated does not match the signature ' +
+          'you provided. Check your key and signing method.',
         {
-          ArgumentName: 'x-amz-content-sha256',
-          ArgumentValue: headers['x-amz-content-sha256'],
+          AWSAccessKeyId: signature.accessKeyId,
+          StringToSign: stringToSign,
+          SignatureProvided: signature.signatureProvided,
+          StringToSignBytes: toHexBytes(stringToSign),
+          ...(canonicalRequest && {
+            CanonicalRequest: canonicalRequest,
+            CanonicalRequestBytes: toHexBytes(canonicalRequest),
+          }),
         },
       );
     }
 
-    // skip payload verification
-
-    const componentMap = new Map(
-      components
-        .join('')
-        .split(',')
-        .map(component => {
-          const [key, ...value] = component.split('=');
-          return [key, value.join('=')];
-        }),
-    );
+    return next();
+  };
 
-    if (componentMap.size !== 3) {
+/**
+ * Verifies the signature of a browser-based upload made with a POST policy, and returns the
+ * policy. Uploads without a policy are anonymous.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/UsingHTTPPOST.html}
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} fields the form fields of the request, keyed by their lowercase names
+ * @returns {S3PostPolicy|undefined}
+ */
+exports.authenticateForm = function authenticateForm(ctx, fields) {
+  if (!('policy' in fields)) {
+    if ('awsaccesskeyid' in fields || 'x-amz-credential' in fields) {
       throw new S3Error(
-        'AuthorizationHeaderMalformed',
-        'The authorization header is malformed; the authorization header ' +
-          'requires three components: Credential, SignedHeaders, and ' +
-          'Signature.',
+        'InvalidArgument',
+        "Bucket POST must contain a field named 'policy'.  If it is " +
+          'specified, please check the order of the fields.',
+        { ArgumentName: 'policy', ArgumentValue: '' },
       );
     }
-
-    for (const componentName of ['Credential', 'SignedHeaders', 'Signature']) {
-      if (!componentMap.has(componentName)) {
-        throw new S3Error(
-          'AuthorizationHeaderMalformed',
-          `The authorization header is malformed; missing ${componentName}.`,
-        );
-      }
-    }
-
-    // skip verification of each authorization header component
-
-    signature.accessKeyId = componentMap.get('Credential').split('/')[0];
-    signatureProvided = componentMap.get('Signature');
+    return undefined;
   }
 
-  const serverTime = new Date();
-  const requestTime = parseDate(timestamp);
-  if (isNaN(requestTime)) {
+  const policy = S3PostPolicy.parse(fields.policy);
+  const signature =
+    'x-amz-algorithm' in fields ? v4.parseForm(fields) : v2.parseForm(fields);
+  const account = AWSAccount.registry.get(signature.accessKeyId);
+  if (!account) {
     throw new S3Error(
-      'AccessDenied',
-      'AWS authentication requires a valid Date or x-amz-date header',
+      'InvalidAccessKeyId',
+      'The AWS Access Key Id you provided does not exist in our records.',
+      { AWSAccessKeyId: signature.accessKeyId },
     );
   }
-
-  if (Math.abs(serverTime - requestTime) > 900000) {
-    // 15 minutes
+  verifySecurityToken(
+    account,
+    signature.accessKeyId,
+    fields['x-amz-security-token'],
+  );
+
+  // the policy document is the string to sign
+  const secretAccessKey = account.accessKeys.get(signature.accessKeyId);
+  let signingKey;
+  let calculatedSignature;
+  if (signature.version === 2) {
+    calculatedSignature = v2.calculateSignature(fields.policy, secretAccessKey);
+  } else {
+    signingKey = v4.getSigningKey(secretAccessKey, signature.credential);
+    calculatedSignature = v4.calculateSignature(fields.policy, signingKey);
+  }
+  if (
+    signature.signatureProvided !== calculatedSignature &&
+    !ctx.app.allowMismatchedSignatures
+  ) {
     throw new S3Error(
-      'RequestTimeTooSkewed',
-      'The difference between the request time and the current time is too large.',
+      'SignatureDoesNotMatch',
+      'The request signature we calculated does not match the signature ' +
+        'you provided. Check your key and signing method.',
       {
-        RequestTime: timestamp,
-        ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
+        AWSAccessKeyId: signature.accessKeyId,
+        StringToSign: fields.policy,
+        SignatureProvided: signature.signatureProvided,
+        StringToSignBytes: toHexBytes(fields.policy),
       },
     );
   }
-  return {
-    signature,
-    signatureProvided,
-    timestamp,
-  };
+  ctx.state.account = account;
+  ctx.state.signature = { ...signature, signingKey };
+  return policy;
+};
+
+/**
+ * Requests to the service endpoint using POST are made to the STS API.
+ *
+ * @param {Koa.Context} ctx
+ */
+function isSTSRequest(ctx) {
+  return ctx.method === 'POST' && !ctx.params.bucket;
 }
 
-function parseQueryV2(query) {
-  // authentication param names are case-sensitive
-  if (!('Expires' in query) || !('AWSAccessKeyId' in query)) {
-    throw new S3Error(
-      'AccessDenied',
-      'Query-string authentication requires the Signature, Expires and ' +
-        'AWSAccessKeyId parameters',
-    );
+/**
+ * Parses the signature in an Authorization header and checks that the request's date is within the
+ * allowed clock skew of the server's.
+ *
+ * @param {object} headers
+ * @param {number} maxAllowedSkew the allowed clock skew in milliseconds
+ * @param {string} service the service the request is made to
+ */
+function parseHeader(headers, maxAllowedSkew, service) {
+  const [algorithm] = headers.authorization.split(' ');
+  let signature;
+  switch (algorithm.toUpperCase()) {
+    case 'AWS':
+      signature = v2.parseHeader(headers);
+      break;
+    case 'AWS4-HMAC-SHA256':
+      signature = v4.parseHeader(headers, service);
+      break;
+    default:
+      throw new S3Error('InvalidArgument', 'Unsupported Authorization Type', {
+        ArgumentName: 'Authorization',
+        ArgumentValue: headers.authorization,
+      });
   }
 
-  const signature = {
-    version: 2,
-    algorithm: 'sha1',
-    accessKeyId: query.AWSAccessKeyId,
-  };
-  const signatureProvided = query.Signature;
-
   const serverTime = new Date();
-  const expiresTime = new Date(Number(query.Expires) * 1000);
-  if (isNaN(expiresTime)) {
+  const requestTime = parseDate(signature.timestamp);
+  if (isNaN(requestTime)) {
     throw new S3Error(
       'AccessDenied',
-      `Invalid date (should be seconds since epoch): ${query.Expires}`,
-    );
-  }
-
-  if (serverTime > expiresTime) {
-    throw new S3Error('AccessDenied', 'Request has expired', {
-      Expires: expiresTime.toISOString().replace(/\.\d+/, ''),
-      ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
-    });
-  }
-
-  return {
-    signature,
-    signatureProvided,
-    expires: Number(query.Expires),
-  };
-}
-
-function parseQueryV4(query) {
-  // query param values are case-sensitive
-  if (query['X-Amz-Algorithm'] !== 'AWS4-HMAC-SHA256') {
-    throw new S3Error(
-      'AuthorizationQueryParametersError',
-      'X-Amz-Algorithm only supports "AWS4-HMAC-SHA256"',
+      'AWS authentication requires a valid Date or x-amz-date header',
     );
   }
 
-  const signature = {
-    version: 4,
-    algorithm: 'sha256',
-    accessKeyId: undefined,
-  };
-
-  if (
-    !('X-Amz-Credential' in query) ||
-    !('X-Amz-Signature' in query) ||
-    !('X-Amz-Date' in query) ||
-    !('X-Amz-SignedHeaders' in query) ||
-    !('X-Amz-Expires' in query)
-  ) {
+  if (Math.abs(serverTime - requestTime) > maxAllowedSkew) {
     throw new S3Error(
-      'AuthorizationQueryParametersError',
-      'Query-string authentication version 4 requires the ' +
-        'X-Amz-Algorithm, X-Amz-Credential, X-Amz-Signature, X-Amz-Date, ' +
-        'X-Amz-SignedHeaders, and X-Amz-Expires parameters.',
+      'RequestTimeTooSkewed',
+      'The difference between the request time and the current time is too large.',
+      {
+        RequestTime: signature.timestamp,
+        ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
+        MaxAllowedSkewMilliseconds: maxAllowedSkew,
+      },
     );
   }
-  signature.accessKeyId = query['X-Amz-Credential'].split('/')[0];
-  const signatureProvided = query['X-Amz-Signature'];
-
-  const timestamp = query['X-Amz-Date'];
+  return signature;
+}
 
-  const requestTime = parseISO8601String(timestamp);
-  if (isNaN(requestTime)) {
+/**
+ * Checks that requests signed with temporary credentials provide their unexpired session token,
+ * and that requests signed with long-term credentials don't provide one.
+ *
+ * @param {AWSAccount} account
+ * @param {string} accessKeyId
+ * @param {string} [securityToken] the value of x-amz-security-token
+ */
+function verifySecurityToken(account, accessKeyId, securityToken) {
+  const session = account.sessions.get(accessKeyId);
+  const detail =
+    securityToken === undefined ? {} : { 'Token-0': securityToken };
+  if (session ? securityToken !== session.sessionToken : securityToken) {
     throw new S3Error(
-      'AuthorizationQueryParametersError',
-      "X-Amz-Date must be in the ISO8601 Long Format \"yyyyMMdd'T'HHmmss'Z'\"",
+      'InvalidToken',
+      'The provided token is malformed or otherwise invalid.',
+      detail,
     );
   }
-
-  const expires = Number(query['X-Amz-Expires']);
-  if (isNaN(expires))
-    if (expires < 0) {
-      throw new S3Error(
-        'AuthorizationQueryParametersError',
-        'X-Amz-Expires must be non-negative',
-      );
-    }
-  if (expires > 604800) {
+  if (session && new Date() > session.expiration) {
     throw new S3Error(
-      'AuthorizationQueryParametersError',
-      'X-Amz-Expires must be less than a week (in seconds); that is, the ' +
-        'given X-Amz-Expires must be less than 604800 seconds',
+      'ExpiredToken',
+      'The provided token has expired.',
+      detail,
     );
   }
-
-  const serverTime = new Date();
-  // NOTE: S3 doesn't care about time skew for presigned requests
-  const expiresTime = new Date(Number(requestTime) + expires * 1000);
-
-  if (serverTime > expiresTime) {
-    throw new S3Error('AccessDenied', 'Request has expired', {
-      'X-Amz-Expires': query['X-Amz-Expires'],
-      Expires: expiresTime.toISOString().replace(/\.\d+/, ''),
-      ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
-    });
-  }
-
-  return {
-    signature,
-    signatureProvided,
-    timestamp,
-  };
-}
-
-/**
- * Generates a string to be signed for the specified signature version.
- *
- * (currently only generates strings for V2 signing)
- *
- * @param {*} canonicalRequest
- */
-function getStringToSign(canonicalRequest) {
-  return [
-    canonicalRequest.method,
-    canonicalRequest.contentMD5,
-    canonicalRequest.contentType,
-    canonicalRequest.timestamp,
-    ...canonicalRequest.amzHeaders,
-    canonicalRequest.querystring
-      ? `${canonicalRequest.uri}?${canonicalRequest.querystring}`
-      : canonicalRequest.uri,
-  ].join('\n');
 }
 
-/**
- * Performs the calculation of an authentication code for a string using the specified key and
- * algorithm.
- *
- * @param {String} stringToSign the string representation of a canonical request
- * @param {String} signingKey a secret access key for V2 signing, or a signing key for V4 signing
- * @param {String} algorithm should be one of "sha1" or "sha256"
- */
-function calculateSignature(stringToSign, signingKey, algorithm) {
-  const signature = createHmac(algorithm, signingKey);
-  signature.update(stringToSign, 'utf8');
-  return signature.digest('base64');
+function toHexBytes(string) {
+  return Buffer.from(string)
+    .toString('hex')
+    .match(/../g)
+    .join(' ');
 }
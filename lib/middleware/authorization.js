@@ -0,0 +1,288 @@
+'use strict';
+
+const { S3AccessControlPolicy } = require('../models/config');
+const S3Error = require('../models/error');
+
+// https://docs.aws.amazon.com/AmazonS3/latest/dev/using-with-s3-actions.html
+const BUCKET_ACTIONS = {
+  GET: {
+    '': 's3:ListBucket',
+    acl: 's3:GetBucketAcl',
+    cors: 's3:GetBucketCORS',
+    lifecycle: 's3:GetLifecycleConfiguration',
+    location: 's3:GetBucketLocation',
+    'object-lock': 's3:GetBucketObjectLockConfiguration',
+    policy: 's3:GetBucketPolicy',
+    tagging: 's3:GetBucketTagging',
+    uploads: 's3:ListBucketMultipartUploads',
+    versioning: 's3:GetBucketVersioning',
+    versions: 's3:ListBucketVersions',
+    website: 's3:GetBucketWebsite',
+  },
+  PUT: {
+    // creating a bucket isn't governed by the policy of an existing bucket
+    acl: 's3:PutBucketAcl',
+    cors: 's3:PutBucketCORS',
+    lifecycle: 's3:PutLifecycleConfiguration',
+    'object-lock': 's3:PutBucketObjectLockConfiguration',
+    policy: 's3:PutBucketPolicy',
+    tagging: 's3:PutBucketTagging',
+    versioning: 's3:PutBucketVersioning',
+    website: 's3:PutBucketWebsite',
+  },
+  DELETE: {
+    '': 's3:DeleteBucket',
+    cors: 's3:PutBucketCORS',
+    lifecycle: 's3:PutLifecycleConfiguration',
+    policy: 's3:DeleteBucketPolicy',
+    tagging: 's3:PutBucketTagging',
+    website: 's3:DeleteBucketWebsite',
+  },
+  // POST Object and Delete Multiple Objects are authorized by key in their controllers
+  POST: {},
+};
+
+const OBJECT_ACTIONS = {
+  GET: {
+    '': 's3:GetObject',
+    acl: 's3:GetObjectAcl',
+    'legal-hold': 's3:GetObjectLegalHold',
+    retention: 's3:GetObjectRetention',
+    tagging: 's3:GetObjectTagging',
+    torrent: 's3:GetObjectTorrent',
+    uploadId: 's3:ListMultipartUploadParts',
+  },
+  PUT: {
+    '': 's3:PutObject',
+    acl: 's3:PutObjectAcl',
+    'legal-hold': 's3:PutObjectLegalHold',
+    retention: 's3:PutObjectRetention',
+    tagging: 's3:PutObjectTagging',
+    uploadId: 's3:PutObject',
+  },
+  DELETE: {
+    '': 's3:DeleteObject',
+    tagging: 's3:DeleteObjectTagging',
+    uploadId: 's3:AbortMultipartUpload',
+  },
+  POST: {
+    restore: 's3:RestoreObject',
+    select: 's3:GetObject',
+    uploadId: 's3:PutObject',
+    uploads: 's3:PutObject',
+  },
+};
+
+// actions whose versioned counterparts apply when a versionId is specified
+const VERSION_ACTIONS = {
+  's3:DeleteObject': 's3:DeleteObjectVersion',
+  's3:DeleteObjectTagging': 's3:DeleteObjectVersionTagging',
+  's3:GetObject': 's3:GetObjectVersion',
+  's3:GetObjectAcl': 's3:GetObjectVersionAcl',
+  's3:GetObjectTagging': 's3:GetObjectVersionTagging',
+  's3:PutObjectAcl': 's3:PutObjectVersionAcl',
+  's3:PutObjectTagging': 's3:PutObjectVersionTagging',
+};
+
+// actions bucket owners may always perform so they can't lock themselves out of their bucket
+const OWNER_ACTIONS = new Set([
+  's3:DeleteBucketPolicy',
+  's3:GetBucketPolicy',
+  's3:PutBucketPolicy',
+]);
+
+// ACL permissions granting each action, checked against the bucket's ACL
+// https://docs.aws.amazon.com/AmazonS3/latest/dev/acl-overview.html#permissions
+const BUCKET_ACL_PERMISSIONS = {
+  's3:AbortMultipartUpload': 'WRITE',
+  's3:DeleteObject': 'WRITE',
+  's3:DeleteObjectVersion': 'WRITE',
+  's3:GetBucketAcl': 'READ_ACP',
+  's3:ListBucket': 'READ',
+  's3:ListBucketMultipartUploads': 'READ',
+  's3:ListBucketVersions': 'READ',
+  's3:PutBucketAcl': 'WRITE_ACP',
+  's3:PutObject': 'WRITE',
+};
+
+// ...and against the requested object's ACL
+const OBJECT_ACL_PERMISSIONS = {
+  's3:GetObject': 'READ',
+  's3:GetObjectAcl': 'READ_ACP',
+  's3:GetObjectTorrent': 'READ',
+  's3:GetObjectVersion': 'READ',
+  's3:GetObjectVersionAcl': 'READ_ACP',
+  's3:PutObjectAcl': 'WRITE_ACP',
+  's3:PutObjectVersionAcl': 'WRITE_ACP',
+};
+
+/**
+ * Middleware that authorizes requests to buckets and objects against their bucket's policy and
+ * their ACLs.
+ *
+ * Requests matching a Deny statement in the bucket policy are always denied, and requests
+ * matching an Allow statement are allowed. Otherwise, requests are allowed if an ACL grants the
+ * requester the corresponding permission, or for actions that ACLs don't cover, if the requester
+ * owns the bucket. Anonymous requests are only granted permissions given to all users.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/how-s3-evaluates-access-control.html}
+ */
+exports = module.exports = () =>
+  async function authorization(ctx, next) {
+    const action = getAction(ctx);
+    if (action) {
+      await exports.authorize(
+        ctx,
+        action,
+        ctx.params.key,
+        ctx.params.bucket,
+        ctx.query.versionId,
+      );
+    }
+    return next();
+  };
+
+/**
+ * Throws AccessDenied if the requester isn't allowed to perform an action on a bucket or one of
+ * its objects.
+ *
+ * @param {Koa.Context} ctx
+ * @param {string} action e.g. s3:GetObject
+ * @param {string} [key] the key of the requested object, if any
+ * @param {string} [bucketName] the requested bucket, if it isn't the one in the request's path
+ * @param {string} [versionId] the requested version of the object, whose ACL applies to it
+ */
+exports.authorize = async function authorize(
+  ctx,
+  action,
+  key,
+  bucketName = ctx.params.bucket,
+  versionId,
+) {
+  const [bucket, policy] = await Promise.all([
+    ctx.store.getBucket(bucketName),
+    ctx.store.getSubresource(bucketName, undefined, 'policy'),
+  ]);
+  if (!bucket) {
+    // let the request fail with NoSuchBucket
+    return;
+  }
+
+  const { account } = ctx.state;
+  const isOwner = account !== undefined && account.id === bucket.owner.id;
+  if (isOwner && OWNER_ACTIONS.has(action)) return;
+
+  const decision = policy
+    ? policy.evaluate({
+        accountId: account && account.id,
+        action,
+        resource:
+          key === undefined
+            ? `arn:aws:s3:::${bucketName}`
+            : `arn:aws:s3:::${bucketName}/${key}`,
+        conditionValues: getConditionValues(ctx),
+      })
+    : null;
+  if (decision === 'Deny') {
+    throw new S3Error('AccessDenied', 'Access Denied');
+  }
+  if (decision === 'Allow') return;
+
+  let allowed = isOwner;
+  if (action in BUCKET_ACL_PERMISSIONS) {
+    const permission = BUCKET_ACL_PERMISSIONS[action];
+    const acl = await getAcl(ctx, bucket);
+    // bucket owners can always read and change the bucket's ACL, whatever it grants
+    allowed =
+      (isOwner && (permission === 'READ_ACP' || permission === 'WRITE_ACP')) ||
+      acl.allows(account, permission);
+  } else if (action in OBJECT_ACL_PERMISSIONS) {
+    const acl = await getAcl(ctx, bucket, key, versionId);
+    allowed = acl.allows(account, OBJECT_ACL_PERMISSIONS[action]);
+  }
+  if (!allowed) {
+    throw new S3Error('AccessDenied', 'Access Denied');
+  }
+};
+
+/**
+ * Gets the ACL of a bucket or object, defaulting to a private ACL owned by the bucket owner.
+ *
+ * @param {Koa.Context} ctx
+ * @param {S3Bucket} bucket
+ * @param {string} [key]
+ * @param {string} [versionId]
+ */
+async function getAcl(ctx, bucket, key, versionId) {
+  const acl = await ctx.store.getSubresource(
+    bucket.name,
+    key,
+    'acl',
+    versionId,
+  );
+  return acl || S3AccessControlPolicy.fromCannedACL('private', bucket.owner);
+}
+
+/**
+ * Determines the S3 action a request performs, or undefined if it isn't subject to the bucket
+ * policy.
+ *
+ * @param {Koa.Context} ctx
+ */
+function getAction(ctx) {
+  if (!ctx.params.bucket || ctx.state.website) {
+    return undefined;
+  }
+  const actions = (ctx.params.key ? OBJECT_ACTIONS : BUCKET_ACTIONS)[
+    ctx.method === 'HEAD' ? 'GET' : ctx.method
+  ];
+  if (!actions) return undefined;
+
+  const subresource =
+    Object.keys(ctx.query).find(param => param && param in actions) || '';
+  const action = actions[subresource];
+  return 'versionId' in ctx.query && VERSION_ACTIONS[action]
+    ? VERSION_ACTIONS[action]
+    : action;
+}
+
+/**
+ * Gathers the values of the condition keys supported in policy statements, keyed by their
+ * lowercase names.
+ *
+ * @param {Koa.Context} ctx
+ */
+function getConditionValues(ctx) {
+  const { account, signature } = ctx.state;
+  const values = {
+    'aws:currenttime': new Date().toISOString(),
+    'aws:epochtime': String(Math.floor(Date.now() / 1000)),
+    'aws:principaltype': account ? 'Account' : 'Anonymous',
+    'aws:securetransport': String(ctx.secure),
+    'aws:sourceip': ctx.ip,
+  };
+  if (account) {
+    values['aws:principalaccount'] = account.id;
+  }
+  if (signature) {
+    values['s3:authtype'] =
+      'authorization' in ctx.headers ? 'REST-HEADER' : 'REST-QUERY-STRING';
+    values['s3:signatureversion'] =
+      signature.version === 4 ? 'AWS4-HMAC-SHA256' : 'AWS';
+  }
+  if (ctx.get('referer')) values['aws:referer'] = ctx.get('referer');
+  if (ctx.get('user-agent')) values['aws:useragent'] = ctx.get('user-agent');
+
+  for (const param of ['prefix', 'delimiter', 'max-keys', 'versionId']) {
+    if (param in ctx.query) {
+      values[`s3:${param.toLowerCase()}`] = ctx.query[param];
+    }
+  }
+  // x-amz-* request headers are available as s3:x-amz-* condition keys
+  for (const [header, value] of Object.entries(ctx.headers)) {
+    if (header.startsWith('x-amz-')) {
+      values[`s3:${header}`] = value;
+    }
+  }
+  return values;
+}
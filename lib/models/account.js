@@ -1,10 +1,34 @@
 'use strict';
 
+const { randomBytes } = require('crypto');
+
+const { randomHexString } = require('../utils');
+
 class AWSAccount {
+  static findById(accountId) {
+    for (const account of AWSAccount.registry.values()) {
+      if (account.id === accountId) return account;
+    }
+  }
+
   constructor(accountId, displayName) {
-    this.id = accountId;
+    this.id = String(accountId);
     this.displayName = displayName;
     this.accessKeys = new Map();
+    // session tokens and expiration dates of temporary credentials, keyed by access key ID
+    this.sessions = new Map();
+    // IDs of other accounts that may assume roles in the account
+    this.trustedAccountIds = new Set();
+  }
+
+  /**
+   * Whether another account may assume roles in the account, which accounts may always do in
+   * their own account.
+   *
+   * @param {string} accountId
+   */
+  trusts(accountId) {
+    return accountId === this.id || this.trustedAccountIds.has(accountId);
   }
 
   createKeyPair(accessKeyId, secretAccessKey) {
@@ -12,15 +36,57 @@ class AWSAccount {
     this.accessKeys.set(accessKeyId, secretAccessKey);
   }
 
+  /**
+   * Issues temporary credentials for the account that expire after a given duration and must be
+   * used together with their session token.
+   *
+   * @param {number} durationSeconds
+   */
+  createSessionCredentials(durationSeconds) {
+    const credentials = {
+      accessKeyId: 'ASIA' + randomHexString(16).toUpperCase(),
+      secretAccessKey: randomBytes(30).toString('base64'),
+      sessionToken: randomBytes(96).toString('base64'),
+      expiration: new Date(Date.now() + durationSeconds * 1000),
+    };
+    this.createKeyPair(credentials.accessKeyId, credentials.secretAccessKey);
+    this.sessions.set(credentials.accessKeyId, {
+      sessionToken: credentials.sessionToken,
+      expiration: credentials.expiration,
+    });
+    return credentials;
+  }
+
   revokeAccessKey(accessKeyId) {
     AWSAccount.registry.delete(accessKeyId);
     this.accessKeys.delete(accessKeyId);
+    this.sessions.delete(accessKeyId);
+  }
+
+  /**
+   * Adds the account's access keys to the registry, so that requests can be signed with them.
+   */
+  register() {
+    for (const accessKeyId of this.accessKeys.keys()) {
+      AWSAccount.registry.set(accessKeyId, this);
+    }
+  }
+
+  /**
+   * Removes the account's access keys from the registry, without revoking them.
+   */
+  unregister() {
+    for (const accessKeyId of this.accessKeys.keys()) {
+      if (AWSAccount.registry.get(accessKeyId) === this) {
+        AWSAccount.registry.delete(accessKeyId);
+      }
+    }
   }
 }
 AWSAccount.registry = new Map();
 
 exports = module.exports = AWSAccount;
 
-// Hardcoded dummy user used for authenticated requests
+// Default account, available alongside any accounts configured with the `accounts` option
 exports.DUMMY_ACCOUNT = new AWSAccount(123456789000, 'S3rver');
 exports.DUMMY_ACCOUNT.createKeyPair('S3RVER', 'S3RVER');
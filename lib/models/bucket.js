@@ -1,9 +1,16 @@
 'use strict';
 
+const { DUMMY_ACCOUNT } = require('./account');
+
 class S3Bucket {
-  constructor(name, creationDate) {
+  constructor(name, creationDate, owner) {
     this.name = name;
     this.creationDate = creationDate;
+    // buckets created without an owner belong to the default account
+    this.owner = owner || {
+      id: DUMMY_ACCOUNT.id,
+      displayName: DUMMY_ACCOUNT.displayName,
+    };
   }
 }
 module.exports = S3Bucket;
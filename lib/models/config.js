@@ -4,17 +4,34 @@ const xmlParser = require('fast-xml-parser');
 const { escapeRegExp } = require('lodash');
 const he = require('he');
 
+const AWSAccount = require('./account');
 const S3Error = require('./error');
+const LifecycleRule = require('./lifecycle-rule');
+const S3BucketPolicy = require('./policy');
 const RoutingRule = require('./routing-rule');
 
 exports.getConfigModel = function getConfigModel(type) {
   switch (type) {
+    case 'acl':
+      return S3AccessControlPolicy;
     case 'cors':
       return S3CorsConfiguration;
+    case 'policy':
+      return S3BucketPolicy;
     case 'website':
       return S3WebsiteConfiguration;
     case 'tagging':
       return TaggingConfiguration;
+    case 'versioning':
+      return S3VersioningConfiguration;
+    case 'object-lock':
+      return S3ObjectLockConfiguration;
+    case 'retention':
+      return S3ObjectRetention;
+    case 'legal-hold':
+      return S3ObjectLegalHold;
+    case 'lifecycle':
+      return S3LifecycleConfiguration;
   }
 };
 
@@ -32,8 +49,9 @@ class S3ConfigBase {
    * Parses an XML document
    * @param {string} type
    * @param {string} config
+   * @param {object} [parseOptions] overrides for the options passed to fast-xml-parser
    */
-  constructor(type, config) {
+  constructor(type, config, parseOptions) {
     if (this.constructor === S3ConfigBase) {
       throw new Error('Cannot create an instance of an abstract class');
     }
@@ -42,6 +60,7 @@ class S3ConfigBase {
       ignoreAttributes: false,
       parseNodeValue: true,
       tagValueProcessor: he.decode,
+      ...parseOptions,
     });
   }
 
@@ -59,6 +78,356 @@ class S3ConfigBase {
   }
 }
 
+const ACL_GROUPS = {
+  AllUsers: 'http://acs.amazonaws.com/groups/global/AllUsers',
+  AuthenticatedUsers:
+    'http://acs.amazonaws.com/groups/global/AuthenticatedUsers',
+  LogDelivery: 'http://acs.amazonaws.com/groups/s3/LogDelivery',
+};
+
+const ACL_PERMISSIONS = [
+  'FULL_CONTROL',
+  'WRITE',
+  'WRITE_ACP',
+  'READ',
+  'READ_ACP',
+];
+
+// https://docs.aws.amazon.com/AmazonS3/latest/dev/acl-overview.html#permissions
+const GRANT_HEADERS = {
+  'x-amz-grant-read': 'READ',
+  'x-amz-grant-write': 'WRITE',
+  'x-amz-grant-read-acp': 'READ_ACP',
+  'x-amz-grant-write-acp': 'WRITE_ACP',
+  'x-amz-grant-full-control': 'FULL_CONTROL',
+};
+
+class S3AccessControlPolicy extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedACLError();
+    }
+    const { AccessControlPolicy } = xmlParser.parse(xml, {
+      ignoreAttributes: false,
+      parseNodeValue: false,
+    });
+    if (
+      !AccessControlPolicy ||
+      !AccessControlPolicy.Owner ||
+      !AccessControlPolicy.Owner.ID
+    ) {
+      throw malformedACLError();
+    }
+    const { AccessControlList } = AccessControlPolicy;
+    const grants = [].concat((AccessControlList || {}).Grant || []);
+    for (const { Grantee, Permission } of grants) {
+      if (!Grantee || !ACL_PERMISSIONS.includes(Permission)) {
+        throw malformedACLError();
+      }
+      S3AccessControlPolicy.validateGrantee({
+        type: Grantee['@_xsi:type'],
+        id: Grantee.ID,
+        uri: Grantee.URI,
+        emailAddress: Grantee.EmailAddress,
+      });
+    }
+    return new S3AccessControlPolicy(xml);
+  }
+
+  /**
+   * Throws if a grantee can't be resolved to an account or a predefined group.
+   *
+   * @param {object} grantee
+   */
+  static validateGrantee({ type, id, uri, emailAddress }) {
+    switch (type) {
+      case 'CanonicalUser':
+        if (!id) throw malformedACLError();
+        if (!AWSAccount.findById(id)) {
+          throw new S3Error('InvalidArgument', 'Invalid id', {
+            ArgumentName: 'CanonicalUser/ID',
+            ArgumentValue: id,
+          });
+        }
+        break;
+      case 'Group':
+        if (!Object.values(ACL_GROUPS).includes(uri)) {
+          throw new S3Error('InvalidArgument', 'Invalid group uri', {
+            ArgumentName: 'Group/URI',
+            ArgumentValue: uri,
+          });
+        }
+        break;
+      case 'AmazonCustomerByEmail':
+        // accounts aren't configured with e-mail addresses
+        throw new S3Error(
+          'UnresolvableGrantByEmailAddress',
+          'The e-mail address you provided does not match any account on ' +
+            'record.',
+          { EmailAddress: emailAddress },
+        );
+      default:
+        throw malformedACLError();
+    }
+  }
+
+  /**
+   * Creates the ACL specified by the x-amz-acl or x-amz-grant-* headers of a request, or null
+   * if the request doesn't specify one.
+   *
+   * @param {object} headers
+   * @param {object} owner the account that will own the resource
+   * @param {object} [bucketOwner] the owner of the bucket containing the resource, if it's an
+   *   object
+   */
+  static fromHeaders(headers, owner, bucketOwner) {
+    const grantHeaders = Object.keys(GRANT_HEADERS).filter(
+      header => header in headers,
+    );
+    if ('x-amz-acl' in headers && grantHeaders.length) {
+      throw new S3Error(
+        'InvalidRequest',
+        'Specifying both Canned ACLs and Header Grants is not allowed',
+      );
+    }
+    if ('x-amz-acl' in headers) {
+      return S3AccessControlPolicy.fromCannedACL(
+        headers['x-amz-acl'],
+        owner,
+        bucketOwner,
+      );
+    }
+    if (!grantHeaders.length) {
+      return null;
+    }
+    const grants = [];
+    for (const header of grantHeaders) {
+      for (const grantee of parseGrantHeader(header, headers[header])) {
+        S3AccessControlPolicy.validateGrantee(grantee);
+        grants.push({ ...grantee, permission: GRANT_HEADERS[header] });
+      }
+    }
+    return S3AccessControlPolicy.fromGrants(owner, grants);
+  }
+
+  /**
+   * Creates the ACL specified by a PUT acl request, either in its body or by its headers.
+   *
+   * @param {string} body
+   * @param {object} headers
+   * @param {object} owner the owner of the resource
+   * @param {object} [bucketOwner] the owner of the bucket containing the resource, if it's an
+   *   object
+   */
+  static fromRequest(body, headers, owner, bucketOwner) {
+    const acl = S3AccessControlPolicy.fromHeaders(headers, owner, bucketOwner);
+    if (acl && body) {
+      throw new S3Error(
+        'UnexpectedContent',
+        'This request does not support content',
+      );
+    }
+    if (acl) return acl;
+    if (!body) {
+      throw new S3Error(
+        'MissingSecurityHeader',
+        'Your request was missing a required header',
+        { MissingHeaderName: 'x-amz-acl' },
+      );
+    }
+    const policy = S3AccessControlPolicy.validate(body);
+    // ACLs can't be used to transfer ownership
+    if (policy.owner.id !== owner.id) {
+      throw new S3Error('AccessDenied', 'Access Denied');
+    }
+    return policy;
+  }
+
+  /**
+   * Creates the ACL corresponding to a canned ACL.
+   * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/acl-overview.html#canned-acl}
+   *
+   * @param {string} cannedACL
+   * @param {object} owner the account that will own the resource
+   * @param {object} [bucketOwner] the owner of the bucket containing the resource, if it's an
+   *   object
+   */
+  static fromCannedACL(cannedACL, owner, bucketOwner) {
+    const ownerGrant = {
+      type: 'CanonicalUser',
+      id: owner.id,
+      permission: 'FULL_CONTROL',
+    };
+    const grants = [ownerGrant];
+    switch (cannedACL) {
+      case 'private':
+        break;
+      case 'public-read':
+        grants.push(groupGrant('AllUsers', 'READ'));
+        break;
+      case 'public-read-write':
+        grants.push(
+          groupGrant('AllUsers', 'READ'),
+          groupGrant('AllUsers', 'WRITE'),
+        );
+        break;
+      case 'authenticated-read':
+        grants.push(groupGrant('AuthenticatedUsers', 'READ'));
+        break;
+      case 'bucket-owner-read':
+      case 'bucket-owner-full-control':
+        // these are ignored when creating buckets
+        if (bucketOwner && bucketOwner.id !== owner.id) {
+          grants.push({
+            type: 'CanonicalUser',
+            id: bucketOwner.id,
+            permission:
+              cannedACL === 'bucket-owner-read' ? 'READ' : 'FULL_CONTROL',
+          });
+        }
+        break;
+      case 'log-delivery-write':
+        grants.push(
+          groupGrant('LogDelivery', 'WRITE'),
+          groupGrant('LogDelivery', 'READ_ACP'),
+        );
+        break;
+      default:
+        throw new S3Error('InvalidArgument', 'Invalid canned ACL', {
+          ArgumentName: 'x-amz-acl',
+          ArgumentValue: cannedACL,
+        });
+    }
+    return S3AccessControlPolicy.fromGrants(owner, grants);
+  }
+
+  static fromGrants(owner, grants) {
+    const parser = new xmlParser.j2xParser({ ignoreAttributes: false });
+    return new S3AccessControlPolicy(
+      parser.parse(buildAccessControlPolicy(owner.id, grants)),
+    );
+  }
+
+  constructor(config) {
+    // account IDs are numeric but must be preserved as strings
+    super('acl', config, { parseNodeValue: false });
+    const { AccessControlPolicy = {} } = this.rawConfig;
+    const { Owner = {}, AccessControlList = {} } = AccessControlPolicy;
+    this.owner = { id: Owner.ID };
+    this.grants = [].concat(AccessControlList.Grant || []).map(grant => ({
+      type: grant.Grantee['@_xsi:type'],
+      id: grant.Grantee.ID,
+      uri: grant.Grantee.URI,
+      permission: grant.Permission,
+    }));
+    // grantees are listed the way S3 returns them, regardless of how they were specified
+    this.rawConfig = buildAccessControlPolicy(this.owner.id, this.grants);
+  }
+
+  /**
+   * Determines whether the ACL grants an account (or anonymous users) a permission.
+   *
+   * @param {AWSAccount} [account] the requesting account, if the request was signed
+   * @param {string} permission one of READ, WRITE, READ_ACP or WRITE_ACP
+   */
+  allows(account, permission) {
+    // owners can always read and change the ACLs of their resources
+    if (
+      account !== undefined &&
+      account.id === this.owner.id &&
+      (permission === 'READ_ACP' || permission === 'WRITE_ACP')
+    ) {
+      return true;
+    }
+    return this.grants.some(
+      grant =>
+        (grant.permission === permission ||
+          grant.permission === 'FULL_CONTROL') &&
+        (grant.type === 'CanonicalUser'
+          ? account !== undefined && grant.id === account.id
+          : grant.uri === ACL_GROUPS.AllUsers ||
+            (account !== undefined &&
+              grant.uri === ACL_GROUPS.AuthenticatedUsers)),
+    );
+  }
+}
+exports.S3AccessControlPolicy = S3AccessControlPolicy;
+
+function buildAccessControlPolicy(ownerId, grants) {
+  const describeAccount = id => {
+    const account = AWSAccount.findById(id);
+    return account ? { ID: id, DisplayName: account.displayName } : { ID: id };
+  };
+  return {
+    AccessControlPolicy: {
+      '@_xmlns': 'http://s3.amazonaws.com/doc/2006-03-01/',
+      Owner: describeAccount(ownerId),
+      AccessControlList: {
+        Grant: grants.map(grant => ({
+          Grantee: {
+            '@_xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            '@_xsi:type': grant.type,
+            ...(grant.type === 'CanonicalUser'
+              ? describeAccount(grant.id)
+              : { URI: grant.uri }),
+          },
+          Permission: grant.permission,
+        })),
+      },
+    },
+  };
+}
+
+function groupGrant(group, permission) {
+  return { type: 'Group', uri: ACL_GROUPS[group], permission };
+}
+
+/**
+ * Parses the grantees listed in a x-amz-grant-* header, e.g.
+ * id="111122223333", uri="http://acs.amazonaws.com/groups/global/AllUsers"
+ *
+ * @param {string} header
+ * @param {string} value
+ */
+function parseGrantHeader(header, value) {
+  return value.split(',').map(grantee => {
+    const match = /^\s*(id|uri|emailAddress)\s*=\s*"?([^"]*)"?\s*$/i.exec(
+      grantee,
+    );
+    if (!match) {
+      throw new S3Error('InvalidArgument', 'Invalid grantee', {
+        ArgumentName: header,
+        ArgumentValue: value,
+      });
+    }
+    const [, type, granteeValue] = match;
+    switch (type.toLowerCase()) {
+      case 'id':
+        return { type: 'CanonicalUser', id: granteeValue };
+      case 'uri':
+        return { type: 'Group', uri: granteeValue };
+      default:
+        return { type: 'AmazonCustomerByEmail', emailAddress: granteeValue };
+    }
+  });
+}
+
+function malformedACLError() {
+  return new S3Error(
+    'MalformedACLError',
+    'The XML you provided was not well-formed or did not validate against ' +
+      'our published schema',
+  );
+}
+
+function malformedXMLError() {
+  return new S3Error(
+    'MalformedXML',
+    'The XML you provided was not well-formed or did not validate against ' +
+      'our published schema',
+  );
+}
+
 class S3CorsConfiguration extends S3ConfigBase {
   static validate(xml) {
     if (xmlParser.validate(xml) !== true) {
@@ -361,9 +730,364 @@ class TaggingConfiguration extends S3ConfigBase {
   constructor(config) {
     super('tagging', config);
   }
+
+  /**
+   * The key-value pairs of the tag set
+   */
+  get tags() {
+    const { TagSet } = this.rawConfig.Tagging;
+    return [].concat((TagSet || {}).Tag || []).map(tag => ({
+      key: String(tag.Key),
+      value: tag.Value === undefined ? '' : String(tag.Value),
+    }));
+  }
 }
 TaggingConfiguration.EMPTY = new TaggingConfiguration(
   `<Tagging><TagSet /></Tagging>`,
 );
 
 exports.TaggingConfiguration = TaggingConfiguration;
+
+class S3VersioningConfiguration extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedXMLError();
+    }
+    const config = new S3VersioningConfiguration(xml);
+    const { VersioningConfiguration } = config.rawConfig;
+    if (
+      !VersioningConfiguration ||
+      !['Enabled', 'Suspended'].includes(VersioningConfiguration.Status)
+    ) {
+      throw malformedXMLError();
+    }
+    return config;
+  }
+
+  constructor(config) {
+    super('versioning', config);
+  }
+
+  /**
+   * Either Enabled or Suspended. Buckets that have never had versioning enabled have no
+   * versioning configuration.
+   */
+  get status() {
+    return this.rawConfig.VersioningConfiguration.Status;
+  }
+}
+S3VersioningConfiguration.EMPTY = new S3VersioningConfiguration(
+  '<VersioningConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/"/>',
+);
+
+S3VersioningConfiguration.ENABLED = new S3VersioningConfiguration(
+  '<VersioningConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    '<Status>Enabled</Status>' +
+    '</VersioningConfiguration>',
+);
+
+exports.S3VersioningConfiguration = S3VersioningConfiguration;
+
+const OBJECT_LOCK_MODES = ['GOVERNANCE', 'COMPLIANCE'];
+
+class S3ObjectLockConfiguration extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedXMLError();
+    }
+    const config = new S3ObjectLockConfiguration(xml);
+    const { ObjectLockConfiguration } = config.rawConfig;
+    if (
+      !ObjectLockConfiguration ||
+      ObjectLockConfiguration.ObjectLockEnabled !== 'Enabled'
+    ) {
+      throw malformedXMLError();
+    }
+    const { Rule } = ObjectLockConfiguration;
+    if (Rule !== undefined) {
+      const { DefaultRetention } = Rule;
+      if (
+        !DefaultRetention ||
+        typeof DefaultRetention !== 'object' ||
+        !OBJECT_LOCK_MODES.includes(DefaultRetention.Mode) ||
+        'Days' in DefaultRetention === 'Years' in DefaultRetention
+      ) {
+        throw malformedXMLError();
+      }
+      const period =
+        'Days' in DefaultRetention
+          ? DefaultRetention.Days
+          : DefaultRetention.Years;
+      if (!Number.isInteger(period) || period <= 0) {
+        throw new S3Error(
+          'InvalidArgument',
+          'Default retention period must be a positive integer value',
+          {
+            ArgumentName: 'Days' in DefaultRetention ? 'Days' : 'Years',
+            ArgumentValue: period,
+          },
+        );
+      }
+    }
+    return config;
+  }
+
+  constructor(config) {
+    super('object-lock', config);
+  }
+
+  /**
+   * Creates the retention of a new object from the default retention rule, or returns null if
+   * the configuration doesn't have one.
+   *
+   * @param {Date} [now]
+   */
+  createDefaultRetention(now = new Date()) {
+    const { Rule } = this.rawConfig.ObjectLockConfiguration;
+    if (!Rule) return null;
+    const { Mode, Days, Years } = Rule.DefaultRetention;
+    const retainUntilDate = new Date(now);
+    if (Days !== undefined) {
+      retainUntilDate.setUTCDate(retainUntilDate.getUTCDate() + Days);
+    } else {
+      retainUntilDate.setUTCFullYear(retainUntilDate.getUTCFullYear() + Years);
+    }
+    return S3ObjectRetention.create(Mode, retainUntilDate);
+  }
+}
+S3ObjectLockConfiguration.ENABLED = new S3ObjectLockConfiguration(
+  '<ObjectLockConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    '<ObjectLockEnabled>Enabled</ObjectLockEnabled>' +
+    '</ObjectLockConfiguration>',
+);
+
+exports.S3ObjectLockConfiguration = S3ObjectLockConfiguration;
+
+class S3ObjectRetention extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedXMLError();
+    }
+    const config = new S3ObjectRetention(xml);
+    const { Retention } = config.rawConfig;
+    if (
+      !Retention ||
+      !OBJECT_LOCK_MODES.includes(Retention.Mode) ||
+      isNaN(config.retainUntilDate)
+    ) {
+      throw malformedXMLError();
+    }
+    if (config.retainUntilDate <= new Date()) {
+      throw new S3Error(
+        'InvalidArgument',
+        'The retain until date must be in the future!',
+      );
+    }
+    return config;
+  }
+
+  /**
+   * Creates the retention specified by the x-amz-object-lock-mode and
+   * x-amz-object-lock-retain-until-date headers of a request, or null if the request doesn't
+   * specify one.
+   *
+   * @param {object} headers
+   */
+  static fromHeaders(headers) {
+    const mode = headers['x-amz-object-lock-mode'];
+    const retainUntilDate = headers['x-amz-object-lock-retain-until-date'];
+    if (mode === undefined && retainUntilDate === undefined) {
+      return null;
+    }
+    if (mode === undefined || retainUntilDate === undefined) {
+      throw new S3Error(
+        'InvalidArgument',
+        'x-amz-object-lock-retain-until-date and x-amz-object-lock-mode must both be supplied',
+      );
+    }
+    if (!OBJECT_LOCK_MODES.includes(mode)) {
+      throw new S3Error('InvalidArgument', 'Unknown wormMode directive.', {
+        ArgumentName: 'x-amz-object-lock-mode',
+        ArgumentValue: mode,
+      });
+    }
+    const date = new Date(retainUntilDate);
+    if (isNaN(date)) {
+      throw new S3Error(
+        'InvalidArgument',
+        'The retain until date must be provided in ISO 8601 format',
+        {
+          ArgumentName: 'x-amz-object-lock-retain-until-date',
+          ArgumentValue: retainUntilDate,
+        },
+      );
+    }
+    if (date <= new Date()) {
+      throw new S3Error(
+        'InvalidArgument',
+        'The retain until date must be in the future!',
+      );
+    }
+    return S3ObjectRetention.create(mode, date);
+  }
+
+  static create(mode, retainUntilDate) {
+    const parser = new xmlParser.j2xParser({ ignoreAttributes: false });
+    return new S3ObjectRetention(
+      parser.parse({
+        Retention: {
+          '@_xmlns': 'http://s3.amazonaws.com/doc/2006-03-01/',
+          Mode: mode,
+          RetainUntilDate: retainUntilDate.toISOString(),
+        },
+      }),
+    );
+  }
+
+  constructor(config) {
+    // dates must be preserved as strings
+    super('retention', config, { parseNodeValue: false });
+  }
+
+  /**
+   * Either GOVERNANCE or COMPLIANCE
+   */
+  get mode() {
+    return this.rawConfig.Retention.Mode;
+  }
+
+  get retainUntilDate() {
+    return new Date(this.rawConfig.Retention.RetainUntilDate);
+  }
+
+  /**
+   * Whether the retention period protects its object version at a given time.
+   *
+   * @param {Date} [now]
+   */
+  isActive(now = new Date()) {
+    return this.retainUntilDate > now;
+  }
+}
+
+exports.S3ObjectRetention = S3ObjectRetention;
+
+class S3ObjectLegalHold extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedXMLError();
+    }
+    const config = new S3ObjectLegalHold(xml);
+    const { LegalHold } = config.rawConfig;
+    if (!LegalHold || !['ON', 'OFF'].includes(LegalHold.Status)) {
+      throw malformedXMLError();
+    }
+    return config;
+  }
+
+  /**
+   * Creates the legal hold specified by the x-amz-object-lock-legal-hold header of a request, or
+   * null if the request doesn't specify one.
+   *
+   * @param {object} headers
+   */
+  static fromHeaders(headers) {
+    const status = headers['x-amz-object-lock-legal-hold'];
+    if (status === undefined) return null;
+    if (!['ON', 'OFF'].includes(status)) {
+      throw new S3Error(
+        'InvalidArgument',
+        "Legal Hold must be either of 'ON' or 'OFF'",
+        {
+          ArgumentName: 'x-amz-object-lock-legal-hold',
+          ArgumentValue: status,
+        },
+      );
+    }
+    const parser = new xmlParser.j2xParser({ ignoreAttributes: false });
+    return new S3ObjectLegalHold(
+      parser.parse({
+        LegalHold: {
+          '@_xmlns': 'http://s3.amazonaws.com/doc/2006-03-01/',
+          Status: status,
+        },
+      }),
+    );
+  }
+
+  constructor(config) {
+    super('legal-hold', config);
+  }
+
+  /**
+   * Either ON or OFF
+   */
+  get status() {
+    return this.rawConfig.LegalHold.Status;
+  }
+}
+
+exports.S3ObjectLegalHold = S3ObjectLegalHold;
+
+class S3LifecycleConfiguration extends S3ConfigBase {
+  static validate(xml) {
+    if (xmlParser.validate(xml) !== true) {
+      throw malformedXMLError();
+    }
+    const config = new S3LifecycleConfiguration(xml);
+    if (!config.rawConfig.LifecycleConfiguration || !config.rules.length) {
+      throw malformedXMLError();
+    }
+    if (config.rules.length > 1000) {
+      throw new S3Error(
+        'InvalidRequest',
+        'Lifecycle configuration should not have more than 1000 rules',
+      );
+    }
+    const ids = new Set();
+    for (const rule of config.rules) {
+      rule.validate();
+      if (rule.id === undefined) continue;
+      if (ids.has(rule.id)) {
+        throw new S3Error(
+          'InvalidArgument',
+          'Rule ID must be unique. Found same ID for more than one rule',
+          { ArgumentName: 'ID', ArgumentValue: rule.id },
+        );
+      }
+      ids.add(rule.id);
+    }
+    return config;
+  }
+
+  constructor(config) {
+    // IDs, prefixes and dates must be preserved as strings
+    super('lifecycle', config, { parseNodeValue: false });
+    const { LifecycleConfiguration } = this.rawConfig;
+    this.rules = []
+      .concat((LifecycleConfiguration && LifecycleConfiguration.Rule) || [])
+      .map(rule => new LifecycleRule(rule));
+  }
+
+  /**
+   * Gets the earliest date at which an enabled rule expires the current version of an object, or
+   * null if no rule applies to it.
+   *
+   * @param {S3Object} object
+   * @param {Array<{key: string, value: string}>} [tags] the object's tags
+   * @returns {{date: Date, ruleId: string}|null}
+   */
+  getExpiration(object, tags) {
+    let expiration = null;
+    for (const rule of this.rules) {
+      if (!rule.enabled || !rule.matches(object, tags)) continue;
+      const date = rule.getExpirationDate(object.lastModifiedDate);
+      if (date && (!expiration || date < expiration.date)) {
+        expiration = { date, ruleId: rule.id };
+      }
+    }
+    return expiration;
+  }
+}
+
+exports.S3LifecycleConfiguration = S3LifecycleConfiguration;
@@ -98,6 +98,7 @@ const s3Statuses = {
   BucketAlreadyExists: 409,
   BucketAlreadyOwnedByYou: 409,
   BucketNotEmpty: 409,
+  ConditionalRequestConflict: 409,
   CredentialsNotSupported: 400,
   CrossLocationLoggingProhibited: 403,
   EntityTooSmall: 400,
@@ -173,7 +174,19 @@ const s3Statuses = {
   BadRequest: 403,
   CORSResponse: 403,
   InvalidRedirectLocation: 400,
+  MalformedPolicy: 400,
+  MalformedTrailerError: 400,
   NoSuchCORSConfiguration: 404,
+  NoSuchObjectLockConfiguration: 404,
   NoSuchWebsiteConfiguration: 404,
+  ObjectLockConfigurationNotFoundError: 404,
   UnsupportedQuery: 404,
+  XAmzContentSHA256Mismatch: 400,
+
+  // STS errors
+  // https://docs.aws.amazon.com/STS/latest/APIReference/CommonErrors.html
+  InvalidAction: 400,
+  MalformedInput: 400,
+  MissingAuthenticationToken: 403,
+  ValidationError: 400,
 };
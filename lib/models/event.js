@@ -35,6 +35,13 @@ class S3Event {
       case 'Delete':
         eventName = 'ObjectRemoved:Delete';
         break;
+
+      case 'DeleteMarkerCreated':
+        eventName = 'ObjectRemoved:DeleteMarkerCreated';
+        break;
+    }
+    if (eventData.S3Item.versionId !== undefined) {
+      s3Object.versionId = eventData.S3Item.versionId;
     }
 
     return {
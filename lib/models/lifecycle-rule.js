@@ -0,0 +1,281 @@
+'use strict';
+
+const S3Error = require('./error');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A rule of a bucket's lifecycle configuration, which expires the objects, noncurrent versions and
+ * incomplete multipart uploads matching its filter.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/intro-lifecycle-rules.html}
+ */
+class LifecycleRule {
+  constructor(config) {
+    this.config = config;
+    this.id = config.ID;
+    this.enabled = config.Status === 'Enabled';
+
+    // rules may specify a prefix instead of a filter for backwards compatibility
+    const filter = config.Filter || { Prefix: config.Prefix };
+    const conditions = filter.And || filter;
+    this.filter = {
+      prefix: conditions.Prefix || '',
+      tags: [].concat(conditions.Tag || []).map(tag => ({
+        key: tag.Key,
+        value: tag.Value || '',
+      })),
+      sizeGreaterThan: parseNumber(conditions.ObjectSizeGreaterThan),
+      sizeLessThan: parseNumber(conditions.ObjectSizeLessThan),
+    };
+
+    const {
+      Expiration,
+      NoncurrentVersionExpiration,
+      AbortIncompleteMultipartUpload,
+    } = config;
+    if (Expiration) {
+      this.expiration = {
+        days: parseNumber(Expiration.Days),
+        date:
+          Expiration.Date === undefined ? undefined : new Date(Expiration.Date),
+        expiredObjectDeleteMarker:
+          Expiration.ExpiredObjectDeleteMarker === 'true',
+      };
+    }
+    if (NoncurrentVersionExpiration) {
+      this.noncurrentVersionExpiration = {
+        noncurrentDays: parseNumber(NoncurrentVersionExpiration.NoncurrentDays),
+        newerNoncurrentVersions: parseNumber(
+          NoncurrentVersionExpiration.NewerNoncurrentVersions,
+        ),
+      };
+    }
+    if (AbortIncompleteMultipartUpload) {
+      this.abortIncompleteMultipartUpload = {
+        daysAfterInitiation: parseNumber(
+          AbortIncompleteMultipartUpload.DaysAfterInitiation,
+        ),
+      };
+    }
+  }
+
+  /**
+   * Throws if the rule doesn't conform to S3's spec.
+   */
+  validate() {
+    const { config } = this;
+    if (!['Enabled', 'Disabled'].includes(config.Status)) {
+      throw malformedXMLError();
+    }
+    if (this.id !== undefined && String(this.id).length > 255) {
+      throw new S3Error(
+        'InvalidArgument',
+        'ID length should not exceed allowed limit of 255',
+        { ArgumentName: 'ID', ArgumentValue: this.id },
+      );
+    }
+    if (config.Filter !== undefined && config.Prefix !== undefined) {
+      throw malformedXMLError();
+    }
+    const filter = config.Filter || {};
+    if (!filter.And) {
+      // filters without an And element can only have a single condition
+      const conditions = [
+        'Prefix',
+        'Tag',
+        'ObjectSizeGreaterThan',
+        'ObjectSizeLessThan',
+      ].filter(condition => filter[condition] !== undefined);
+      if (conditions.length > 1 || Array.isArray(filter.Tag)) {
+        throw malformedXMLError();
+      }
+    }
+    if (this.filter.tags.some(tag => !tag.key)) {
+      throw malformedXMLError();
+    }
+    for (const [name, value] of [
+      ['ObjectSizeGreaterThan', this.filter.sizeGreaterThan],
+      ['ObjectSizeLessThan', this.filter.sizeLessThan],
+    ]) {
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        throw new S3Error(
+          'InvalidArgument',
+          `'${name}' should be a non-negative integer`,
+          { ArgumentName: name, ArgumentValue: value },
+        );
+      }
+    }
+    if (
+      this.filter.sizeGreaterThan !== undefined &&
+      this.filter.sizeLessThan !== undefined &&
+      this.filter.sizeGreaterThan >= this.filter.sizeLessThan
+    ) {
+      throw new S3Error(
+        'InvalidArgument',
+        'ObjectSizeGreaterThan must be less than ObjectSizeLessThan',
+      );
+    }
+
+    if (
+      !this.expiration &&
+      !this.noncurrentVersionExpiration &&
+      !this.abortIncompleteMultipartUpload
+    ) {
+      throw new S3Error(
+        'InvalidRequest',
+        'At least one action needs to be specified in a rule',
+      );
+    }
+    if (this.expiration) {
+      const { days, date, expiredObjectDeleteMarker } = this.expiration;
+      const actions = [
+        days,
+        date,
+        expiredObjectDeleteMarker || undefined,
+      ].filter(action => action !== undefined);
+      if (actions.length !== 1) {
+        throw malformedXMLError();
+      }
+      if (days !== undefined) {
+        requirePositiveInteger(days, 'Days', 'Expiration');
+      }
+      if (date !== undefined && (isNaN(date) || date.getTime() % DAY)) {
+        throw new S3Error('InvalidArgument', "'Date' must be at midnight GMT", {
+          ArgumentName: 'Date',
+          ArgumentValue: this.config.Expiration.Date,
+        });
+      }
+      if (expiredObjectDeleteMarker && this.filter.tags.length) {
+        throw new S3Error(
+          'InvalidRequest',
+          'ExpiredObjectDeleteMarker cannot be specified with Tags.',
+        );
+      }
+    }
+    if (this.noncurrentVersionExpiration) {
+      const {
+        noncurrentDays,
+        newerNoncurrentVersions,
+      } = this.noncurrentVersionExpiration;
+      requirePositiveInteger(
+        noncurrentDays,
+        'NoncurrentDays',
+        'NoncurrentVersionExpiration',
+      );
+      if (newerNoncurrentVersions !== undefined) {
+        requirePositiveInteger(
+          newerNoncurrentVersions,
+          'NewerNoncurrentVersions',
+          'NoncurrentVersionExpiration',
+        );
+      }
+    }
+    if (this.abortIncompleteMultipartUpload) {
+      requirePositiveInteger(
+        this.abortIncompleteMultipartUpload.daysAfterInitiation,
+        'DaysAfterInitiation',
+        'AbortIncompleteMultipartUpload',
+      );
+      if (this.filter.tags.length) {
+        throw new S3Error(
+          'InvalidRequest',
+          'AbortIncompleteMultipartUpload cannot be specified with Tags.',
+        );
+      }
+    }
+  }
+
+  /**
+   * Determines whether an object matches the rule's filter.
+   *
+   * @param {object} object
+   * @param {string} object.key
+   * @param {number} [object.size] the size of the object, unless it's a delete marker or an upload
+   * @param {Array<{key: string, value: string}>} [tags] the object's tags
+   */
+  matches({ key, size }, tags = []) {
+    const { prefix, sizeGreaterThan, sizeLessThan } = this.filter;
+    return (
+      key.startsWith(prefix) &&
+      this.filter.tags.every(required =>
+        tags.some(
+          tag => tag.key === required.key && tag.value === required.value,
+        ),
+      ) &&
+      (sizeGreaterThan === undefined || size > sizeGreaterThan) &&
+      (sizeLessThan === undefined || size < sizeLessThan)
+    );
+  }
+
+  /**
+   * Gets the date at which the current version of an object expires, if the rule expires objects.
+   *
+   * @param {Date} lastModifiedDate
+   */
+  getExpirationDate(lastModifiedDate) {
+    if (!this.expiration) return undefined;
+    const { days, date } = this.expiration;
+    return days === undefined ? date : addDays(lastModifiedDate, days);
+  }
+
+  /**
+   * Gets the date at which a noncurrent version expires, if the rule expires noncurrent versions.
+   *
+   * @param {Date} noncurrentDate when the version became noncurrent
+   */
+  getNoncurrentExpirationDate(noncurrentDate) {
+    if (!this.noncurrentVersionExpiration) return undefined;
+    return addDays(
+      noncurrentDate,
+      this.noncurrentVersionExpiration.noncurrentDays,
+    );
+  }
+
+  /**
+   * Gets the date at which an incomplete multipart upload is aborted, if the rule aborts uploads.
+   *
+   * @param {Date} initiatedDate
+   */
+  getAbortDate(initiatedDate) {
+    if (!this.abortIncompleteMultipartUpload) return undefined;
+    return addDays(
+      initiatedDate,
+      this.abortIncompleteMultipartUpload.daysAfterInitiation,
+    );
+  }
+}
+
+/**
+ * Adds a number of days to a date, rounding the result up to the next midnight UTC as S3 does.
+ *
+ * @param {Date} date
+ * @param {number} days
+ */
+function addDays(date, days) {
+  return new Date(Math.ceil((date.getTime() + days * DAY) / DAY) * DAY);
+}
+
+function parseNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function requirePositiveInteger(value, name, action) {
+  if (!(Number.isInteger(value) && value > 0)) {
+    throw new S3Error(
+      'InvalidArgument',
+      `'${name}' for ${action} action must be a positive integer`,
+      { ArgumentName: name, ArgumentValue: value },
+    );
+  }
+}
+
+function malformedXMLError() {
+  return new S3Error(
+    'MalformedXML',
+    'The XML you provided was not well-formed or did not validate against ' +
+      'our published schema',
+  );
+}
+
+module.exports = LifecycleRule;
@@ -2,6 +2,8 @@
 
 const { pick, pickBy } = require('lodash');
 
+const { ALGORITHMS, getChecksumHeader } = require('../checksum');
+
 class S3Object {
   constructor(bucket, key, content, metadata) {
     this.bucket = bucket;
@@ -14,6 +16,7 @@ class S3Object {
       'last-modified',
       'etag',
       'content-length',
+      ...S3Object.CHECKSUM_HEADERS,
     ]);
     if (!this.metadata['content-type']) {
       this.metadata['content-type'] = 'binary/octet-stream';
@@ -41,4 +44,6 @@ S3Object.ALLOWED_METADATA = [
   'expires',
   'x-amz-website-redirect-location',
 ];
+// additional checksums verified when objects are uploaded
+S3Object.CHECKSUM_HEADERS = ALGORITHMS.map(getChecksumHeader);
 module.exports = S3Object;
@@ -0,0 +1,399 @@
+'use strict';
+
+const { escapeRegExp, isPlainObject } = require('lodash');
+const net = require('net');
+
+const S3Error = require('./error');
+
+// https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_policies_elements_condition_operators.html
+const CONDITION_OPERATORS = {
+  StringEquals: (value, expected) => value === expected,
+  StringNotEquals: (value, expected) => value !== expected,
+  StringEqualsIgnoreCase: (value, expected) =>
+    value.toLowerCase() === expected.toLowerCase(),
+  StringNotEqualsIgnoreCase: (value, expected) =>
+    value.toLowerCase() !== expected.toLowerCase(),
+  StringLike: (value, expected) => createWildcardRegExp(expected).test(value),
+  StringNotLike: (value, expected) =>
+    !createWildcardRegExp(expected).test(value),
+  NumericEquals: (value, expected) => Number(value) === Number(expected),
+  NumericNotEquals: (value, expected) => Number(value) !== Number(expected),
+  NumericLessThan: (value, expected) => Number(value) < Number(expected),
+  NumericLessThanEquals: (value, expected) => Number(value) <= Number(expected),
+  NumericGreaterThan: (value, expected) => Number(value) > Number(expected),
+  NumericGreaterThanEquals: (value, expected) =>
+    Number(value) >= Number(expected),
+  Bool: (value, expected) => value.toLowerCase() === expected.toLowerCase(),
+  IpAddress: (value, expected) => matchCidr(value, expected),
+  NotIpAddress: (value, expected) => !matchCidr(value, expected),
+};
+
+// negated operators match when none of their values match, rather than when any of them do
+const NEGATED_OPERATORS = new Set([
+  'StringNotEquals',
+  'StringNotEqualsIgnoreCase',
+  'StringNotLike',
+  'NumericNotEquals',
+  'NotIpAddress',
+]);
+
+/**
+ * A bucket policy document and its evaluation.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/using-iam-policies.html}
+ */
+class S3BucketPolicy {
+  /**
+   * Validates a policy document for a bucket.
+   *
+   * @param {string} json
+   * @param {string} bucket the name of the bucket the policy is for
+   * @returns {S3BucketPolicy}
+   */
+  static validate(json, bucket) {
+    if (Buffer.byteLength(json) > 20 * 1024) {
+      throw malformedPolicyError(
+        'Policy exceeds the maximum allowed document size.',
+      );
+    }
+    let policy;
+    try {
+      policy = new S3BucketPolicy(json);
+    } catch (err) {
+      if (err instanceof S3Error) throw err;
+      throw malformedPolicyError(
+        "Policies must be valid JSON and the first byte must be '{'",
+      );
+    }
+    const { Version, Statement } = policy.rawPolicy;
+    if (
+      Version !== undefined &&
+      !['2012-10-17', '2008-10-17'].includes(Version)
+    ) {
+      throw malformedPolicyError(
+        'The policy must contain a valid version string',
+      );
+    }
+    if (!Statement || ![].concat(Statement).length) {
+      throw malformedPolicyError('Missing required field Statement');
+    }
+    for (const statement of [].concat(Statement)) {
+      const resources = [].concat(statement.Resource || statement.NotResource);
+      for (const resource of resources) {
+        // resources must be within the bucket the policy is attached to
+        const resourceBucket = resource
+          .slice('arn:aws:s3:::'.length)
+          .split('/')[0];
+        if (!createWildcardRegExp(resourceBucket).test(bucket)) {
+          throw malformedPolicyError('Policy has invalid resource');
+        }
+      }
+    }
+    return policy;
+  }
+
+  /**
+   * Parses a policy document.
+   *
+   * @param {string} json
+   */
+  constructor(json) {
+    this.type = 'policy';
+    this.rawPolicy = JSON.parse(json);
+    if (!isPlainObject(this.rawPolicy)) {
+      throw malformedPolicyError(
+        "Policies must be valid JSON and the first byte must be '{'",
+      );
+    }
+    this.statements = []
+      .concat(this.rawPolicy.Statement || [])
+      .map(parseStatement);
+  }
+
+  toJSON() {
+    return this.rawPolicy;
+  }
+
+  /**
+   * Evaluates the policy's statements against a request.
+   *
+   * @param {object} request
+   * @param {string} [request.accountId] the ID of the account making the request, if signed
+   * @param {string} request.action e.g. s3:GetObject
+   * @param {string} request.resource the ARN of the requested bucket or object
+   * @param {object} request.conditionValues values of condition keys, keyed by lowercase name
+   * @returns {string|null} 'Deny' when a statement explicitly denies the request, 'Allow' when a
+   *   statement allows it, and null otherwise
+   */
+  evaluate(request) {
+    const matchingStatements = this.statements.filter(statement =>
+      matchStatement(statement, request),
+    );
+    if (matchingStatements.some(statement => statement.effect === 'Deny')) {
+      return 'Deny';
+    }
+    return matchingStatements.length ? 'Allow' : null;
+  }
+}
+module.exports = S3BucketPolicy;
+
+function parseStatement(statement) {
+  if (!isPlainObject(statement)) {
+    throw malformedPolicyError('Statement is not an object');
+  }
+  if (statement.Effect !== 'Allow' && statement.Effect !== 'Deny') {
+    throw malformedPolicyError(`Invalid effect: ${statement.Effect}`);
+  }
+  const parsed = { effect: statement.Effect };
+
+  if ('Principal' in statement === 'NotPrincipal' in statement) {
+    throw malformedPolicyError('Missing required field Principal');
+  }
+  if ('Principal' in statement) {
+    parsed.principals = parsePrincipal(statement.Principal);
+  } else {
+    parsed.notPrincipals = parsePrincipal(statement.NotPrincipal);
+  }
+
+  if ('Action' in statement === 'NotAction' in statement) {
+    throw malformedPolicyError('Missing required field Action');
+  }
+  const actions = [].concat(
+    'Action' in statement ? statement.Action : statement.NotAction,
+  );
+  if (
+    !actions.length ||
+    actions.some(
+      action => typeof action !== 'string' || !/^(\*|s3:[\w*?]+)$/.test(action),
+    )
+  ) {
+    throw malformedPolicyError('Policy has invalid action');
+  }
+  parsed[
+    'Action' in statement ? 'actions' : 'notActions'
+  ] = actions.map(action => createWildcardRegExp(action, 'i'));
+
+  if ('Resource' in statement === 'NotResource' in statement) {
+    throw malformedPolicyError('Missing required field Resource');
+  }
+  const resources = [].concat(
+    'Resource' in statement ? statement.Resource : statement.NotResource,
+  );
+  if (
+    !resources.length ||
+    resources.some(
+      resource =>
+        typeof resource !== 'string' || !/^arn:aws:s3:::[^/]+/.test(resource),
+    )
+  ) {
+    throw malformedPolicyError('Policy has invalid resource');
+  }
+  parsed[
+    'Resource' in statement ? 'resources' : 'notResources'
+  ] = resources.map(resource => createWildcardRegExp(resource));
+
+  parsed.conditions = parseConditions(statement.Condition || {});
+  return parsed;
+}
+
+/**
+ * Normalizes a policy principal into a list of account IDs, where '*' matches everyone.
+ *
+ * @param {string|object} principal
+ */
+function parsePrincipal(principal) {
+  if (principal === '*') return ['*'];
+  if (!isPlainObject(principal) || !Object.keys(principal).length) {
+    throw malformedPolicyError('Invalid principal in policy');
+  }
+  const accountIds = [];
+  for (const [type, values] of Object.entries(principal)) {
+    for (const value of [].concat(values)) {
+      if (typeof value !== 'string') {
+        throw malformedPolicyError('Invalid principal in policy');
+      }
+      switch (type) {
+        case 'AWS': {
+          const match = /^(?:arn:aws:iam::([^:]+):(?:root|user\/.+|role\/.+)|([^:]+))$/.exec(
+            value,
+          );
+          if (!match) {
+            throw malformedPolicyError('Invalid principal in policy');
+          }
+          accountIds.push(match[1] || match[2]);
+          break;
+        }
+        case 'CanonicalUser':
+          // S3rver uses account IDs as canonical user IDs
+          accountIds.push(value);
+          break;
+        case 'Service':
+        case 'Federated':
+          // never matches requests made to S3rver
+          break;
+        default:
+          throw malformedPolicyError('Invalid principal in policy');
+      }
+    }
+  }
+  return accountIds;
+}
+
+function parseConditions(condition) {
+  if (!isPlainObject(condition)) {
+    throw malformedPolicyError('Invalid Condition block');
+  }
+  const conditions = [];
+  for (const [operatorName, block] of Object.entries(condition)) {
+    const ifExists = operatorName.endsWith('IfExists');
+    const operator = ifExists
+      ? operatorName.slice(0, -'IfExists'.length)
+      : operatorName;
+    if (
+      !isPlainObject(block) ||
+      (!(operator in CONDITION_OPERATORS) && operator !== 'Null')
+    ) {
+      throw malformedPolicyError(`Invalid Condition type : ${operatorName}`);
+    }
+    for (const [key, values] of Object.entries(block)) {
+      const expected = [].concat(values).map(String);
+      if (
+        operator.endsWith('IpAddress') &&
+        expected.some(cidr => !parseCidr(cidr))
+      ) {
+        throw malformedPolicyError(
+          `Invalid Condition value for ${operatorName}: ${expected.join(', ')}`,
+        );
+      }
+      conditions.push({ operator, ifExists, key: key.toLowerCase(), expected });
+    }
+  }
+  return conditions;
+}
+
+function matchStatement(statement, request) {
+  const principalMatches = (
+    statement.principals || statement.notPrincipals
+  ).some(
+    principal =>
+      principal === '*' ||
+      (request.accountId !== undefined && principal === request.accountId),
+  );
+  if (principalMatches === !statement.principals) return false;
+
+  const actionMatches = (
+    statement.actions || statement.notActions
+  ).some(pattern => pattern.test(request.action));
+  if (actionMatches === !statement.actions) return false;
+
+  const resourceMatches = (
+    statement.resources || statement.notResources
+  ).some(pattern => pattern.test(request.resource));
+  if (resourceMatches === !statement.resources) return false;
+
+  return statement.conditions.every(condition =>
+    matchCondition(condition, request.conditionValues),
+  );
+}
+
+function matchCondition({ operator, ifExists, key, expected }, values) {
+  const value = values[key];
+  if (operator === 'Null') {
+    return (value === undefined) === (expected[0].toLowerCase() === 'true');
+  }
+  if (value === undefined) {
+    return ifExists || NEGATED_OPERATORS.has(operator);
+  }
+  const compare = CONDITION_OPERATORS[operator];
+  return NEGATED_OPERATORS.has(operator)
+    ? expected.every(expectedValue => compare(String(value), expectedValue))
+    : expected.some(expectedValue => compare(String(value), expectedValue));
+}
+
+function createWildcardRegExp(pattern, flags = '') {
+  return new RegExp(
+    `^${pattern
+      .split(/([*?])/)
+      .map(part => {
+        if (part === '*') return '.*';
+        if (part === '?') return '.';
+        return escapeRegExp(part);
+      })
+      .join('')}$`,
+    flags,
+  );
+}
+
+/**
+ * Parses an IP address or CIDR block into an array of bytes and a prefix length.
+ *
+ * @param {string} cidr
+ */
+function parseCidr(cidr) {
+  const [address, prefix, ...rest] = cidr.split('/');
+  const bytes = parseIp(address);
+  if (!bytes || rest.length) return null;
+  const prefixLength = prefix === undefined ? bytes.length * 8 : Number(prefix);
+  if (
+    !/^\d*$/.test(prefix || '') ||
+    prefixLength < 0 ||
+    prefixLength > bytes.length * 8
+  ) {
+    return null;
+  }
+  return { bytes, prefixLength };
+}
+
+function parseIp(address) {
+  // treat IPv4-mapped IPv6 addresses as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  switch (net.isIP(address)) {
+    case 4:
+      return address.split('.').map(Number);
+    case 6: {
+      const [head, tail = ''] = address.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+      // an embedded IPv4 address occupies the last two groups
+      const groups = [...headGroups, ...tailGroups].reduce(
+        (count, group) => count + (group.includes('.') ? 2 : 1),
+        0,
+      );
+      const expanded = [
+        ...headGroups,
+        ...Array(address.includes('::') ? 8 - groups : 0).fill('0'),
+        ...tailGroups,
+      ];
+      const bytes = [];
+      for (const group of expanded) {
+        if (group.includes('.')) {
+          bytes.push(...group.split('.').map(Number));
+        } else {
+          const value = parseInt(group, 16);
+          bytes.push(value >> 8, value & 0xff);
+        }
+      }
+      return bytes;
+    }
+    default:
+      return null;
+  }
+}
+
+function matchCidr(address, cidr) {
+  const bytes = parseIp(address);
+  const block = parseCidr(cidr);
+  if (!bytes || !block || bytes.length !== block.bytes.length) return false;
+  for (let bit = 0; bit < block.prefixLength; bit++) {
+    const mask = 0x80 >> bit % 8;
+    const byte = Math.floor(bit / 8);
+    if ((bytes[byte] & mask) !== (block.bytes[byte] & mask)) return false;
+  }
+  return true;
+}
+
+function malformedPolicyError(message) {
+  return new S3Error('MalformedPolicy', message);
+}
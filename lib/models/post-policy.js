@@ -0,0 +1,211 @@
+'use strict';
+
+const { Transform } = require('stream');
+
+const S3Error = require('./error');
+
+// form fields that don't need to be covered by the policy's conditions
+const UNCONDITIONED_FIELDS = [
+  'awsaccesskeyid',
+  'file',
+  'policy',
+  'signature',
+  'x-amz-signature',
+];
+
+/**
+ * Policy document that restricts what a browser-based upload may contain.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html}
+ */
+class S3PostPolicy {
+  /**
+   * Decodes a base64-encoded policy document.
+   *
+   * @param {string} encodedPolicy the value of the policy form field
+   */
+  static parse(encodedPolicy) {
+    let policy;
+    try {
+      policy = JSON.parse(Buffer.from(encodedPolicy, 'base64').toString());
+    } catch (err) {
+      throw invalidPolicyError('Invalid JSON.');
+    }
+    if (!policy || typeof policy !== 'object') {
+      throw invalidPolicyError('Invalid JSON.');
+    }
+    if (!policy.expiration) {
+      throw invalidPolicyError('Policy missing expiration.');
+    }
+    const expiration = new Date(policy.expiration);
+    if (typeof policy.expiration !== 'string' || isNaN(expiration)) {
+      throw invalidPolicyError(
+        `Invalid 'expiration' value: '${policy.expiration}'`,
+      );
+    }
+    if (!Array.isArray(policy.conditions)) {
+      throw invalidPolicyError('Policy missing conditions.');
+    }
+    return new S3PostPolicy(expiration, policy.conditions.map(parseCondition));
+  }
+
+  constructor(expiration, conditions) {
+    this.expiration = expiration;
+    this.conditions = conditions;
+  }
+
+  /**
+   * Throws AccessDenied unless the policy is unexpired and the fields of an upload satisfy all of
+   * its conditions.
+   *
+   * @param {object} fields the form fields of the request, keyed by their lowercase names
+   * @param {string} bucket the bucket being uploaded to
+   */
+  validate(fields, bucket) {
+    if (new Date() > this.expiration) {
+      throw policyViolationError('Policy expired.');
+    }
+
+    const values = { ...fields, bucket };
+    const conditionedFields = new Set();
+    for (const condition of this.conditions) {
+      if (condition.operator === 'content-length-range') continue;
+      conditionedFields.add(condition.field);
+
+      const value = values[condition.field];
+      const satisfied =
+        value !== undefined &&
+        (condition.operator === 'eq'
+          ? value === condition.value
+          : value.startsWith(condition.value));
+      if (!satisfied) {
+        throw policyViolationError(
+          `Policy Condition failed: ${JSON.stringify(condition.source)}`,
+        );
+      }
+    }
+
+    const extraFields = Object.keys(fields).filter(
+      field =>
+        !UNCONDITIONED_FIELDS.includes(field) &&
+        !field.startsWith('x-ignore-') &&
+        !conditionedFields.has(field),
+    );
+    if (extraFields.length) {
+      throw policyViolationError(
+        `Extra input fields: ${extraFields.join(', ')}`,
+      );
+    }
+  }
+
+  /**
+   * Wraps the content of an upload so that it errors with EntityTooSmall or EntityTooLarge once
+   * it ends if its size is outside the policy's content-length-range.
+   *
+   * @param {Buffer|stream.Readable} content
+   */
+  limitContentLength(content) {
+    const range = this.conditions.find(
+      condition => condition.operator === 'content-length-range',
+    );
+    if (!range) return content;
+
+    if (Buffer.isBuffer(content)) {
+      const err = checkContentLength(content.length, range);
+      if (err) throw err;
+      return content;
+    }
+    let size = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        callback(checkContentLength(size, range));
+      },
+    });
+    content.once('error', err => limiter.destroy(err));
+    // only start reading once the limited stream is consumed so that its error isn't emitted
+    // before its consumer can listen for it
+    limiter.once('resume', () => content.pipe(limiter));
+    return limiter;
+  }
+}
+
+/**
+ * Parses a condition, which is either an object specifying an exact match for a field or an array
+ * of an operator and its operands.
+ *
+ * @param {object|Array} condition
+ */
+function parseCondition(condition) {
+  if (Array.isArray(condition)) {
+    const [operator, ...operands] = condition;
+    switch (String(operator).toLowerCase()) {
+      case 'eq':
+      case 'starts-with':
+        if (
+          operands.length === 2 &&
+          typeof operands[0] === 'string' &&
+          operands[0].startsWith('$') &&
+          typeof operands[1] === 'string'
+        ) {
+          return {
+            operator: operator.toLowerCase(),
+            field: operands[0].slice(1).toLowerCase(),
+            value: operands[1],
+            source: condition,
+          };
+        }
+        break;
+      case 'content-length-range': {
+        const [min, max] = operands.map(Number);
+        if (operands.length === 2 && min >= 0 && max >= min) {
+          return { operator: 'content-length-range', min, max };
+        }
+        break;
+      }
+    }
+  } else if (condition && typeof condition === 'object') {
+    const entries = Object.entries(condition);
+    if (entries.length === 1 && typeof entries[0][1] === 'string') {
+      const [[field, value]] = entries;
+      return {
+        operator: 'eq',
+        field: field.toLowerCase(),
+        value,
+        source: ['eq', `$${field}`, value],
+      };
+    }
+  }
+  throw invalidPolicyError(`Invalid Condition: ${JSON.stringify(condition)}`);
+}
+
+function checkContentLength(size, { min, max }) {
+  if (size > max) {
+    return new S3Error(
+      'EntityTooLarge',
+      'Your proposed upload exceeds the maximum allowed size',
+      { ProposedSize: size, MaxSizeAllowed: max },
+    );
+  }
+  if (size < min) {
+    return new S3Error(
+      'EntityTooSmall',
+      'Your proposed upload is smaller than the minimum allowed size',
+      { ProposedSize: size, MinSizeAllowed: min },
+    );
+  }
+  return null;
+}
+
+function invalidPolicyError(message) {
+  return new S3Error('InvalidPolicyDocument', `Invalid Policy: ${message}`);
+}
+
+function policyViolationError(message) {
+  return new S3Error('AccessDenied', `Invalid according to Policy: ${message}`);
+}
+
+module.exports = S3PostPolicy;
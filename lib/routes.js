@@ -6,7 +6,9 @@ const { union } = require('lodash');
 const bucketCtrl = require('./controllers/bucket');
 const objectCtrl = require('./controllers/object');
 const serviceCtrl = require('./controllers/service');
+const stsCtrl = require('./controllers/sts');
 const authenticationMiddleware = require('./middleware/authentication');
+const authorizationMiddleware = require('./middleware/authorization');
 const corsMiddleware = require('./middleware/cors');
 const responseHeaderOverrideMiddleware = require('./middleware/response-header-override');
 const websiteMiddleware = require('./middleware/website');
@@ -50,9 +52,26 @@ router.all('/:bucket/:key*', corsMiddleware());
 router.use('/:bucket/:key*', websiteMiddleware());
 router.use('/:bucket?/:key*', authenticationMiddleware());
 router.use('/:bucket/:key*', responseHeaderOverrideMiddleware());
+router.use('/:bucket/:key*', authorizationMiddleware());
 
 router.get('/', serviceCtrl.getService);
 
+// the service endpoint also accepts STS requests for temporary credentials
+router.post('/', stsCtrl.parseRequest, ctx => {
+  const { Action } = ctx.state.stsParams;
+  switch (Action) {
+    case 'AssumeRole':
+      return stsCtrl.assumeRole(ctx);
+    case 'GetSessionToken':
+      return stsCtrl.getSessionToken(ctx);
+    default:
+      throw new S3Error(
+        'InvalidAction',
+        `Could not find operation ${Action} for version 2011-06-15`,
+      );
+  }
+});
+
 router
   .use('/:bucket', queryMethod(bucketCtrl.METHODS))
   .delete('/:bucket', bucketCtrl.bucketExists, ctx => {
@@ -61,14 +80,16 @@ router
         return bucketCtrl.deleteBucket(ctx);
       case 'cors':
         return bucketCtrl.deleteBucketCors(ctx);
+      case 'lifecycle':
+        return bucketCtrl.deleteBucketLifecycle(ctx);
+      case 'policy':
+        return bucketCtrl.deleteBucketPolicy(ctx);
       case 'website':
         return bucketCtrl.deleteBucketWebsite(ctx);
       case 'analysis':
       case 'encryption':
-      case 'lifecycle':
       case 'publicAccessBlock':
       case 'metrics':
-      case 'policy':
       case 'replication':
       case 'tagging':
         throw new S3Error(
@@ -83,28 +104,37 @@ router
     switch (ctx.params.queryMethod) {
       case undefined:
         return bucketCtrl.getBucket(ctx);
+      case 'acl':
+        return bucketCtrl.getBucketAcl(ctx);
       case 'cors':
         return bucketCtrl.getBucketCors(ctx);
+      case 'lifecycle':
+        return bucketCtrl.getBucketLifecycleConfiguration(ctx);
       case 'location':
         return bucketCtrl.getBucketLocation(ctx);
+      case 'object-lock':
+        return bucketCtrl.getBucketObjectLockConfiguration(ctx);
+      case 'policy':
+        return bucketCtrl.getBucketPolicy(ctx);
+      case 'versioning':
+        return bucketCtrl.getBucketVersioning(ctx);
+      case 'uploads':
+        return bucketCtrl.getBucketUploads(ctx);
+      case 'versions':
+        return bucketCtrl.getBucketVersions(ctx);
       case 'website':
         return bucketCtrl.getBucketWebsite(ctx);
-      case 'acl':
       case 'analytics':
       case 'encryption':
       case 'inventory':
-      case 'lifecycle':
       case 'logging':
       case 'metrics':
       case 'notification':
-      case 'object-lock':
       case 'policyStatus':
       case 'publicAccessBlock':
       case 'replication':
       case 'requestPayment':
       case 'tagging':
-      case 'uploads':
-      case 'versioning':
         throw new S3Error(
           'NotImplemented',
           'A parameter you provided implies functionality that is not implemented',
@@ -130,25 +160,31 @@ router
     switch (ctx.params.queryMethod) {
       case undefined:
         return bucketCtrl.putBucket(ctx);
+      case 'acl':
+        return bucketCtrl.putBucketAcl(ctx);
       case 'cors':
         return bucketCtrl.putBucketCors(ctx);
+      case 'lifecycle':
+        return bucketCtrl.putBucketLifecycleConfiguration(ctx);
+      case 'object-lock':
+        return bucketCtrl.putBucketObjectLockConfiguration(ctx);
+      case 'policy':
+        return bucketCtrl.putBucketPolicy(ctx);
+      case 'versioning':
+        return bucketCtrl.putBucketVersioning(ctx);
       case 'website':
         return bucketCtrl.putBucketWebsite(ctx);
       case 'accelerate':
-      case 'acl':
       case 'analytics':
       case 'encryption':
       case 'inventory':
-      case 'lifecycle':
       case 'logging':
       case 'metrics':
       case 'notification':
-      case 'policy':
       case 'publicAccessBlock':
       case 'replication':
       case 'requestPayment':
       case 'tagging':
-      case 'versioning':
         throw new S3Error(
           'NotImplemented',
           'A parameter you provided implies functionality that is not implemented',
@@ -165,6 +201,8 @@ router
     switch (ctx.params.queryMethod) {
       case undefined:
         return objectCtrl.deleteObject(ctx);
+      case 'uploadId':
+        return objectCtrl.abortMultipartUpload(ctx);
       case 'tagging':
         throw new S3Error('NotImplemented');
       default:
@@ -177,10 +215,14 @@ router
         return objectCtrl.getObject(ctx);
       case 'acl':
         return objectCtrl.getObjectAcl(ctx);
-      case 'tagging':
-        return objectCtrl.getObjectTagging(ctx);
       case 'legal-hold':
+        return objectCtrl.getObjectLegalHold(ctx);
       case 'retention':
+        return objectCtrl.getObjectRetention(ctx);
+      case 'tagging':
+        return objectCtrl.getObjectTagging(ctx);
+      case 'uploadId':
+        return objectCtrl.listParts(ctx);
       case 'torrent':
         throw new S3Error(
           'NotImplemented',
@@ -210,20 +252,17 @@ router
           ? objectCtrl.putObjectCopy(ctx)
           : objectCtrl.putObject(ctx);
       case 'uploadId':
-        if ('x-amz-copy-source' in ctx.headers) {
-          throw new S3Error(
-            'NotImplemented',
-            'A header you provided implies functionality that is not implemented',
-          );
-        }
-        return objectCtrl.uploadPart(ctx);
+        return 'x-amz-copy-source' in ctx.headers
+          ? objectCtrl.uploadPartCopy(ctx)
+          : objectCtrl.uploadPart(ctx);
+      case 'acl':
+        return objectCtrl.putObjectAcl(ctx);
+      case 'legal-hold':
+        return objectCtrl.putObjectLegalHold(ctx);
+      case 'retention':
+        return objectCtrl.putObjectRetention(ctx);
       case 'tagging':
         return objectCtrl.putObjectTagging(ctx);
-      case 'acl':
-        throw new S3Error(
-          'NotImplemented',
-          'A parameter you provided implies functionality that is not implemented',
-        );
       default:
         ctx.state.methodIsNotAllowed = true;
     }
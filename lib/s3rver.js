@@ -10,8 +10,10 @@ const os = require('os');
 const path = require('path');
 const { callbackify, format, promisify } = require('util');
 
+const { runLifecycle } = require('./lifecycle');
 const loggerMiddleware = require('./middleware/logger');
 const vhostMiddleware = require('./middleware/vhost');
+const AWSAccount = require('./models/account');
 const { getConfigModel } = require('./models/config');
 const S3Error = require('./models/error');
 const FilesystemStore = require('./stores/filesystem');
@@ -28,8 +30,12 @@ class S3rver extends Koa {
       directory,
       resetOnClose,
       allowMismatchedSignatures,
+      maxAllowedSkew,
+      minPartSize,
+      lifecycleInterval,
       vhostBuckets,
       configureBuckets,
+      accounts,
       ...serverOptions
     } = defaults({}, options, S3rver.defaultOptions);
     this.serverOptions = serverOptions;
@@ -37,8 +43,27 @@ class S3rver extends Koa {
     this.silent = silent;
     this.resetOnClose = resetOnClose;
     this.allowMismatchedSignatures = allowMismatchedSignatures;
+    this.maxAllowedSkew = maxAllowedSkew;
+    this.minPartSize = minPartSize;
+    this.lifecycleInterval = lifecycleInterval;
     this.store = this.context.store = new FilesystemStore(directory);
 
+    // accounts are registered globally once the server handles requests until it's closed, along
+    // with the accounts of the session credentials it issues, keyed by their access key IDs
+    this.accounts = accounts.map(
+      ({ id, displayName, accessKeys = [], trustedAccounts = [] }) => {
+        const account = new AWSAccount(id, displayName);
+        for (const { accessKeyId, secretAccessKey } of accessKeys) {
+          account.createKeyPair(accessKeyId, secretAccessKey);
+        }
+        for (const accountId of trustedAccounts) {
+          account.trustedAccountIds.add(String(accountId));
+        }
+        return account;
+      },
+    );
+    this.sessionAccounts = new Map();
+
     // Log all requests
     this.use(loggerMiddleware(this, silent));
 
@@ -88,6 +113,9 @@ class S3rver extends Koa {
           const xml = configXml.toString();
           let Model;
           switch (getXmlRootTag(xml)) {
+            case 'AccessControlPolicy':
+              Model = getConfigModel('acl');
+              break;
             case 'CORSConfiguration':
               Model = getConfigModel('cors');
               break;
@@ -132,6 +160,16 @@ class S3rver extends Koa {
     this.store.reset();
   }
 
+  /**
+   * Applies the lifecycle configurations of all buckets as if it were a given time, which allows
+   * expirations to be triggered without waiting for them.
+   *
+   * @param {Date} [now]
+   */
+  async runLifecycle(now = new Date()) {
+    await runLifecycle(this.store, now, this.logger);
+  }
+
   /**
    * Starts the HTTP server.
    *
@@ -156,6 +194,41 @@ class S3rver extends Koa {
     }
   }
 
+  /**
+   * Creates a callback that can be passed into http.createServer() or mounted in an Express app,
+   * registering the server's accounts and periodically applying lifecycle configurations until
+   * it's closed.
+   *
+   * @returns {Function}
+   */
+  callback() {
+    if (!this._deactivate) {
+      for (const account of this.accounts) {
+        account.register();
+      }
+      const lifecycleTimer =
+        this.lifecycleInterval > 0 &&
+        setInterval(() => {
+          this.runLifecycle().catch(err => {
+            this.logger.error('Failed to apply lifecycle rules: %s', err.stack);
+          });
+        }, this.lifecycleInterval).unref();
+      this._deactivate = () => {
+        clearInterval(lifecycleTimer);
+        // keep other servers in the same process from accepting the server's credentials
+        for (const account of this.accounts) {
+          account.unregister();
+        }
+        for (const [accessKeyId, account] of this.sessionAccounts) {
+          account.revokeAccessKey(accessKeyId);
+        }
+        this.sessionAccounts.clear();
+        this._deactivate = null;
+      };
+    }
+    return super.callback();
+  }
+
   listen(...args) {
     const { key, cert, pfx } = this.serverOptions;
     const server =
@@ -165,6 +238,7 @@ class S3rver extends Koa {
 
     const [callback] = args.slice(-1);
     server.on('request', this.callback()).on('close', () => {
+      if (this._deactivate) this._deactivate();
       this.logger.exceptions.unhandle();
       this.logger.close();
       if (this.resetOnClose) {
@@ -181,12 +255,22 @@ class S3rver extends Koa {
   }
 
   /**
-   * Proxies httpServer.close().
+   * Proxies httpServer.close(). A server that was only used through callback() just unregisters
+   * its accounts and stops applying lifecycle configurations.
    *
    * @param {Function} [callback]
    * @returns {this|Promise}
    */
   close(callback) {
+    if (!this.httpServer && this._deactivate) {
+      this._deactivate();
+      if (typeof callback === 'function') {
+        callback();
+        return this;
+      } else {
+        return Promise.resolve();
+      }
+    }
     if (!this.httpServer) {
       const err = new Error('Not running');
       if (typeof callback === 'function') {
@@ -214,8 +298,12 @@ S3rver.defaultOptions = {
   directory: path.join(os.tmpdir(), 's3rver'),
   resetOnClose: false,
   allowMismatchedSignatures: false,
+  maxAllowedSkew: 15 * 60 * 1000,
+  minPartSize: 5 * 1024 * 1024,
+  lifecycleInterval: 60 * 60 * 1000,
   vhostBuckets: true,
   configureBuckets: [],
+  accounts: [],
 };
 S3rver.prototype.getMiddleware = S3rver.prototype.callback;
 
@@ -0,0 +1,262 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { Transform } = require('stream');
+
+const S3Error = require('../models/error');
+const { calculateSignature, getCredentialScope } = require('./v4');
+
+const CRLF = Buffer.from('\r\n');
+const EMPTY_SHA256 = createHash('sha256').digest('hex');
+
+// chunk headers are short; anything longer means the body isn't aws-chunked
+const MAX_LINE_LENGTH = 4096;
+
+/**
+ * Transform stream that decodes an aws-chunked request body, optionally verifying the signature
+ * of each chunk (and of any trailing headers) against the seed signature of the request.
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming.html}
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-streaming-trailers.html}
+ */
+class AWSChunkedDecoder extends Transform {
+  /**
+   * @param {object} options
+   * @param {object} [options.signature] the verified V4 signature of the request, including its
+   *   signing key. Chunk signatures are only verified when this is specified.
+   * @param {number} [options.decodedContentLength] expected length of the decoded body
+   * @param {string[]} [options.trailers] names of the headers expected after the final chunk
+   * @param {boolean} [options.signedTrailers] whether the trailing headers must be signed, as they
+   *   are with STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER
+   */
+  constructor({
+    signature,
+    decodedContentLength,
+    trailers = [],
+    signedTrailers = false,
+  } = {}) {
+    super();
+    this.signature = signature;
+    this.signedTrailers = signedTrailers;
+    this.decodedContentLength = decodedContentLength;
+    this.expectedTrailers = trailers;
+    this.previousSignature = signature && signature.signatureProvided;
+
+    this.trailers = {};
+    this.decodedLength = 0;
+    this.state = 'header';
+    this.buffer = Buffer.alloc(0);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = this.buffer.length
+      ? Buffer.concat([this.buffer, chunk])
+      : chunk;
+    try {
+      this.processBuffer();
+    } catch (err) {
+      return callback(err);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.state !== 'done') {
+      return callback(
+        new S3Error(
+          'IncompleteBody',
+          'The request body terminated unexpectedly',
+        ),
+      );
+    }
+    if (
+      this.decodedContentLength !== undefined &&
+      this.decodedLength !== this.decodedContentLength
+    ) {
+      return callback(
+        new S3Error(
+          'IncompleteBody',
+          'You did not provide the number of bytes specified by the ' +
+            'x-amz-decoded-content-length HTTP header',
+        ),
+      );
+    }
+    const missingTrailers = this.expectedTrailers.filter(
+      name => !(name in this.trailers),
+    );
+    if (missingTrailers.length) {
+      return callback(malformedTrailerError());
+    }
+    callback();
+  }
+
+  processBuffer() {
+    while (this.buffer.length) {
+      switch (this.state) {
+        case 'header': {
+          const line = this.readLine();
+          if (line === undefined) return;
+          this.parseChunkHeader(line);
+          break;
+        }
+        case 'data': {
+          const data = this.buffer.slice(0, this.chunkRemaining);
+          this.buffer = this.buffer.slice(data.length);
+          this.chunkRemaining -= data.length;
+          this.decodedLength += data.length;
+          if (this.chunkHash) this.chunkHash.update(data);
+          this.push(data);
+          if (!this.chunkRemaining) {
+            this.state = 'data-end';
+          }
+          break;
+        }
+        case 'data-end': {
+          if (this.buffer.length < CRLF.length) return;
+          if (!this.buffer.slice(0, CRLF.length).equals(CRLF)) {
+            throw malformedChunkError();
+          }
+          this.buffer = this.buffer.slice(CRLF.length);
+          this.verifyChunk();
+          this.state = 'header';
+          break;
+        }
+        case 'trailer': {
+          const line = this.readLine();
+          if (line === undefined) return;
+          if (line) {
+            const idx = line.indexOf(':');
+            if (idx === -1) throw malformedTrailerError();
+            this.trailers[line.slice(0, idx).toLowerCase()] = line
+              .slice(idx + 1)
+              .trim();
+          } else {
+            this.verifyTrailers();
+            this.state = 'done';
+          }
+          break;
+        }
+        case 'done':
+          // ignore anything sent after the terminating chunk
+          this.buffer = Buffer.alloc(0);
+          return;
+      }
+    }
+  }
+
+  readLine() {
+    const idx = this.buffer.indexOf(CRLF);
+    if (idx === -1) {
+      if (this.buffer.length > MAX_LINE_LENGTH) throw malformedChunkError();
+      return undefined;
+    }
+    const line = this.buffer.slice(0, idx).toString('utf8');
+    this.buffer = this.buffer.slice(idx + CRLF.length);
+    return line;
+  }
+
+  parseChunkHeader(line) {
+    const [size, ...extensions] = line.split(';');
+    if (!/^[0-9A-Fa-f]+$/.test(size)) throw malformedChunkError();
+
+    this.chunkRemaining = parseInt(size, 16);
+    this.chunkSignature = undefined;
+    for (const extension of extensions) {
+      const [name, value] = extension.split('=');
+      if (name === 'chunk-signature') {
+        this.chunkSignature = value;
+      }
+    }
+    if (this.signature) {
+      if (!this.chunkSignature) throw malformedChunkError();
+      this.chunkHash = createHash('sha256');
+    }
+
+    if (this.chunkRemaining) {
+      this.state = 'data';
+    } else {
+      // the final chunk has no data and no trailing CRLF of its own
+      this.verifyChunk();
+      this.state = 'trailer';
+    }
+  }
+
+  verifyChunk() {
+    if (!this.signature) return;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256-PAYLOAD',
+      this.signature.timestamp,
+      getCredentialScope(this.signature.credential),
+      this.previousSignature,
+      EMPTY_SHA256,
+      this.chunkHash.digest('hex'),
+    ].join('\n');
+    this.verifySignature(stringToSign, this.chunkSignature);
+  }
+
+  verifyTrailers() {
+    if (!this.signature) return;
+    const {
+      'x-amz-trailer-signature': trailerSignature,
+      ...trailers
+    } = this.trailers;
+    // signed payloads can't have unsigned trailers, which could be altered or stripped
+    if (
+      trailerSignature === undefined &&
+      !this.signedTrailers &&
+      !Object.keys(trailers).length
+    ) {
+      return;
+    }
+    const canonicalTrailers = Object.entries(trailers)
+      .map(([name, value]) => `${name}:${value}\n`)
+      .join('');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256-TRAILER',
+      this.signature.timestamp,
+      getCredentialScope(this.signature.credential),
+      this.previousSignature,
+      createHash('sha256')
+        .update(canonicalTrailers, 'utf8')
+        .digest('hex'),
+    ].join('\n');
+    this.verifySignature(stringToSign, trailerSignature);
+  }
+
+  verifySignature(stringToSign, signatureProvided) {
+    const calculatedSignature = calculateSignature(
+      stringToSign,
+      this.signature.signingKey,
+    );
+    if (signatureProvided !== calculatedSignature) {
+      throw new S3Error(
+        'SignatureDoesNotMatch',
+        'The request signature we calculated does not match the signature ' +
+          'you provided. Check your key and signing method.',
+        {
+          AWSAccessKeyId: this.signature.accessKeyId,
+          StringToSign: stringToSign,
+          SignatureProvided: signatureProvided,
+        },
+      );
+    }
+    this.previousSignature = calculatedSignature;
+  }
+}
+
+function malformedChunkError() {
+  return new S3Error(
+    'IncompleteBody',
+    'The request body could not be decoded as aws-chunked content',
+  );
+}
+
+function malformedTrailerError() {
+  return new S3Error(
+    'MalformedTrailerError',
+    'The request contained trailing data that was not well-formed or did ' +
+      'not conform to our published schema.',
+  );
+}
+
+module.exports = AWSChunkedDecoder;
@@ -0,0 +1,168 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { Transform } = require('stream');
+
+const S3Error = require('../models/error');
+const AWSChunkedDecoder = require('./aws-chunked');
+
+/**
+ * Returns a stream of the request payload, decoding it first if it was sent using the
+ * aws-chunked content encoding. If the request specifies the SHA-256 hash of its payload, the
+ * stream errors with XAmzContentSHA256Mismatch once it ends with a payload that doesn't match,
+ * and likewise with BadDigest if the payload doesn't match its Content-MD5 header.
+ *
+ * The trailing headers of aws-chunked payloads are set as ctx.state.trailers as they're read.
+ *
+ * @param {Koa.Context} ctx
+ */
+exports.getRequestContent = function(ctx) {
+  const contentMD5 = ctx.get('content-md5');
+  if (!contentMD5) {
+    return decodeRequestContent(ctx);
+  }
+  // a Content-MD5 header must be the base64-encoded 128-bit MD5 digest of the payload
+  if (
+    !/^[A-Za-z0-9+/]*={0,2}$/.test(contentMD5) ||
+    Buffer.from(contentMD5, 'base64').length !== 16
+  ) {
+    throw new S3Error(
+      'InvalidDigest',
+      'The Content-MD5 you specified was invalid.',
+      { 'Content-MD5': contentMD5 },
+    );
+  }
+  return pipeOnRead(decodeRequestContent(ctx), createMD5Verifier(contentMD5));
+};
+
+function decodeRequestContent(ctx) {
+  const contentSha256 = ctx.get('x-amz-content-sha256');
+  if (/^[0-9A-Fa-f]{64}$/.test(contentSha256)) {
+    return pipeOnRead(ctx.req, createSha256Verifier(contentSha256));
+  }
+  if (!contentSha256.startsWith('STREAMING-')) {
+    return ctx.req;
+  }
+  if (!ctx.get('x-amz-decoded-content-length')) {
+    throw new S3Error(
+      'MissingContentLength',
+      'You must provide the Content-Length HTTP header.',
+    );
+  }
+
+  // aws-chunked only applies to the request and isn't stored with the object
+  const contentEncoding = ctx
+    .get('content-encoding')
+    .split(',')
+    .map(encoding => encoding.trim())
+    .filter(encoding => encoding && encoding !== 'aws-chunked');
+  if (contentEncoding.length) {
+    ctx.headers['content-encoding'] = contentEncoding.join(',');
+  } else {
+    delete ctx.headers['content-encoding'];
+  }
+
+  const { signature } = ctx.state;
+  const decoder = new AWSChunkedDecoder({
+    signature:
+      contentSha256.startsWith('STREAMING-AWS4-HMAC-SHA256-PAYLOAD') &&
+      signature &&
+      signature.version === 4 &&
+      !ctx.app.allowMismatchedSignatures
+        ? signature
+        : undefined,
+    decodedContentLength: Number(ctx.get('x-amz-decoded-content-length')),
+    trailers: ctx.get('x-amz-trailer')
+      ? ctx
+          .get('x-amz-trailer')
+          .split(',')
+          .map(name => name.trim().toLowerCase())
+      : [],
+    signedTrailers:
+      contentSha256 === 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER',
+  });
+  ctx.state.trailers = decoder.trailers;
+  return pipeOnRead(ctx.req, decoder);
+}
+
+/**
+ * Reads a request payload to a string.
+ *
+ * @param {Koa.Context} ctx
+ * @returns {Promise<void>}
+ */
+exports.utf8BodyParser = async function(ctx) {
+  const content = exports.getRequestContent(ctx);
+  ctx.request.body = await new Promise((resolve, reject) => {
+    let payload = '';
+    content.on('data', data => (payload += data.toString('utf8')));
+    content.on('end', () => resolve(payload));
+    content.on('error', reject);
+  });
+};
+
+/**
+ * Pipes a request (or a stream of its payload) into a transform stream once the transform starts
+ * being read from, so that its consumer is listening for any errors before they can occur.
+ *
+ * @param {stream.Readable} req
+ * @param {stream.Transform} transform
+ */
+function pipeOnRead(req, transform) {
+  req.once('error', err => transform.destroy(err));
+  transform.once('resume', () => req.pipe(transform));
+  return transform;
+}
+
+function createSha256Verifier(expectedSha256) {
+  const sha256Context = createHash('sha256');
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      sha256Context.update(chunk, encoding);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const sha256 = sha256Context.digest('hex');
+      if (sha256 !== expectedSha256.toLowerCase()) {
+        return callback(
+          new S3Error(
+            'XAmzContentSHA256Mismatch',
+            "The provided 'x-amz-content-sha256' header does not match what " +
+              'was computed.',
+            {
+              ClientComputedContentSHA256: expectedSha256,
+              S3ComputedContentSHA256: sha256,
+            },
+          ),
+        );
+      }
+      callback();
+    },
+  });
+}
+
+function createMD5Verifier(expectedMD5) {
+  const md5Context = createHash('md5');
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      md5Context.update(chunk, encoding);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const md5 = md5Context.digest('base64');
+      if (md5 !== expectedMD5) {
+        return callback(
+          new S3Error(
+            'BadDigest',
+            'The Content-MD5 you specified did not match what we received.',
+            {
+              ExpectedDigest: expectedMD5,
+              CalculatedDigest: md5,
+            },
+          ),
+        );
+      }
+      callback();
+    },
+  });
+}
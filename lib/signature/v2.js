@@ -0,0 +1,217 @@
+'use strict';
+
+const { createHmac } = require('crypto');
+const querystring = require('querystring');
+
+const S3Error = require('../models/error');
+const { RESPONSE_HEADERS } = require('../middleware/response-header-override');
+const { encodeURIComponentRFC3986 } = require('../utils');
+
+const SUBRESOURCES = {
+  acl: 1,
+  accelerate: 1,
+  analytics: 1,
+  cors: 1,
+  lifecycle: 1,
+  delete: 1,
+  inventory: 1,
+  location: 1,
+  logging: 1,
+  metrics: 1,
+  notification: 1,
+  partNumber: 1,
+  policy: 1,
+  requestPayment: 1,
+  replication: 1,
+  restore: 1,
+  tagging: 1,
+  torrent: 1,
+  uploadId: 1,
+  uploads: 1,
+  versionId: 1,
+  versioning: 1,
+  versions: 1,
+  website: 1,
+};
+
+/**
+ * Signature Version 2 ("S3" signing)
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/RESTAuthentication.html}
+ */
+
+exports.parseHeader = function(headers) {
+  const [, ...components] = headers.authorization.split(' ');
+
+  if (components.length !== 1) {
+    throw new S3Error(
+      'InvalidArgument',
+      "Authorization header is invalid -- one and only one ' ' (space) required",
+      {
+        ArgumentName: 'Authorization',
+        ArgumentValue: headers.authorization,
+      },
+    );
+  }
+
+  const match = /([^:]*):([^:]+)/.exec(components[0]);
+  if (!match) {
+    throw new S3Error(
+      'InvalidArgument',
+      'AWS authorization header is invalid.  Expected AwsAccessKeyId:signature',
+      {
+        ArgumentName: 'Authorization',
+        ArgumentValue: headers.authorization,
+      },
+    );
+  }
+
+  return {
+    version: 2,
+    algorithm: 'sha1',
+    accessKeyId: match[1],
+    signatureProvided: match[2],
+    timestamp: headers['x-amz-date'] || headers.date,
+  };
+};
+
+exports.parseQuery = function(query) {
+  // authentication param names are case-sensitive
+  if (!('Expires' in query) || !('AWSAccessKeyId' in query)) {
+    throw new S3Error(
+      'AccessDenied',
+      'Query-string authentication requires the Signature, Expires and ' +
+        'AWSAccessKeyId parameters',
+    );
+  }
+
+  const serverTime = new Date();
+  const expiresTime = new Date(Number(query.Expires) * 1000);
+  if (isNaN(expiresTime)) {
+    throw new S3Error(
+      'AccessDenied',
+      `Invalid date (should be seconds since epoch): ${query.Expires}`,
+    );
+  }
+
+  if (serverTime > expiresTime) {
+    throw new S3Error('AccessDenied', 'Request has expired', {
+      Expires: expiresTime.toISOString().replace(/\.\d+/, ''),
+      ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
+    });
+  }
+
+  return {
+    version: 2,
+    algorithm: 'sha1',
+    accessKeyId: query.AWSAccessKeyId,
+    signatureProvided: query.Signature,
+    expires: Number(query.Expires),
+  };
+};
+
+/**
+ * Parses the signature of a browser-based upload using a POST policy. The policy itself is the
+ * string to sign.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/dev/HTTPPOSTForms.html}
+ *
+ * @param {object} fields the form fields of the request, keyed by their lowercase names
+ */
+exports.parseForm = function(fields) {
+  for (const fieldName of ['AWSAccessKeyId', 'Signature']) {
+    if (!(fieldName.toLowerCase() in fields)) {
+      throw missingFormFieldError(fieldName);
+    }
+  }
+
+  return {
+    version: 2,
+    algorithm: 'sha1',
+    accessKeyId: fields.awsaccesskeyid,
+    signatureProvided: fields.signature,
+  };
+};
+
+/**
+ * Generates a V2 string to sign for an incoming request.
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} signature the result of parseHeader() or parseQuery()
+ */
+exports.getStringToSign = function(ctx, signature) {
+  const isQuery = signature.expires !== undefined;
+
+  let canonicalizedResource = ctx.mountPath || '';
+  if (ctx.params.bucket) {
+    // the following behavior is derived from the behavior of the JS aws-sdk
+    if (ctx.state.vhost) {
+      canonicalizedResource = '/' + ctx.params.bucket + canonicalizedResource;
+    } else {
+      canonicalizedResource += '/' + ctx.params.bucket;
+    }
+    if (ctx.params.key) {
+      canonicalizedResource += '/' + ctx.params.key;
+    }
+  } else {
+    canonicalizedResource += '/';
+  }
+  canonicalizedResource = canonicalizedResource
+    .split('/')
+    .map(encodeURIComponentRFC3986)
+    .join('/');
+
+  const canonicalizedQueryString = Object.entries(ctx.query)
+    .filter(([param]) => SUBRESOURCES[param] || RESPONSE_HEADERS[param])
+    .map(([param, value]) =>
+      // v2 signing doesn't encode values in the signature calculation
+      isQuery
+        ? [param, value].join('=')
+        : querystring.stringify({ [param]: value }),
+    )
+    .sort()
+    .join('&')
+    .replace(/=(&|$)/g, '$1'); // remove trailing = for empty params
+
+  const canonicalizedAmzHeaders = Object.keys(ctx.headers)
+    .filter(headerName => headerName.startsWith('x-amz-'))
+    .sort()
+    .map(
+      headerName => `${headerName}:${ctx.get(headerName).replace(/ +/g, ' ')}`,
+    );
+
+  return [
+    ctx.method === 'OPTIONS'
+      ? ctx.get('Access-Control-Request-Method')
+      : ctx.method,
+    ctx.get('Content-MD5'),
+    ctx.get('Content-Type'),
+    // S3 signing uses expiration time as timestamp
+    isQuery ? signature.expires : undefined,
+    ...canonicalizedAmzHeaders,
+    canonicalizedQueryString
+      ? `${canonicalizedResource}?${canonicalizedQueryString}`
+      : canonicalizedResource,
+  ].join('\n');
+};
+
+/**
+ * Performs the calculation of an authentication code for a string using the specified secret
+ * access key.
+ *
+ * @param {String} stringToSign the string representation of a canonical request
+ * @param {String} secretAccessKey a secret access key
+ */
+exports.calculateSignature = function(stringToSign, secretAccessKey) {
+  const signature = createHmac('sha1', secretAccessKey);
+  signature.update(stringToSign, 'utf8');
+  return signature.digest('base64');
+};
+
+function missingFormFieldError(fieldName) {
+  return new S3Error(
+    'InvalidArgument',
+    `Bucket POST must contain a field named '${fieldName}'.  If it is ` +
+      'specified, please check the order of the fields.',
+    { ArgumentName: fieldName, ArgumentValue: '' },
+  );
+}
@@ -0,0 +1,442 @@
+'use strict';
+
+const { createHash, createHmac } = require('crypto');
+
+const S3Error = require('../models/error');
+const {
+  encodeURIComponentRFC3986,
+  parseDate,
+  parseISO8601String,
+  toISO8601String,
+} = require('../utils');
+
+/**
+ * Signature Version 4
+ *
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-authenticating-requests.html}
+ */
+
+/**
+ * Parses a signature in the Authorization header.
+ *
+ * @param {object} headers
+ * @param {string} [service] the service the request is made to. Only S3 requires the
+ *   x-amz-content-sha256 header.
+ */
+exports.parseHeader = function(headers, service = 's3') {
+  const [, ...components] = headers.authorization.split(' ');
+
+  if (service === 's3' && !('x-amz-content-sha256' in headers)) {
+    throw new S3Error(
+      'InvalidRequest',
+      'Missing required header for this request: x-amz-content-sha256',
+    );
+  }
+  if (
+    'x-amz-content-sha256' in headers &&
+    !/^(UNSIGNED-PAYLOAD|STREAMING-UNSIGNED-PAYLOAD-TRAILER|STREAMING-AWS4-HMAC-SHA256-PAYLOAD(-TRAILER)?|[0-9A-Fa-f]{64})$/.test(
+      headers['x-amz-content-sha256'],
+    )
+  ) {
+    throw new S3Error(
+      'InvalidArgument',
+      'x-amz-content-sha256 must be UNSIGNED-PAYLOAD, ' +
+        'STREAMING-UNSIGNED-PAYLOAD-TRAILER, ' +
+        'STREAMING-AWS4-HMAC-SHA256-PAYLOAD, ' +
+        'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER, or a valid sha256 value.',
+      {
+        ArgumentName: 'x-amz-content-sha256',
+        ArgumentValue: headers['x-amz-content-sha256'],
+      },
+    );
+  }
+
+  const componentMap = new Map(
+    components
+      .join('')
+      .split(',')
+      .map(component => {
+        const [key, ...value] = component.split('=');
+        return [key, value.join('=')];
+      }),
+  );
+
+  if (componentMap.size !== 3) {
+    throw new S3Error(
+      'AuthorizationHeaderMalformed',
+      'The authorization header is malformed; the authorization header ' +
+        'requires three components: Credential, SignedHeaders, and ' +
+        'Signature.',
+    );
+  }
+
+  for (const componentName of ['Credential', 'SignedHeaders', 'Signature']) {
+    if (!componentMap.has(componentName)) {
+      throw new S3Error(
+        'AuthorizationHeaderMalformed',
+        `The authorization header is malformed; missing ${componentName}.`,
+      );
+    }
+  }
+
+  // a request dated only by its Date header is signed with that date in the ISO8601 basic
+  // format, which is also the form its credential scope is compared against
+  let timestamp = headers['x-amz-date'];
+  if (!timestamp && headers.date) {
+    const date = parseDate(headers.date);
+    timestamp = isNaN(date) ? headers.date : toISO8601String(date);
+  }
+  const credential = parseCredential(componentMap.get('Credential'));
+  if (!credential) {
+    throw new S3Error(
+      'AuthorizationHeaderMalformed',
+      'The authorization header is malformed; the Credential is mal-formed; ' +
+        'expecting "<YOUR-AKID>/YYYYMMDD/REGION/SERVICE/aws4_request".',
+    );
+  }
+  const scopeError = validateCredentialScope(credential, timestamp, service);
+  if (scopeError) {
+    throw new S3Error(
+      'AuthorizationHeaderMalformed',
+      `The authorization header is malformed; ${scopeError}`,
+    );
+  }
+
+  return {
+    version: 4,
+    algorithm: 'sha256',
+    accessKeyId: credential.accessKeyId,
+    credential,
+    signedHeaders: componentMap.get('SignedHeaders').split(';'),
+    signatureProvided: componentMap.get('Signature'),
+    timestamp,
+    payloadHash: headers['x-amz-content-sha256'],
+  };
+};
+
+exports.parseQuery = function(query) {
+  // query param values are case-sensitive
+  if (query['X-Amz-Algorithm'] !== 'AWS4-HMAC-SHA256') {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Algorithm only supports "AWS4-HMAC-SHA256"',
+    );
+  }
+
+  if (
+    !('X-Amz-Credential' in query) ||
+    !('X-Amz-Signature' in query) ||
+    !('X-Amz-Date' in query) ||
+    !('X-Amz-SignedHeaders' in query) ||
+    !('X-Amz-Expires' in query)
+  ) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'Query-string authentication version 4 requires the ' +
+        'X-Amz-Algorithm, X-Amz-Credential, X-Amz-Signature, X-Amz-Date, ' +
+        'X-Amz-SignedHeaders, and X-Amz-Expires parameters.',
+    );
+  }
+
+  const timestamp = query['X-Amz-Date'];
+
+  const requestTime = parseISO8601String(timestamp);
+  if (isNaN(requestTime)) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      "X-Amz-Date must be in the ISO8601 Long Format \"yyyyMMdd'T'HHmmss'Z'\"",
+    );
+  }
+
+  const expires = Number(query['X-Amz-Expires']);
+  if (isNaN(expires)) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Expires should be a number',
+    );
+  }
+  if (expires < 0) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Expires must be non-negative',
+    );
+  }
+  if (expires > 604800) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'X-Amz-Expires must be less than a week (in seconds); that is, the ' +
+        'given X-Amz-Expires must be less than 604800 seconds',
+    );
+  }
+
+  const serverTime = new Date();
+  // NOTE: S3 doesn't care about time skew for presigned requests
+  const expiresTime = new Date(Number(requestTime) + expires * 1000);
+
+  if (serverTime > expiresTime) {
+    throw new S3Error('AccessDenied', 'Request has expired', {
+      'X-Amz-Expires': query['X-Amz-Expires'],
+      Expires: expiresTime.toISOString().replace(/\.\d+/, ''),
+      ServerTime: serverTime.toISOString().replace(/\.\d+/, ''),
+    });
+  }
+
+  const credential = parseCredential(query['X-Amz-Credential']);
+  if (!credential) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      'Error parsing the X-Amz-Credential parameter; the Credential is ' +
+        'mal-formed; expecting ' +
+        '"<YOUR-AKID>/YYYYMMDD/REGION/SERVICE/aws4_request".',
+    );
+  }
+  const scopeError = validateCredentialScope(credential, timestamp);
+  if (scopeError) {
+    throw new S3Error(
+      'AuthorizationQueryParametersError',
+      `Error parsing the X-Amz-Credential parameter; ${scopeError}`,
+    );
+  }
+
+  return {
+    version: 4,
+    algorithm: 'sha256',
+    accessKeyId: credential.accessKeyId,
+    credential,
+    signedHeaders: query['X-Amz-SignedHeaders'].split(';'),
+    signatureProvided: query['X-Amz-Signature'],
+    timestamp,
+    // presigned URLs may only sign their payload with X-Amz-Content-Sha256
+    payloadHash: query['X-Amz-Content-Sha256'] || 'UNSIGNED-PAYLOAD',
+  };
+};
+
+/**
+ * Parses the signature of a browser-based upload using a POST policy. The policy itself is the
+ * string to sign.
+ * {@link https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-authentication-HTTPPOST.html}
+ *
+ * @param {object} fields the form fields of the request, keyed by their lowercase names
+ */
+exports.parseForm = function(fields) {
+  if (fields['x-amz-algorithm'] !== 'AWS4-HMAC-SHA256') {
+    throw new S3Error(
+      'InvalidArgument',
+      'X-Amz-Algorithm only supports "AWS4-HMAC-SHA256"',
+      {
+        ArgumentName: 'X-Amz-Algorithm',
+        ArgumentValue: fields['x-amz-algorithm'],
+      },
+    );
+  }
+  for (const fieldName of [
+    'X-Amz-Credential',
+    'X-Amz-Date',
+    'X-Amz-Signature',
+  ]) {
+    if (!(fieldName.toLowerCase() in fields)) {
+      throw new S3Error(
+        'InvalidArgument',
+        `Bucket POST must contain a field named '${fieldName}'.  If it is ` +
+          'specified, please check the order of the fields.',
+        { ArgumentName: fieldName, ArgumentValue: '' },
+      );
+    }
+  }
+
+  const timestamp = fields['x-amz-date'];
+  if (isNaN(parseISO8601String(timestamp))) {
+    throw new S3Error(
+      'InvalidArgument',
+      "X-Amz-Date must be in the ISO8601 Long Format \"yyyyMMdd'T'HHmmss'Z'\"",
+      { ArgumentName: 'X-Amz-Date', ArgumentValue: timestamp },
+    );
+  }
+
+  const credential = parseCredential(fields['x-amz-credential']);
+  const scopeError = credential
+    ? validateCredentialScope(credential, timestamp)
+    : 'the Credential is mal-formed; expecting ' +
+      '"<YOUR-AKID>/YYYYMMDD/REGION/SERVICE/aws4_request".';
+  if (scopeError) {
+    throw new S3Error(
+      'InvalidArgument',
+      `Error parsing the X-Amz-Credential parameter; ${scopeError}`,
+      {
+        ArgumentName: 'X-Amz-Credential',
+        ArgumentValue: fields['x-amz-credential'],
+      },
+    );
+  }
+
+  return {
+    version: 4,
+    algorithm: 'sha256',
+    accessKeyId: credential.accessKeyId,
+    credential,
+    signatureProvided: fields['x-amz-signature'],
+    timestamp,
+  };
+};
+
+/**
+ * Generates the canonical request for an incoming request as described in
+ * {@link https://docs.aws.amazon.com/general/latest/gr/sigv4-create-canonical-request.html}
+ *
+ * @param {Koa.Context} ctx
+ * @param {object} signature the result of parseHeader() or parseQuery()
+ */
+exports.getCanonicalRequest = function(ctx, signature) {
+  // V4 signing uses the path as requested rather than S3's resource path,
+  // normalized to the encoding the SDKs use
+  const canonicalUri = ((ctx.mountPath || '') + ctx.originalUrl.split('?')[0])
+    .split('/')
+    .map(segment => encodeURIComponentRFC3986(safeDecodeURIComponent(segment)))
+    .join('/');
+
+  const canonicalQueryString = Object.entries(ctx.query)
+    .filter(([param]) => param !== 'X-Amz-Signature')
+    .reduce(
+      (pairs, [param, values]) =>
+        pairs.concat(
+          []
+            .concat(values)
+            .map(value => [
+              encodeURIComponentRFC3986(param),
+              encodeURIComponentRFC3986(value),
+            ]),
+        ),
+      [],
+    )
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB
+        ? compareStrings(valueA, valueB)
+        : compareStrings(keyA, keyB),
+    )
+    .map(pair => pair.join('='))
+    .join('&');
+
+  const canonicalHeaders = signature.signedHeaders
+    .map(headerName => {
+      const value = ctx.headers[headerName];
+      return `${headerName}:${
+        value === undefined ? '' : value.trim().replace(/\s+/g, ' ')
+      }\n`;
+    })
+    .join('');
+
+  return [
+    ctx.method,
+    canonicalUri,
+    canonicalQueryString,
+    canonicalHeaders,
+    signature.signedHeaders.join(';'),
+    signature.payloadHash,
+  ].join('\n');
+};
+
+/**
+ * Generates a V4 string to sign for a canonical request.
+ *
+ * @param {string} canonicalRequest the result of getCanonicalRequest()
+ * @param {object} signature the result of parseHeader() or parseQuery()
+ */
+exports.getStringToSign = function(canonicalRequest, signature) {
+  return [
+    'AWS4-HMAC-SHA256',
+    signature.timestamp,
+    exports.getCredentialScope(signature.credential),
+    createHash('sha256')
+      .update(canonicalRequest, 'utf8')
+      .digest('hex'),
+  ].join('\n');
+};
+
+/**
+ * Derives the key used to sign requests within a credential's scope.
+ *
+ * @param {string} secretAccessKey
+ * @param {object} credential the parsed credential of a request signature
+ * @returns {Buffer}
+ */
+exports.getSigningKey = function(secretAccessKey, credential) {
+  const dateKey = hmac('AWS4' + secretAccessKey, credential.date);
+  const regionKey = hmac(dateKey, credential.region);
+  const serviceKey = hmac(regionKey, credential.service);
+  return hmac(serviceKey, credential.termination);
+};
+
+/**
+ * Performs the calculation of an authentication code for a string using the specified signing key.
+ *
+ * @param {String} stringToSign the result of getStringToSign()
+ * @param {Buffer} signingKey the result of getSigningKey()
+ */
+exports.calculateSignature = function(stringToSign, signingKey) {
+  return hmac(signingKey, stringToSign).toString('hex');
+};
+
+/**
+ * Formats the scope of a credential as <date>/<region>/<service>/aws4_request.
+ *
+ * @param {object} credential the parsed credential of a request signature
+ */
+exports.getCredentialScope = function(credential) {
+  return [
+    credential.date,
+    credential.region,
+    credential.service,
+    credential.termination,
+  ].join('/');
+};
+
+/**
+ * Splits a credential string of the form
+ * <access key id>/<date>/<region>/<service>/aws4_request into its parts.
+ *
+ * @param {string} credentialString
+ */
+function parseCredential(credentialString) {
+  const parts = credentialString.split('/');
+  if (parts.length !== 5) return null;
+  const [accessKeyId, date, region, service, termination] = parts;
+  return { accessKeyId, date, region, service, termination };
+}
+
+/**
+ * Returns a description of the problem with a credential's scope, if any.
+ *
+ * @param {object} credential the result of parseCredential()
+ * @param {string} timestamp an ISO8601 formatted date
+ * @param {string} [service] the service the request is made to
+ */
+function validateCredentialScope(credential, timestamp, service = 's3') {
+  if (!timestamp || credential.date !== timestamp.slice(0, 8)) {
+    return 'Invalid credential date. Date is not the same as X-Amz-Date.';
+  }
+  if (credential.service !== service) {
+    return `incorrect service "${credential.service}". This endpoint belongs to "${service}".`;
+  }
+  if (credential.termination !== 'aws4_request') {
+    return `incorrect terminal "${credential.termination}". This endpoint uses "aws4_request".`;
+  }
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key)
+    .update(data, 'utf8')
+    .digest();
+}
+
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function safeDecodeURIComponent(component) {
+  try {
+    return decodeURIComponent(component);
+  } catch (err) {
+    return component;
+  }
+}
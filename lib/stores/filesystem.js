@@ -3,17 +3,30 @@
 const crypto = require('crypto');
 const fs = require('fs-extra');
 const { Transform } = require('stream');
-const { pick, pickBy, sortBy, zip } = require('lodash');
+const { omit, pick, pickBy, sortBy, zip } = require('lodash');
 const path = require('path');
 const { format } = require('util');
 
+const { getChecksumHeader, verifyChecksum } = require('../checksum');
 const { getConfigModel } = require('../models/config');
 const S3Bucket = require('../models/bucket');
+const S3Error = require('../models/error');
 const S3Object = require('../models/object');
 const { concatStreams, walk } = require('../utils');
 
 const S3RVER_SUFFIX = '%s._S3rver_%s';
 
+// the files making up each version of an object
+const VERSION_RESOURCES = [
+  'object',
+  'object.md5',
+  'metadata.json',
+  'acl.xml',
+  'tagging.xml',
+  'retention.xml',
+  'legal-hold.xml',
+];
+
 class FilesystemStore {
   static decodeKeyPath(keyPath) {
     return process.platform === 'win32'
@@ -34,6 +47,8 @@ class FilesystemStore {
 
   constructor(rootDirectory) {
     this.rootDirectory = rootDirectory;
+    // promises of the objects whose new versions are being committed, keyed by their paths
+    this.objectLocks = new Map();
   }
 
   // helpers
@@ -48,9 +63,68 @@ class FilesystemStore {
     return path.join(this.rootDirectory, bucket, ...parts, suffix);
   }
 
-  async getMetadata(bucket, key) {
-    const objectPath = this.getResourcePath(bucket, key, 'object');
-    const metadataPath = this.getResourcePath(bucket, key, 'metadata.json');
+  /**
+   * Gets the path of a file belonging to a version of an object. Noncurrent versions are kept in a
+   * directory alongside the current version.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} [versionId] the ID of a noncurrent version, or undefined for the current version
+   * @param {string} resource
+   */
+  getVersionResourcePath(bucket, key, versionId, resource) {
+    return versionId === undefined
+      ? this.getResourcePath(bucket, key, resource)
+      : path.join(
+          this.getResourcePath(bucket, key, 'versions'),
+          versionId,
+          resource,
+        );
+  }
+
+  getSubresourcePath(bucket, key, resourceType) {
+    // bucket policies are JSON documents, unlike every other subresource
+    const extension = resourceType === 'policy' ? 'json' : 'xml';
+    return this.getResourcePath(bucket, key, `${resourceType}.${extension}`);
+  }
+
+  /**
+   * Gets the path of a subresource of an object version, which is the current version's unless a
+   * noncurrent version is specified.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} resourceType
+   * @param {string} [versionId]
+   */
+  async getVersionSubresourcePath(bucket, key, resourceType, versionId) {
+    if (versionId !== undefined) {
+      const version = await this.findVersion(bucket, key, versionId);
+      if (version && !version.isCurrent) {
+        return this.getVersionResourcePath(
+          bucket,
+          key,
+          versionId,
+          `${resourceType}.xml`,
+        );
+      }
+    }
+    return this.getSubresourcePath(bucket, key, resourceType);
+  }
+
+  async getMetadata(bucket, key, versionId) {
+    const objectPath = this.getVersionResourcePath(
+      bucket,
+      key,
+      versionId,
+      'object',
+    );
+    const metadataPath = this.getVersionResourcePath(
+      bucket,
+      key,
+      versionId,
+      'metadata.json',
+    );
 
     // this is expected to throw if the object doesn't exist
     const stat = await fs.stat(objectPath);
@@ -95,12 +169,212 @@ class FilesystemStore {
     const json = {
       ...pick(metadata, S3Object.ALLOWED_METADATA),
       ...pickBy(metadata, (value, key) => key.startsWith('x-amz-meta-')),
+      ...pick(metadata, S3Object.CHECKSUM_HEADERS),
     };
 
     if (md5) await fs.writeFile(md5Path, md5);
     await fs.writeFile(metadataPath, JSON.stringify(json, null, 2));
   }
 
+  /**
+   * Writes content to a temporary file before moving it into place, so that a request that fails
+   * partway through doesn't leave a partially written file behind.
+   *
+   * @param {string} bucket
+   * @param {string} filePath
+   * @param {stream.Readable|Buffer} content
+   * @param {Function} [beforeMove] called once the content has been written, before it replaces
+   *   any existing file
+   * @returns {Promise<{size: number, md5: string}>}
+   */
+  async writeContent(bucket, filePath, content, beforeMove) {
+    const tempPath = path.join(
+      this.getResourcePath(bucket, undefined, 'tmp'),
+      crypto.randomBytes(16).toString('hex'),
+    );
+    await fs.mkdirp(path.dirname(tempPath));
+
+    const md5Context = crypto.createHash('md5');
+    let totalLength = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        const writeStream = fs
+          .createWriteStream(tempPath)
+          .on('error', reject)
+          .on('finish', resolve);
+
+        if (Buffer.isBuffer(content)) {
+          md5Context.update(content);
+          totalLength = content.length;
+          writeStream.end(content);
+        } else {
+          content
+            .on('error', err => {
+              writeStream.destroy();
+              reject(err);
+            })
+            .pipe(
+              new Transform({
+                transform(chunk, encoding, callback) {
+                  md5Context.update(chunk, encoding);
+                  totalLength += chunk.length;
+                  callback(null, chunk);
+                },
+              }),
+            )
+            .pipe(writeStream);
+        }
+      });
+      if (beforeMove) await beforeMove();
+      await fs.mkdirp(path.dirname(filePath));
+      await fs.move(tempPath, filePath, { overwrite: true });
+    } catch (err) {
+      await fs.remove(tempPath);
+      throw err;
+    }
+    return { size: totalLength, md5: md5Context.digest('hex') };
+  }
+
+  async getVersioningStatus(bucket) {
+    const config = await this.getSubresource(bucket, undefined, 'versioning');
+    return config ? config.status : undefined;
+  }
+
+  /**
+   * Reads the list of versions of an object, newest first, or null if the object has never been
+   * written to while its bucket was versioned.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @returns {Promise<Array<{versionId: string, deleteMarker?: boolean, lastModified?: string}>>}
+   */
+  async getVersions(bucket, key) {
+    const indexPath = path.join(
+      this.getResourcePath(bucket, key, 'versions'),
+      'index.json',
+    );
+    try {
+      return JSON.parse(await fs.readFile(indexPath));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async putVersions(bucket, key, versions) {
+    const versionsPath = this.getResourcePath(bucket, key, 'versions');
+    if (!versions.length) {
+      await fs.remove(versionsPath);
+      return;
+    }
+    await fs.mkdirp(versionsPath);
+    await fs.writeFile(
+      path.join(versionsPath, 'index.json'),
+      JSON.stringify(versions, null, 2),
+    );
+  }
+
+  /**
+   * Finds a version of an object, defaulting to its current version. Objects written while their
+   * bucket was unversioned only have a null version.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} [versionId]
+   * @returns {Promise<{versionId: string, deleteMarker?: boolean, isCurrent: boolean}|null>}
+   */
+  async findVersion(bucket, key, versionId) {
+    let versions = await this.getVersions(bucket, key);
+    if (!versions) {
+      versions = (await this.existsObject(bucket, key))
+        ? [{ versionId: 'null' }]
+        : [];
+    }
+    const index =
+      versionId === undefined
+        ? 0
+        : versions.findIndex(version => version.versionId === versionId);
+    if (index === -1 || !versions[index]) return null;
+    return { ...versions[index], isCurrent: index === 0 };
+  }
+
+  /**
+   * Makes way for a new current version of an object in a versioned bucket, and returns its version
+   * ID. The current version is kept as a noncurrent version, unless it's the null version being
+   * replaced while versioning is suspended.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} status the versioning status of the bucket
+   * @param {boolean} [deleteMarker] whether the new version is a delete marker
+   */
+  async createVersion(bucket, key, status, deleteMarker = false) {
+    let versions = await this.getVersions(bucket, key);
+    if (!versions) {
+      // the object was written before versioning was enabled
+      versions = (await this.existsObject(bucket, key))
+        ? [{ versionId: 'null' }]
+        : [];
+    }
+    const versionId = status === 'Enabled' ? generateVersionId() : 'null';
+
+    const [current] = versions;
+    if (current && !current.deleteMarker && current.versionId !== versionId) {
+      await Promise.all(
+        VERSION_RESOURCES.map(resource =>
+          moveFile(
+            this.getResourcePath(bucket, key, resource),
+            this.getVersionResourcePath(
+              bucket,
+              key,
+              current.versionId,
+              resource,
+            ),
+          ),
+        ),
+      );
+    }
+    await this.removeCurrentVersion(bucket, key);
+    if (versionId === 'null') {
+      // there can only be one null version
+      await fs.remove(this.getVersionResourcePath(bucket, key, 'null', ''));
+      versions = versions.filter(version => version.versionId !== 'null');
+    }
+
+    versions.unshift(
+      deleteMarker
+        ? { versionId, deleteMarker, lastModified: new Date().toISOString() }
+        : { versionId },
+    );
+    await this.putVersions(bucket, key, versions);
+    return versionId;
+  }
+
+  async removeCurrentVersion(bucket, key) {
+    await Promise.all(
+      VERSION_RESOURCES.map(resource =>
+        fs.unlink(this.getResourcePath(bucket, key, resource)).catch(err => {
+          if (err.code !== 'ENOENT') throw err;
+        }),
+      ),
+    );
+  }
+
+  async removeEmptyDirectories(bucket, key) {
+    const bucketPath = this.getBucketPath(bucket);
+    const parts = key.split('/');
+    // the last part isn't a directory (it's embedded into the file name)
+    parts.pop();
+    for (; parts.length; parts.pop()) {
+      try {
+        await fs.rmdir(path.join(bucketPath, ...parts));
+      } catch (err) {
+        if (['ENOENT', 'ENOTEMPTY', 'EEXIST'].includes(err.code)) break;
+        throw err;
+      }
+    }
+  }
+
   // store implementation
 
   reset() {
@@ -123,16 +397,33 @@ class FilesystemStore {
     try {
       const stat = await fs.stat(bucketPath);
       if (!stat.isDirectory()) return null;
-      return new S3Bucket(bucket, stat.birthtime);
+      const { owner } = await fs
+        .readFile(this.getResourcePath(bucket, undefined, 'metadata.json'))
+        .then(JSON.parse)
+        .catch(err => {
+          if (err.code === 'ENOENT') return {};
+          throw err;
+        });
+      return new S3Bucket(bucket, stat.birthtime, owner);
     } catch (err) {
       if (err.code === 'ENOENT') return null;
       throw err;
     }
   }
 
-  async putBucket(bucket) {
+  async putBucket(bucket, owner) {
     const bucketPath = this.getBucketPath(bucket);
     await fs.mkdirp(bucketPath, 0o0755);
+    if (owner) {
+      await fs.writeFile(
+        this.getResourcePath(bucket, undefined, 'metadata.json'),
+        JSON.stringify(
+          { owner: { id: owner.id, displayName: owner.displayName } },
+          null,
+          2,
+        ),
+      );
+    }
     return this.getBucket(bucket);
   }
 
@@ -230,6 +521,169 @@ class FilesystemStore {
     };
   }
 
+  /**
+   * Lists every version of the objects in a bucket, including delete markers, ordered by key and
+   * then from newest to oldest. Objects written while the bucket was unversioned are listed as
+   * their null version.
+   *
+   * @param {string} bucket
+   * @param {object} options
+   * @param {string} [options.delimiter]
+   * @param {string} [options.prefix]
+   * @param {string} [options.keyMarker] the key to list versions after
+   * @param {string} [options.versionIdMarker] the version of the key marker to list versions after
+   * @param {number} [options.maxKeys] the maximum number of versions and common prefixes to list
+   */
+  async listObjectVersions(bucket, options) {
+    const {
+      delimiter = '',
+      prefix = '',
+      keyMarker = '',
+      versionIdMarker,
+      maxKeys = Infinity,
+    } = options;
+    const bucketPath = this.getBucketPath(bucket);
+    const prefixPath = [bucketPath, FilesystemStore.encodeKeyPath(prefix)].join(
+      '/',
+    );
+    const versionsSuffix = format(S3RVER_SUFFIX, '', 'versions');
+
+    const it = walk(bucketPath, dirPath => {
+      if (dirPath.endsWith(versionsSuffix)) return true;
+      // avoid the directories of noncurrent versions, and those that do not intersect with any
+      // part of the prefix
+      return (
+        !dirPath.includes(`${versionsSuffix}/`) &&
+        (dirPath.startsWith(prefixPath) || prefixPath.startsWith(dirPath))
+      );
+    });
+
+    const suffixes = [
+      format(S3RVER_SUFFIX, '', 'object'),
+      `${versionsSuffix}/index.json`,
+    ];
+    const keys = new Set();
+    for (const keyPath of it) {
+      const suffix = suffixes.find(suffix => keyPath.endsWith(suffix));
+      if (!suffix) continue;
+      const key = FilesystemStore.decodeKeyPath(
+        keyPath.slice(bucketPath.length + 1, -suffix.length),
+      );
+      if (key.startsWith(prefix)) keys.add(key);
+    }
+
+    const versions = [];
+    const commonPrefixes = [];
+    let isTruncated = false;
+    for (const key of [...keys].sort()) {
+      if (key < keyMarker || (key === keyMarker && !versionIdMarker)) {
+        continue;
+      }
+
+      if (delimiter) {
+        const idx = key.slice(prefix.length).indexOf(delimiter);
+        if (idx !== -1) {
+          const commonPrefix = key.slice(0, prefix.length + idx + 1);
+          if (
+            commonPrefix <= keyMarker ||
+            commonPrefix === commonPrefixes[commonPrefixes.length - 1]
+          ) {
+            continue;
+          }
+          if (versions.length + commonPrefixes.length === maxKeys) {
+            isTruncated = true;
+            break;
+          }
+          commonPrefixes.push(commonPrefix);
+          continue;
+        }
+      }
+
+      let keyVersions = (await this.getVersions(bucket, key)) || [
+        { versionId: 'null' },
+      ];
+      keyVersions = keyVersions.map((version, i) => ({
+        ...version,
+        isLatest: i === 0,
+      }));
+      if (key === keyMarker) {
+        const index = keyVersions.findIndex(
+          version => version.versionId === versionIdMarker,
+        );
+        // versions up to and including the version ID marker have already been listed
+        keyVersions = index === -1 ? [] : keyVersions.slice(index + 1);
+      }
+
+      for (const version of keyVersions) {
+        if (versions.length + commonPrefixes.length === maxKeys) {
+          isTruncated = true;
+          break;
+        }
+        versions.push({ key, ...version });
+      }
+      if (isTruncated) break;
+    }
+
+    return {
+      versions: await Promise.all(
+        versions.map(async ({ key, versionId, isLatest, ...version }) => {
+          const object = version.deleteMarker
+            ? new S3Object(bucket, key, null, {
+                'last-modified': new Date(version.lastModified).toUTCString(),
+              })
+            : new S3Object(
+                bucket,
+                key,
+                null,
+                await this.getMetadata(
+                  bucket,
+                  key,
+                  isLatest ? undefined : versionId,
+                ),
+              );
+          return Object.assign(object, {
+            versionId,
+            isLatest,
+            deleteMarker: Boolean(version.deleteMarker),
+          });
+        }),
+      ),
+      commonPrefixes,
+      isTruncated,
+    };
+  }
+
+  /**
+   * Acquires the lock of an object while a new version of it is being committed or it's being
+   * deleted, so that the preconditions of conditional writes still hold once they're done.
+   * Unconditional writes and deletes wait for the lock to be released, while conditional writes
+   * fail if it's held.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {boolean} conditional
+   * @returns {Promise<Function>} a function releasing the lock
+   */
+  async lockObject(bucket, key, conditional) {
+    const lockPath = this.getResourcePath(bucket, key, 'object');
+    while (this.objectLocks.has(lockPath)) {
+      if (conditional) {
+        throw new S3Error(
+          'ConditionalRequestConflict',
+          'A conflicting conditional operation is currently in progress against this ' +
+            'resource. Try again.',
+        );
+      }
+      await this.objectLocks.get(lockPath);
+    }
+    let release;
+    this.objectLocks.set(lockPath, new Promise(resolve => (release = resolve)));
+    return () => {
+      this.objectLocks.delete(lockPath);
+      release();
+    };
+  }
+
   async existsObject(bucket, key) {
     const objectPath = this.getResourcePath(bucket, key, 'object');
     try {
@@ -241,19 +695,41 @@ class FilesystemStore {
     }
   }
 
-  async getObject(bucket, key, options) {
+  async getObject(bucket, key, options = {}) {
+    const version = await this.findVersion(bucket, key, options.versionId);
+    if (!version) return null;
+    const versionId =
+      version.versionId !== 'null' ||
+      (await this.getVersioningStatus(bucket)) ||
+      (await this.getVersions(bucket, key))
+        ? version.versionId
+        : undefined;
+    if (version.deleteMarker) {
+      const object = new S3Object(bucket, key, null, {
+        'last-modified': new Date(version.lastModified).toUTCString(),
+      });
+      return Object.assign(object, { versionId, deleteMarker: true });
+    }
+    const noncurrentVersionId = version.isCurrent
+      ? undefined
+      : version.versionId;
+
     try {
-      const metadata = await this.getMetadata(bucket, key);
+      const metadata = await this.getMetadata(bucket, key, noncurrentVersionId);
       const lastByte = Math.max(0, Number(metadata['content-length']) - 1);
       const range = {
-        start: (options && options.start) || 0,
-        end: Math.min((options && options.end) || Infinity, lastByte),
+        start: options.start || 0,
+        end: Math.min(
+          options.end === undefined ? Infinity : options.end,
+          lastByte,
+        ),
       };
 
       if (range.start < 0 || Math.min(range.end, lastByte) < range.start) {
         // the range is not satisfiable
         const object = new S3Object(bucket, key, null, metadata);
-        if (options && (options.start || options.end)) {
+        object.versionId = versionId;
+        if (options.start !== undefined || options.end !== undefined) {
           object.range = range;
         }
         return object;
@@ -261,12 +737,21 @@ class FilesystemStore {
 
       const content = await new Promise((resolve, reject) => {
         const stream = fs
-          .createReadStream(this.getResourcePath(bucket, key, 'object'), range)
+          .createReadStream(
+            this.getVersionResourcePath(
+              bucket,
+              key,
+              noncurrentVersionId,
+              'object',
+            ),
+            range,
+          )
           .on('error', reject)
           .on('open', () => resolve(stream));
       });
       const object = new S3Object(bucket, key, content, metadata);
-      if (options && (options.start || options.end)) {
+      object.versionId = versionId;
+      if (options.start !== undefined || options.end !== undefined) {
         object.range = range;
       }
       return object;
@@ -276,102 +761,186 @@ class FilesystemStore {
     }
   }
 
-  async putObject(object) {
+  /**
+   * Stores an object, creating a new version of it in versioned buckets.
+   *
+   * @param {S3Object} object
+   * @param {object} [options]
+   * @param {string} [options.etag] the ETag to store instead of the MD5 of the object's content
+   * @param {Function} [options.precondition] called with the current version of the object, or
+   *   null if there's none or it's a delete marker, once the content has been written. The object
+   *   is only stored if it doesn't throw, and no other version can be stored in the meantime.
+   * @param {Array} [options.subresources] subresources of the new version, such as its ACL, which
+   *   are stored along with it before any other version can be stored
+   * @returns {Promise<{size: number, md5: string, versionId?: string}>} where md5 is the stored
+   *   ETag
+   */
+  async putObject(object, options = {}) {
+    const { etag, precondition, subresources = [] } = options;
     const objectPath = this.getResourcePath(
       object.bucket,
       object.key,
       'object',
     );
-
-    await fs.mkdirp(path.dirname(objectPath));
-
-    const [size, md5] = await new Promise((resolve, reject) => {
-      const writeStream = fs.createWriteStream(objectPath);
-      const md5Context = crypto.createHash('md5');
-
-      if (Buffer.isBuffer(object.content)) {
-        writeStream.write(object.content);
-        md5Context.update(object.content);
-        resolve([object.content.length, md5Context.digest('hex')]);
-      } else {
-        let totalLength = 0;
-        object.content
-          .pipe(
-            new Transform({
-              transform(chunk, encoding, callback) {
-                md5Context.update(chunk, encoding);
-                totalLength += chunk.length;
-                callback(null, chunk);
-              },
-            }),
-          )
-          .on('error', reject)
-          .on('finish', () => resolve([totalLength, md5Context.digest('hex')]))
-          .pipe(writeStream);
+    const status = await this.getVersioningStatus(object.bucket);
+    let versionId;
+    let releaseLock;
+    try {
+      const { size, md5 } = await this.writeContent(
+        object.bucket,
+        objectPath,
+        object.content,
+        async () => {
+          releaseLock = await this.lockObject(
+            object.bucket,
+            object.key,
+            Boolean(precondition),
+          );
+          if (precondition) {
+            await precondition(
+              await this.getCurrentObject(object.bucket, object.key),
+            );
+          }
+          if (status) {
+            versionId = await this.createVersion(
+              object.bucket,
+              object.key,
+              status,
+            );
+          }
+        },
+      );
+      await this.putMetadata(
+        object.bucket,
+        object.key,
+        object.metadata,
+        etag || md5,
+      );
+      for (const resource of subresources) {
+        await this.putSubresource(object.bucket, object.key, resource);
       }
-    });
-    await this.putMetadata(object.bucket, object.key, object.metadata, md5);
-    return { size, md5 };
+      return { size, md5: etag || md5, versionId };
+    } finally {
+      if (releaseLock) releaseLock();
+    }
   }
 
+  /**
+   * Gets the metadata of the current version of an object, or null if there's none or it's a
+   * delete marker.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @returns {Promise<S3Object|null>} the object, without its content
+   */
+  async getCurrentObject(bucket, key) {
+    const version = await this.findVersion(bucket, key);
+    if (!version || version.deleteMarker) return null;
+    try {
+      return new S3Object(
+        bucket,
+        key,
+        null,
+        await this.getMetadata(bucket, key),
+      );
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Copies an object read with getObject() to a destination key, optionally replacing its metadata.
+   *
+   * @param {S3Object} srcObject
+   * @param {string} destBucket
+   * @param {string} destKey
+   * @param {object} [replacementMetadata]
+   * @param {Array} [subresources] see putObject()
+   */
   async copyObject(
-    srcBucket,
-    srcKey,
+    srcObject,
     destBucket,
     destKey,
     replacementMetadata,
+    subresources,
   ) {
-    const srcObjectPath = this.getResourcePath(srcBucket, srcKey, 'object');
-    const destObjectPath = this.getResourcePath(destBucket, destKey, 'object');
-
-    if (srcObjectPath !== destObjectPath) {
-      await fs.mkdirp(path.dirname(destObjectPath));
-      await fs.copy(srcObjectPath, destObjectPath);
-    }
+    // the content is copied as is, so its checksum is copied even if its metadata is replaced
+    const metadata = replacementMetadata
+      ? {
+          ...omit(replacementMetadata, S3Object.CHECKSUM_HEADERS),
+          ...pick(srcObject.metadata, S3Object.CHECKSUM_HEADERS),
+        }
+      : srcObject.metadata;
+    const { versionId } = await this.putObject(
+      new S3Object(destBucket, destKey, srcObject.content, metadata),
+      { subresources },
+    );
+    return {
+      metadata: await this.getMetadata(destBucket, destKey),
+      versionId,
+    };
+  }
 
-    if (replacementMetadata) {
-      await this.putMetadata(destBucket, destKey, replacementMetadata);
-      return this.getMetadata(destBucket, destKey);
-    } else {
-      if (srcObjectPath !== destObjectPath) {
-        await Promise.all([
-          fs.copy(
-            this.getResourcePath(srcBucket, srcKey, 'metadata.json'),
-            this.getResourcePath(destBucket, destKey, 'metadata.json'),
-          ),
-          fs.copy(
-            this.getResourcePath(srcBucket, srcKey, 'object.md5'),
-            this.getResourcePath(destBucket, destKey, 'object.md5'),
-          ),
-        ]);
+  /**
+   * Deletes an object. In versioned buckets, this inserts a delete marker as the current version of
+   * the object unless a version ID is given, in which case that version is permanently deleted.
+   *
+   * @param {string} bucket
+   * @param {string} key
+   * @param {string} [versionId]
+   * @returns {Promise<{versionId?: string, deleteMarker?: boolean}>}
+   */
+  async deleteObject(bucket, key, versionId) {
+    // deletes update the versions of an object like writes do, so they can't run concurrently
+    const releaseLock = await this.lockObject(bucket, key, false);
+    try {
+      if (versionId === undefined) {
+        const status = await this.getVersioningStatus(bucket);
+        if (status) {
+          return {
+            versionId: await this.createVersion(bucket, key, status, true),
+            deleteMarker: true,
+          };
+        }
+        await this.removeCurrentVersion(bucket, key);
+        await this.removeEmptyDirectories(bucket, key);
+        return {};
       }
-      return this.getMetadata(destBucket, destKey);
-    }
-  }
 
-  async deleteObject(bucket, key) {
-    await Promise.all(
-      [
-        this.getResourcePath(bucket, key, 'object'),
-        this.getResourcePath(bucket, key, 'object.md5'),
-        this.getResourcePath(bucket, key, 'metadata.json'),
-      ].map(filePath =>
-        fs.unlink(filePath).catch(err => {
-          if (err.code !== 'ENOENT') throw err;
-        }),
-      ),
-    );
-    // clean up empty directories
-    const bucketPath = this.getBucketPath(bucket);
-    const parts = key.split('/');
-    // the last part isn't a directory (it's embedded into the file name)
-    parts.pop();
-    while (
-      parts.length &&
-      !fs.readdirSync(path.join(bucketPath, ...parts)).length
-    ) {
-      await fs.rmdir(path.join(bucketPath, ...parts));
-      parts.pop();
+      const version = await this.findVersion(bucket, key, versionId);
+      if (!version) return {};
+      const versions = ((await this.getVersions(bucket, key)) || []).filter(
+        ({ versionId }) => versionId !== version.versionId,
+      );
+      if (version.isCurrent) {
+        await this.removeCurrentVersion(bucket, key);
+        // the previous version becomes the current version
+        const [previous] = versions;
+        if (previous && !previous.deleteMarker) {
+          await Promise.all(
+            VERSION_RESOURCES.map(resource =>
+              moveFile(
+                this.getVersionResourcePath(
+                  bucket,
+                  key,
+                  previous.versionId,
+                  resource,
+                ),
+                this.getResourcePath(bucket, key, resource),
+              ),
+            ),
+          );
+        }
+      }
+      await fs.remove(
+        this.getVersionResourcePath(bucket, key, version.versionId, ''),
+      );
+      await this.putVersions(bucket, key, versions);
+      await this.removeEmptyDirectories(bucket, key);
+      return { versionId, deleteMarker: Boolean(version.deleteMarker) };
+    } finally {
+      releaseLock();
     }
   }
 
@@ -383,47 +952,60 @@ class FilesystemStore {
 
     await fs.mkdirp(uploadDir);
 
+    const now = new Date();
     await Promise.all([
       fs.writeFile(path.join(uploadDir, 'key'), key),
       fs.writeFile(path.join(uploadDir, 'metadata'), JSON.stringify(metadata)),
     ]);
+    // the key's modification time records when the upload was initiated, which is set explicitly
+    // as filesystems may record it too coarsely to order uploads initiated in quick succession
+    await fs.utimes(path.join(uploadDir, 'key'), now, now);
   }
 
-  async putPart(bucket, uploadId, partNumber, content) {
+  /**
+   * Stores a part of a multipart upload, replacing any part previously uploaded with its number.
+   *
+   * @param {string} bucket
+   * @param {string} uploadId
+   * @param {number} partNumber
+   * @param {stream.Readable|Buffer} content
+   * @param {{algorithm?: string, value?: string}} [checksum] the additional checksum of the part,
+   *   which may be set while the content is being read
+   */
+  async putPart(bucket, uploadId, partNumber, content, checksum) {
     const partPath = path.join(
       this.getResourcePath(bucket, undefined, 'uploads'),
       uploadId,
       partNumber.toString(),
     );
 
-    await fs.mkdirp(path.dirname(partPath));
-
-    const [size, md5] = await new Promise((resolve, reject) => {
-      const writeStream = fs.createWriteStream(partPath);
-      const md5Context = crypto.createHash('md5');
-      let totalLength = 0;
-
-      content
-        .pipe(
-          new Transform({
-            transform(chunk, encoding, callback) {
-              md5Context.update(chunk, 'binary');
-              totalLength += chunk.length;
-              return callback(null, chunk);
-            },
-          }),
-        )
-        .on('error', reject)
-        .on('finish', () => {
-          resolve([totalLength, md5Context.digest('hex')]);
-        })
-        .pipe(writeStream);
-    });
+    const { size, md5 } = await this.writeContent(bucket, partPath, content);
     await fs.writeFile(`${partPath}.md5`, md5);
+    if (checksum && checksum.value) {
+      await fs.writeFile(`${partPath}.checksum`, JSON.stringify(checksum));
+    } else {
+      await fs.remove(`${partPath}.checksum`);
+    }
     return { size, md5 };
   }
 
-  async putObjectMultipart(bucket, uploadId, parts) {
+  /**
+   * Assembles the parts of a multipart upload into an object, and removes the upload.
+   *
+   * @param {string} bucket
+   * @param {string} uploadId
+   * @param {Array<{number: number, etag: string}>} parts
+   * @param {object} [options]
+   * @param {{algorithm: string, value?: string}} [options.checksum] the composite checksum of the
+   *   parts, or the algorithm of a full object checksum to calculate from the assembled content if
+   *   it has no value
+   * @param {Function} [options.precondition] see putObject()
+   * @param {Array} [options.subresources] see putObject()
+   * @returns {Promise<{size: number, md5: string, versionId?: string, metadata: object,
+   *   checksum?: {algorithm: string, value: string}}>}
+   */
+  async putObjectMultipart(bucket, uploadId, parts, options = {}) {
+    const { checksum, precondition, subresources } = options;
     const uploadDir = path.join(
       this.getResourcePath(bucket, undefined, 'uploads'),
       uploadId,
@@ -432,25 +1014,212 @@ class FilesystemStore {
       fs.readFile(path.join(uploadDir, 'key')).then(data => data.toString()),
       fs.readFile(path.join(uploadDir, 'metadata')).then(JSON.parse),
     ]);
-    const partStreams = sortBy(parts, part => part.number).map(part =>
+    const sortedParts = sortBy(parts, part => part.number);
+    const partStreams = sortedParts.map(part =>
       fs.createReadStream(path.join(uploadDir, part.number.toString())),
     );
-    const object = new S3Object(
-      bucket,
-      key,
-      concatStreams(partStreams),
-      metadata,
-    );
-    const result = await this.putObject(object);
+    const object = new S3Object(bucket, key, concatStreams(partStreams), {
+      ...omit(metadata, S3Object.CHECKSUM_HEADERS),
+      ...(checksum &&
+        checksum.value && {
+          [getChecksumHeader(checksum.algorithm)]: checksum.value,
+        }),
+    });
+    const objectChecksum = checksum && { ...checksum };
+    if (checksum && !checksum.value) {
+      // the metadata is only stored once the content has been written
+      object.content = verifyChecksum(
+        object.content,
+        checksum.algorithm,
+        undefined,
+        value => {
+          objectChecksum.value = value;
+          object.metadata[getChecksumHeader(checksum.algorithm)] = value;
+        },
+      );
+    }
+    // like S3, the ETag of an object uploaded in parts is the MD5 of the MD5s of its parts,
+    // followed by the number of parts
+    const partsMD5 = crypto
+      .createHash('md5')
+      .update(
+        Buffer.concat(sortedParts.map(part => Buffer.from(part.etag, 'hex'))),
+      )
+      .digest('hex');
+    const result = await this.putObject(object, {
+      etag: `${partsMD5}-${sortedParts.length}`,
+      precondition,
+      subresources,
+    });
     await fs.remove(uploadDir);
-    return result;
+    return { ...result, metadata, checksum: objectChecksum };
+  }
+
+  /**
+   * Gets an incomplete multipart upload, or null if it doesn't exist.
+   *
+   * @param {string} bucket
+   * @param {string} uploadId
+   * @returns {Promise<{uploadId: string, key: string, initiated: Date, metadata: object}>}
+   */
+  async getUpload(bucket, uploadId) {
+    // upload IDs come from requests, so they must not be able to refer to any other directory
+    if (!uploadId || uploadId.startsWith('.') || /[\\/]/.test(uploadId)) {
+      return null;
+    }
+    const uploadDir = path.join(
+      this.getResourcePath(bucket, undefined, 'uploads'),
+      uploadId,
+    );
+    const keyPath = path.join(uploadDir, 'key');
+    try {
+      const [key, stat, metadata] = await Promise.all([
+        fs.readFile(keyPath).then(data => data.toString()),
+        fs.stat(keyPath),
+        fs.readFile(path.join(uploadDir, 'metadata')).then(JSON.parse),
+      ]);
+      return { uploadId, key, initiated: stat.mtime, metadata };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Lists the parts that have been uploaded for a multipart upload, sorted by their part numbers.
+   *
+   * @param {string} bucket
+   * @param {string} uploadId
+   * @returns {Promise<Array<{number: number, size: number, md5: string, lastModified: Date,
+   *   checksum?: {algorithm: string, value: string}}>>}
+   */
+  async listParts(bucket, uploadId) {
+    const uploadDir = path.join(
+      this.getResourcePath(bucket, undefined, 'uploads'),
+      uploadId,
+    );
+    const filenames = await fs.readdir(uploadDir);
+    const parts = await Promise.all(
+      filenames
+        .filter(filename => /^\d+$/.test(filename))
+        .map(async filename => {
+          const partPath = path.join(uploadDir, filename);
+          try {
+            const [stat, md5, checksum] = await Promise.all([
+              fs.stat(partPath),
+              fs.readFile(`${partPath}.md5`).then(data => data.toString()),
+              fs
+                .readFile(`${partPath}.checksum`)
+                .then(JSON.parse)
+                .catch(err => {
+                  if (err.code === 'ENOENT') return undefined;
+                  throw err;
+                }),
+            ]);
+            return {
+              number: Number(filename),
+              size: stat.size,
+              md5,
+              lastModified: stat.mtime,
+              checksum,
+            };
+          } catch (err) {
+            // the part is still being written
+            if (err.code === 'ENOENT') return null;
+            throw err;
+          }
+        }),
+    );
+    return sortBy(parts.filter(Boolean), 'number');
+  }
+
+  /**
+   * Lists the incomplete multipart uploads of a bucket, sorted by key and then by the time they
+   * were initiated.
+   *
+   * @param {string} bucket
+   * @param {object} [options]
+   */
+  async listUploads(bucket, options = {}) {
+    const {
+      delimiter = '',
+      prefix = '',
+      keyMarker = '',
+      uploadIdMarker,
+      maxUploads = Infinity,
+    } = options;
+    const uploadsDir = this.getResourcePath(bucket, undefined, 'uploads');
+    let uploadIds;
+    try {
+      uploadIds = await fs.readdir(uploadsDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      uploadIds = [];
+    }
+    // uploads may be completed or aborted while they're listed
+    const allUploads = (
+      await Promise.all(
+        uploadIds.map(uploadId => this.getUpload(bucket, uploadId)),
+      )
+    ).filter(Boolean);
+    const sortedUploads = sortBy(allUploads, [
+      'key',
+      upload => upload.initiated.getTime(),
+      'uploadId',
+    ]);
+    const markerIndex = sortedUploads.findIndex(
+      upload => upload.key === keyMarker && upload.uploadId === uploadIdMarker,
+    );
+
+    const uploads = [];
+    const commonPrefixes = [];
+    let isTruncated = false;
+    for (const [i, upload] of sortedUploads.entries()) {
+      const { key } = upload;
+      if (!key.startsWith(prefix) || key < keyMarker) continue;
+      // uploads up to and including the upload ID marker have already been listed
+      if (key === keyMarker && (markerIndex === -1 || i <= markerIndex)) {
+        continue;
+      }
+
+      let commonPrefix;
+      if (delimiter) {
+        const idx = key.slice(prefix.length).indexOf(delimiter);
+        if (idx !== -1) {
+          commonPrefix = key.slice(0, prefix.length + idx + 1);
+          if (
+            commonPrefix <= keyMarker ||
+            commonPrefix === commonPrefixes[commonPrefixes.length - 1]
+          ) {
+            continue;
+          }
+        }
+      }
+      if (uploads.length + commonPrefixes.length === maxUploads) {
+        isTruncated = true;
+        break;
+      }
+      if (commonPrefix) {
+        commonPrefixes.push(commonPrefix);
+      } else {
+        uploads.push(upload);
+      }
+    }
+    return { uploads, commonPrefixes, isTruncated };
+  }
+
+  async abortUpload(bucket, uploadId) {
+    await fs.remove(
+      path.join(this.getResourcePath(bucket, undefined, 'uploads'), uploadId),
+    );
   }
 
-  async getSubresource(bucket, key, resourceType) {
-    const resourcePath = this.getResourcePath(
+  async getSubresource(bucket, key, resourceType, versionId) {
+    const resourcePath = await this.getVersionSubresourcePath(
       bucket,
       key,
-      `${resourceType}.xml`,
+      resourceType,
+      versionId,
     );
 
     const Model = getConfigModel(resourceType);
@@ -464,21 +1233,23 @@ class FilesystemStore {
     }
   }
 
-  async putSubresource(bucket, key, resource) {
-    const resourcePath = this.getResourcePath(
+  async putSubresource(bucket, key, resource, versionId) {
+    const resourcePath = await this.getVersionSubresourcePath(
       bucket,
       key,
-      `${resource.type}.xml`,
+      resource.type,
+      versionId,
+    );
+    await fs.writeFile(
+      resourcePath,
+      resource.type === 'policy'
+        ? JSON.stringify(resource, null, 2)
+        : resource.toXML(2),
     );
-    await fs.writeFile(resourcePath, resource.toXML(2));
   }
 
   async deleteSubresource(bucket, key, resourceType) {
-    const resourcePath = this.getResourcePath(
-      bucket,
-      key,
-      `${resourceType}.xml`,
-    );
+    const resourcePath = this.getSubresourcePath(bucket, key, resourceType);
     try {
       await fs.unlink(resourcePath);
     } catch (err) {
@@ -488,3 +1259,25 @@ class FilesystemStore {
 }
 
 module.exports = FilesystemStore;
+
+/**
+ * Generates an opaque version ID, which like those in S3 is URL-safe and 32 characters long.
+ */
+function generateVersionId() {
+  return crypto
+    .randomBytes(24)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Moves a file if it exists, replacing any existing file at the destination.
+ */
+async function moveFile(src, dest) {
+  try {
+    await fs.move(src, dest, { overwrite: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
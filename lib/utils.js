@@ -136,22 +136,6 @@ exports.toISO8601String = function(date) {
   return new Date(date).toISOString().replace(/[-:]|\.\d+/g, '');
 };
 
-/**
- * Reads a request body stream to a string.
- *
- * @param {Koa.Context} ctx
- * @returns {Promise<void>}
- */
-exports.utf8BodyParser = async function(ctx) {
-  const { req } = ctx;
-  ctx.request.body = await new Promise((resolve, reject) => {
-    let payload = '';
-    req.on('data', data => (payload += data.toString('utf8')));
-    req.on('end', () => resolve(payload));
-    req.on('error', reject);
-  });
-};
-
 /**
  * Basic reimplementation of events.once available in Node 10+
  */
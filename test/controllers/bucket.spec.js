@@ -3,8 +3,17 @@
 const { expect } = require('chai');
 const fs = require('fs-extra');
 const { find } = require('lodash');
+const request = require('request-promise-native').defaults({
+  resolveWithFullResponse: true,
+});
+const { URL } = require('url');
 
-const { createServerAndClient, generateTestObjects } = require('../helpers');
+const {
+  createClient,
+  createServerAndClient,
+  generateTestObjects,
+  signV4Request,
+} = require('../helpers');
 
 describe('Operations on Buckets', () => {
   let s3Client;
@@ -32,6 +41,15 @@ describe('Operations on Buckets', () => {
   beforeEach(async function() {
     ({ s3Client } = await createServerAndClient({
       configureBuckets: buckets,
+      accounts: [
+        {
+          id: '111122223333',
+          displayName: 'alice',
+          accessKeys: [
+            { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+          ],
+        },
+      ],
     }));
   });
 
@@ -71,6 +89,24 @@ describe('Operations on Buckets', () => {
       expect(error.statusCode).to.equal(409);
     });
 
+    it('fails to delete a bucket that still has noncurrent versions', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      await expect(
+        s3Client.deleteBucket({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'BucketNotEmpty');
+    });
+
     it('fails to fetch a deleted bucket', async function() {
       let error;
       await s3Client.deleteBucket({ Bucket: 'bucket-a' }).promise();
@@ -481,6 +517,707 @@ describe('Operations on Buckets', () => {
 
   describe('GET Bucket cors', () => {});
 
+  describe('Expected bucket owner', () => {
+    it('allows requests that expect the bucket owner', async function() {
+      await s3Client
+        .listObjectsV2({ Bucket: 'bucket-a' })
+        .on('build', ({ httpRequest }) => {
+          httpRequest.headers['x-amz-expected-bucket-owner'] = '123456789000';
+        })
+        .promise();
+    });
+
+    it('denies requests that expect a different bucket owner', async function() {
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      await aliceClient.createBucket({ Bucket: 'alice-bucket' }).promise();
+      let error;
+      try {
+        await aliceClient
+          .listObjectsV2({ Bucket: 'alice-bucket' })
+          .on('build', ({ httpRequest }) => {
+            httpRequest.headers['x-amz-expected-bucket-owner'] = '123456789000';
+          })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.statusCode).to.equal(403);
+        expect(err.code).to.equal('AccessDenied');
+      }
+      expect(error).to.exist;
+    });
+  });
+
+  describe('Bucket Object Lock', () => {
+    it('enables Object Lock and versioning when creating a bucket', async function() {
+      await s3Client
+        .createBucket({ Bucket: 'locked', ObjectLockEnabledForBucket: true })
+        .promise();
+      const data = await s3Client
+        .getObjectLockConfiguration({ Bucket: 'locked' })
+        .promise();
+      expect(data.ObjectLockConfiguration).to.eql({
+        ObjectLockEnabled: 'Enabled',
+      });
+      const versioning = await s3Client
+        .getBucketVersioning({ Bucket: 'locked' })
+        .promise();
+      expect(versioning.Status).to.equal('Enabled');
+    });
+
+    it('sets a default retention period', async function() {
+      await s3Client
+        .createBucket({ Bucket: 'locked', ObjectLockEnabledForBucket: true })
+        .promise();
+      const ObjectLockConfiguration = {
+        ObjectLockEnabled: 'Enabled',
+        Rule: { DefaultRetention: { Mode: 'GOVERNANCE', Days: 30 } },
+      };
+      await s3Client
+        .putObjectLockConfiguration({
+          Bucket: 'locked',
+          ObjectLockConfiguration,
+        })
+        .promise();
+      const data = await s3Client
+        .getObjectLockConfiguration({ Bucket: 'locked' })
+        .promise();
+      expect(data.ObjectLockConfiguration).to.eql(ObjectLockConfiguration);
+    });
+
+    it('rejects a default retention period with both days and years', async function() {
+      await s3Client
+        .createBucket({ Bucket: 'locked', ObjectLockEnabledForBucket: true })
+        .promise();
+      await expect(
+        s3Client
+          .putObjectLockConfiguration({
+            Bucket: 'locked',
+            ObjectLockConfiguration: {
+              ObjectLockEnabled: 'Enabled',
+              Rule: {
+                DefaultRetention: { Mode: 'GOVERNANCE', Days: 1, Years: 1 },
+              },
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'MalformedXML');
+    });
+
+    it("can't enable Object Lock on an existing bucket", async function() {
+      await expect(
+        s3Client
+          .putObjectLockConfiguration({
+            Bucket: 'bucket-a',
+            ObjectLockConfiguration: { ObjectLockEnabled: 'Enabled' },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'InvalidBucketState',
+      );
+      await expect(
+        s3Client.getObjectLockConfiguration({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'ObjectLockConfigurationNotFoundError',
+      );
+    });
+
+    it("can't suspend versioning of a bucket with Object Lock", async function() {
+      await s3Client
+        .createBucket({ Bucket: 'locked', ObjectLockEnabledForBucket: true })
+        .promise();
+      await expect(
+        s3Client
+          .putBucketVersioning({
+            Bucket: 'locked',
+            VersioningConfiguration: { Status: 'Suspended' },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'InvalidBucketState',
+      );
+    });
+  });
+
+  describe('Bucket lifecycle', () => {
+    const LifecycleConfiguration = {
+      Rules: [
+        {
+          ID: 'expire-logs',
+          Filter: {
+            And: { Prefix: 'logs/', Tags: [{ Key: 'temp', Value: 'true' }] },
+          },
+          Status: 'Enabled',
+          Expiration: { Days: 30 },
+          NoncurrentVersionExpiration: { NoncurrentDays: 7 },
+        },
+        {
+          ID: 'abort-uploads',
+          Filter: { Prefix: '' },
+          Status: 'Disabled',
+          AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 },
+        },
+      ],
+    };
+
+    it('puts, gets and deletes a lifecycle configuration', async function() {
+      await s3Client
+        .putBucketLifecycleConfiguration({
+          Bucket: 'bucket-a',
+          LifecycleConfiguration,
+        })
+        .promise();
+      const data = await s3Client
+        .getBucketLifecycleConfiguration({ Bucket: 'bucket-a' })
+        .promise();
+      // the SDK adds empty lists of transitions, which aren't supported
+      expect(data.Rules).to.eql(
+        LifecycleConfiguration.Rules.map(rule => ({
+          ...rule,
+          Transitions: [],
+          NoncurrentVersionTransitions: [],
+        })),
+      );
+
+      await s3Client.deleteBucketLifecycle({ Bucket: 'bucket-a' }).promise();
+      await expect(
+        s3Client
+          .getBucketLifecycleConfiguration({ Bucket: 'bucket-a' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'NoSuchLifecycleConfiguration',
+      );
+    });
+
+    it('rejects a rule without any actions', async function() {
+      await expect(
+        s3Client
+          .putBucketLifecycleConfiguration({
+            Bucket: 'bucket-a',
+            LifecycleConfiguration: {
+              Rules: [
+                { ID: 'noop', Filter: { Prefix: '' }, Status: 'Enabled' },
+              ],
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidRequest');
+    });
+
+    it('rejects rules with the same ID', async function() {
+      const rule = {
+        ID: 'expire',
+        Filter: { Prefix: '' },
+        Status: 'Enabled',
+        Expiration: { Days: 1 },
+      };
+      await expect(
+        s3Client
+          .putBucketLifecycleConfiguration({
+            Bucket: 'bucket-a',
+            LifecycleConfiguration: { Rules: [rule, rule] },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidArgument');
+    });
+
+    it('rejects an expiration date that is not at midnight', async function() {
+      await expect(
+        s3Client
+          .putBucketLifecycleConfiguration({
+            Bucket: 'bucket-a',
+            LifecycleConfiguration: {
+              Rules: [
+                {
+                  ID: 'expire',
+                  Filter: { Prefix: '' },
+                  Status: 'Enabled',
+                  Expiration: { Date: new Date('2030-01-01T12:00:00Z') },
+                },
+              ],
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidArgument');
+    });
+
+    it('rejects a filter with multiple conditions outside of an And element', async function() {
+      await expect(
+        s3Client
+          .putBucketLifecycleConfiguration({
+            Bucket: 'bucket-a',
+            LifecycleConfiguration: {
+              Rules: [
+                {
+                  ID: 'expire',
+                  Filter: {
+                    Prefix: 'logs/',
+                    Tag: { Key: 'temp', Value: 'true' },
+                  },
+                  Status: 'Enabled',
+                  Expiration: { Days: 1 },
+                },
+              ],
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'MalformedXML');
+    });
+  });
+
+  describe('Bucket policy', () => {
+    let aliceClient;
+
+    beforeEach(async function() {
+      aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'public/text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'private/text', Body: 'Hi!' })
+        .promise();
+    });
+
+    const putPolicy = (...statements) =>
+      s3Client
+        .putBucketPolicy({
+          Bucket: 'bucket-a',
+          Policy: JSON.stringify({
+            Version: '2012-10-17',
+            Statement: statements,
+          }),
+        })
+        .promise();
+
+    it('puts, gets and deletes a bucket policy', async function() {
+      const policy = {
+        Version: '2012-10-17',
+        Statement: [
+          {
+            Effect: 'Allow',
+            Principal: '*',
+            Action: 's3:GetObject',
+            Resource: 'arn:aws:s3:::bucket-a/*',
+          },
+        ],
+      };
+      await s3Client
+        .putBucketPolicy({ Bucket: 'bucket-a', Policy: JSON.stringify(policy) })
+        .promise();
+      const data = await s3Client
+        .getBucketPolicy({ Bucket: 'bucket-a' })
+        .promise();
+      expect(JSON.parse(data.Policy)).to.deep.equal(policy);
+      await s3Client.deleteBucketPolicy({ Bucket: 'bucket-a' }).promise();
+      await expect(
+        s3Client.getBucketPolicy({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('The bucket policy does not exist');
+    });
+
+    it('rejects a policy for resources outside of the bucket', async function() {
+      let error;
+      try {
+        await putPolicy({
+          Effect: 'Allow',
+          Principal: '*',
+          Action: 's3:GetObject',
+          Resource: 'arn:aws:s3:::bucket-b/*',
+        });
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('MalformedPolicy');
+        expect(err.statusCode).to.equal(400);
+      }
+      expect(error).to.exist;
+    });
+
+    it('rejects a policy that is not valid JSON', async function() {
+      let error;
+      try {
+        await s3Client
+          .putBucketPolicy({ Bucket: 'bucket-a', Policy: 'not json' })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('MalformedPolicy');
+      }
+      expect(error).to.exist;
+    });
+
+    it('denies requests from the bucket owner matching a Deny statement', async function() {
+      await putPolicy({
+        Effect: 'Deny',
+        Principal: '*',
+        Action: 's3:GetObject',
+        Resource: 'arn:aws:s3:::bucket-a/private/*',
+      });
+      await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'public/text' })
+        .promise();
+      let error;
+      try {
+        await s3Client
+          .getObject({ Bucket: 'bucket-a', Key: 'private/text' })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('AccessDenied');
+        expect(err.statusCode).to.equal(403);
+      }
+      expect(error).to.exist;
+    });
+
+    it('never denies the bucket owner access to the bucket policy', async function() {
+      await putPolicy({
+        Effect: 'Deny',
+        Principal: '*',
+        Action: 's3:*',
+        Resource: ['arn:aws:s3:::bucket-a', 'arn:aws:s3:::bucket-a/*'],
+      });
+      await expect(
+        s3Client.listObjects({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await s3Client.getBucketPolicy({ Bucket: 'bucket-a' }).promise();
+      await s3Client.deleteBucketPolicy({ Bucket: 'bucket-a' }).promise();
+      await s3Client.listObjects({ Bucket: 'bucket-a' }).promise();
+    });
+
+    it('denies requests from other accounts without an Allow statement', async function() {
+      await expect(
+        aliceClient
+          .getObject({ Bucket: 'bucket-a', Key: 'public/text' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('allows requests from other accounts matching an Allow statement', async function() {
+      await putPolicy({
+        Effect: 'Allow',
+        Principal: { AWS: 'arn:aws:iam::111122223333:root' },
+        Action: ['s3:GetObject'],
+        Resource: 'arn:aws:s3:::bucket-a/public/*',
+      });
+      const object = await aliceClient
+        .getObject({ Bucket: 'bucket-a', Key: 'public/text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+      await expect(
+        aliceClient
+          .getObject({ Bucket: 'bucket-a', Key: 'private/text' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await expect(
+        aliceClient
+          .putObject({ Bucket: 'bucket-a', Key: 'public/text', Body: 'Bye!' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('evaluates StringLike conditions on s3:prefix', async function() {
+      await putPolicy({
+        Effect: 'Allow',
+        Principal: { AWS: '111122223333' },
+        Action: 's3:ListBucket',
+        Resource: 'arn:aws:s3:::bucket-a',
+        Condition: { StringLike: { 's3:prefix': 'public/*' } },
+      });
+      const data = await aliceClient
+        .listObjectsV2({ Bucket: 'bucket-a', Prefix: 'public/' })
+        .promise();
+      expect(data.Contents).to.have.lengthOf(1);
+      await expect(
+        aliceClient.listObjectsV2({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await expect(
+        aliceClient
+          .listObjectsV2({ Bucket: 'bucket-a', Prefix: 'private/' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('evaluates aws:SecureTransport conditions', async function() {
+      await putPolicy({
+        Effect: 'Deny',
+        Principal: '*',
+        Action: 's3:*',
+        Resource: 'arn:aws:s3:::bucket-a/*',
+        Condition: { Bool: { 'aws:SecureTransport': 'false' } },
+      });
+      await expect(
+        s3Client
+          .getObject({ Bucket: 'bucket-a', Key: 'public/text' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('evaluates IpAddress conditions', async function() {
+      await putPolicy(
+        {
+          Effect: 'Allow',
+          Principal: '*',
+          Action: 's3:GetObject',
+          Resource: 'arn:aws:s3:::bucket-a/*',
+          Condition: { IpAddress: { 'aws:SourceIp': '127.0.0.0/8' } },
+        },
+        {
+          Effect: 'Deny',
+          Principal: '*',
+          Action: 's3:PutObject',
+          Resource: 'arn:aws:s3:::bucket-a/*',
+          Condition: { NotIpAddress: { 'aws:SourceIp': '10.0.0.0/8' } },
+        },
+      );
+      await aliceClient
+        .getObject({ Bucket: 'bucket-a', Key: 'private/text' })
+        .promise();
+      await expect(
+        s3Client
+          .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('reports keys denied by the policy when deleting multiple objects', async function() {
+      await putPolicy({
+        Effect: 'Deny',
+        Principal: '*',
+        Action: 's3:DeleteObject',
+        Resource: 'arn:aws:s3:::bucket-a/private/*',
+      });
+      const data = await s3Client
+        .deleteObjects({
+          Bucket: 'bucket-a',
+          Delete: {
+            Objects: [{ Key: 'public/text' }, { Key: 'private/text' }],
+          },
+        })
+        .promise();
+      expect(data.Deleted).to.deep.equal([{ Key: 'public/text' }]);
+      expect(data.Errors).to.deep.equal([
+        {
+          Key: 'private/text',
+          Code: 'AccessDenied',
+          Message: 'Access Denied',
+        },
+      ]);
+      await s3Client
+        .headObject({ Bucket: 'bucket-a', Key: 'private/text' })
+        .promise();
+    });
+  });
+
+  describe('Bucket ACLs', () => {
+    it('returns a private ACL by default', async function() {
+      const acl = await s3Client.getBucketAcl({ Bucket: 'bucket-a' }).promise();
+      expect(acl).to.deep.equal({
+        Owner: { ID: '123456789000', DisplayName: 'S3rver' },
+        Grants: [
+          {
+            Grantee: {
+              Type: 'CanonicalUser',
+              ID: '123456789000',
+              DisplayName: 'S3rver',
+            },
+            Permission: 'FULL_CONTROL',
+          },
+        ],
+      });
+    });
+
+    it('denies anonymous requests to private buckets', async function() {
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('listObjects', { Bucket: 'bucket-a' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it("doesn't let anonymous requests re-create a bucket", async function() {
+      const expectedAcl = await s3Client
+        .getBucketAcl({ Bucket: 'bucket-a' })
+        .promise();
+      for (const ACL of ['public-read-write', undefined]) {
+        await expect(
+          s3Client
+            .makeUnauthenticatedRequest('createBucket', {
+              Bucket: 'bucket-a',
+              ACL,
+            })
+            .promise(),
+        ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+      }
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('listObjects', { Bucket: 'bucket-a' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      const acl = await s3Client.getBucketAcl({ Bucket: 'bucket-a' }).promise();
+      expect(acl).to.deep.equal(expectedAcl);
+    });
+
+    it("doesn't change the ACL of a re-created bucket", async function() {
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read' })
+        .promise();
+      await s3Client.createBucket({ Bucket: 'bucket-a' }).promise();
+      await s3Client
+        .makeUnauthenticatedRequest('listObjects', { Bucket: 'bucket-a' })
+        .promise();
+      await s3Client
+        .createBucket({ Bucket: 'bucket-a', ACL: 'private' })
+        .promise();
+      await s3Client
+        .makeUnauthenticatedRequest('listObjects', { Bucket: 'bucket-a' })
+        .promise();
+    });
+
+    it('creates a bucket with a canned ACL', async function() {
+      await s3Client
+        .createBucket({ Bucket: 'public-bucket', ACL: 'public-read' })
+        .promise();
+      await s3Client
+        .makeUnauthenticatedRequest('listObjects', { Bucket: 'public-bucket' })
+        .promise();
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('putObject', {
+            Bucket: 'public-bucket',
+            Key: 'text',
+            Body: 'Hello!',
+          })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('puts a canned ACL on an existing bucket', async function() {
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read-write' })
+        .promise();
+      await s3Client
+        .makeUnauthenticatedRequest('putObject', {
+          Bucket: 'bucket-a',
+          Key: 'text',
+          Body: 'Hello!',
+        })
+        .promise();
+      const data = await s3Client
+        .makeUnauthenticatedRequest('listObjects', { Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Contents).to.have.lengthOf(1);
+    });
+
+    it('grants other accounts access to a bucket', async function() {
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      await expect(
+        aliceClient.listObjects({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await s3Client
+        .putBucketAcl({
+          Bucket: 'bucket-a',
+          GrantRead: 'id="111122223333"',
+          GrantFullControl: 'id="123456789000"',
+        })
+        .promise();
+      await aliceClient.listObjects({ Bucket: 'bucket-a' }).promise();
+      await expect(
+        aliceClient.getBucketAcl({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('reports the bucket owner to other accounts listing objects', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read' })
+        .promise();
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      const { Contents } = await aliceClient
+        .listObjects({ Bucket: 'bucket-a' })
+        .promise();
+      expect(Contents[0].Owner).to.eql({
+        ID: '123456789000',
+        DisplayName: 'S3rver',
+      });
+    });
+
+    it("lets the bucket owner access a bucket's ACL without a grant", async function() {
+      const { s3Client } = await createServerAndClient({
+        configureBuckets: [
+          {
+            name: 'bucket-a',
+            configs: [
+              `<AccessControlPolicy>
+                <Owner><ID>111122223333</ID></Owner>
+                <AccessControlList>
+                  <Grant>
+                    <Grantee xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:type="CanonicalUser">
+                      <ID>111122223333</ID>
+                    </Grantee>
+                    <Permission>FULL_CONTROL</Permission>
+                  </Grant>
+                </AccessControlList>
+              </AccessControlPolicy>`,
+            ],
+          },
+        ],
+        accounts: [
+          {
+            id: '111122223333',
+            displayName: 'alice',
+            accessKeys: [
+              { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+            ],
+          },
+        ],
+      });
+      await expect(
+        s3Client.listObjects({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await s3Client.getBucketAcl({ Bucket: 'bucket-a' }).promise();
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'private' })
+        .promise();
+      await s3Client.listObjects({ Bucket: 'bucket-a' }).promise();
+    });
+
+    it('rejects a malformed AccessControlPolicy document', async function() {
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a?acl', s3Client.endpoint.href),
+          {
+            body: '<AccessControlPolicy />',
+            headers: signV4Request({
+              endpoint: s3Client.endpoint.href,
+              path: '/bucket-a?acl',
+              body: '<AccessControlPolicy />',
+            }),
+          },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>MalformedACLError</Code>');
+    });
+  });
+
   describe('GET Bucket location', () => {
     it('returns default bucket location', async function() {
       const location = await s3Client
@@ -546,6 +1283,39 @@ describe('Operations on Buckets', () => {
       }
       expect(error).to.exist;
     });
+
+    it('succeeds at re-creating a bucket owned by the requester in us-east-1', async function() {
+      await s3Client.createBucket({ Bucket: 'bucket-a' }).promise();
+    });
+
+    it('fails to re-create a bucket owned by the requester outside of us-east-1', async function() {
+      const euClient = createClient(s3Client, { region: 'eu-west-1' });
+      let error;
+      try {
+        await euClient.createBucket({ Bucket: 'bucket-a' }).promise();
+      } catch (err) {
+        error = err;
+        expect(err.statusCode).to.equal(409);
+        expect(err.code).to.equal('BucketAlreadyOwnedByYou');
+      }
+      expect(error).to.exist;
+    });
+
+    it('fails to create a bucket owned by another account', async function() {
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      let error;
+      try {
+        await aliceClient.createBucket({ Bucket: 'bucket-a' }).promise();
+      } catch (err) {
+        error = err;
+        expect(err.statusCode).to.equal(409);
+        expect(err.code).to.equal('BucketAlreadyExists');
+      }
+      expect(error).to.exist;
+    });
   });
 
   describe('PUT Bucket cors', () => {
@@ -565,6 +1335,317 @@ describe('Operations on Buckets', () => {
         .promise();
       await s3Client.getBucketCors({ Bucket: 'bucket-a' }).promise();
     });
+
+    it('fails to put a CORS configuration when the payload does not match x-amz-content-sha256', async function() {
+      const body = fs.readFileSync(
+        require.resolve('../fixtures/cors-test0.xml'),
+      );
+      const headers = signV4Request({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a?cors',
+        body: '',
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a?cors', s3Client.endpoint.href),
+          { headers, body },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>XAmzContentSHA256Mismatch</Code>');
+      await expect(
+        s3Client.getBucketCors({ Bucket: 'bucket-a' }).promise(),
+      ).to.eventually.be.rejectedWith('The CORS configuration does not exist');
+    });
+  });
+
+  describe('Bucket versioning', () => {
+    it('returns an empty configuration for an unversioned bucket', async function() {
+      const data = await s3Client
+        .getBucketVersioning({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Status).to.be.undefined;
+    });
+
+    it('enables and suspends versioning', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      let data = await s3Client
+        .getBucketVersioning({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Status).to.equal('Enabled');
+
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Suspended' },
+        })
+        .promise();
+      data = await s3Client
+        .getBucketVersioning({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Status).to.equal('Suspended');
+    });
+
+    it('rejects an invalid versioning status', async function() {
+      await expect(
+        s3Client
+          .putBucketVersioning({
+            Bucket: 'bucket-a',
+            VersioningConfiguration: { Status: 'Disabled' },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'MalformedXML');
+    });
+  });
+
+  describe('GET Bucket Object versions', () => {
+    beforeEach(async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'a', Body: 'unversioned' })
+        .promise();
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      for (const key of ['a', 'b', 'dir/c', 'dir/d']) {
+        await s3Client
+          .putObject({ Bucket: 'bucket-a', Key: key, Body: 'Hello!' })
+          .promise();
+      }
+      await s3Client.deleteObject({ Bucket: 'bucket-a', Key: 'b' }).promise();
+    });
+
+    it('reports null versions in an unversioned bucket', async function() {
+      await s3Client.createBucket({ Bucket: 'unversioned' }).promise();
+      await s3Client
+        .putObject({ Bucket: 'unversioned', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const data = await s3Client
+        .listObjectVersions({ Bucket: 'unversioned' })
+        .promise();
+      expect(data.Versions).to.have.lengthOf(1);
+      expect(data.Versions[0]).to.include({
+        Key: 'text',
+        VersionId: 'null',
+        IsLatest: true,
+        Size: 6,
+      });
+      expect(data.DeleteMarkers).to.be.empty;
+    });
+
+    it('lists every version and delete marker', async function() {
+      const data = await s3Client
+        .listObjectVersions({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.IsTruncated).to.be.false;
+      expect(
+        data.Versions.map(version => [
+          version.Key,
+          version.IsLatest,
+          version.VersionId === 'null',
+        ]),
+      ).to.eql([
+        ['a', true, false],
+        ['a', false, true],
+        ['b', false, false],
+        ['dir/c', true, false],
+        ['dir/d', true, false],
+      ]);
+      expect(data.DeleteMarkers).to.have.lengthOf(1);
+      expect(data.DeleteMarkers[0]).to.include({ Key: 'b', IsLatest: true });
+    });
+
+    it('paginates versions with key and version ID markers', async function() {
+      const versions = [];
+      let params = { Bucket: 'bucket-a', MaxKeys: 2 };
+      let data;
+      do {
+        data = await s3Client.listObjectVersions(params).promise();
+        versions.push(...data.Versions, ...data.DeleteMarkers);
+        params = {
+          ...params,
+          KeyMarker: data.NextKeyMarker,
+          VersionIdMarker: data.NextVersionIdMarker,
+        };
+      } while (data.IsTruncated);
+      expect(versions).to.have.lengthOf(6);
+      expect(new Set(versions.map(version => version.VersionId)).size).to.equal(
+        6,
+      );
+    });
+
+    it('groups versions into common prefixes', async function() {
+      const data = await s3Client
+        .listObjectVersions({ Bucket: 'bucket-a', Delimiter: '/' })
+        .promise();
+      expect(data.CommonPrefixes).to.eql([{ Prefix: 'dir/' }]);
+      expect(data.Versions.map(version => version.Key)).to.eql(['a', 'a', 'b']);
+    });
+
+    it('lists versions under a prefix', async function() {
+      const data = await s3Client
+        .listObjectVersions({ Bucket: 'bucket-a', Prefix: 'dir/' })
+        .promise();
+      expect(data.Versions.map(version => version.Key)).to.eql([
+        'dir/c',
+        'dir/d',
+      ]);
+    });
+
+    it('reports the bucket owner to other accounts listing versions', async function() {
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read' })
+        .promise();
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      const data = await aliceClient
+        .listObjectVersions({ Bucket: 'bucket-a', MaxKeys: 5000 })
+        .promise();
+      expect(data.MaxKeys).to.equal(1000);
+      for (const version of [...data.Versions, ...data.DeleteMarkers]) {
+        expect(version.Owner).to.eql({
+          ID: '123456789000',
+          DisplayName: 'S3rver',
+        });
+      }
+    });
+
+    it('requires a key marker with a version ID marker', async function() {
+      await expect(
+        s3Client
+          .listObjectVersions({ Bucket: 'bucket-a', VersionIdMarker: 'null' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidArgument');
+    });
+  });
+
+  describe('List Multipart Uploads', () => {
+    async function createUploads(keys) {
+      const uploadIds = [];
+      for (const key of keys) {
+        const { UploadId } = await s3Client
+          .createMultipartUpload({ Bucket: 'bucket-a', Key: key })
+          .promise();
+        uploadIds.push(UploadId);
+      }
+      return uploadIds;
+    }
+
+    it('lists no uploads in a bucket without any', async function() {
+      const data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Uploads).to.be.empty;
+      expect(data.IsTruncated).to.be.false;
+    });
+
+    it('lists uploads in order of their keys', async function() {
+      await s3Client
+        .createMultipartUpload({
+          Bucket: 'bucket-a',
+          Key: 'b',
+          StorageClass: 'STANDARD_IA',
+        })
+        .promise();
+      const [uploadId] = await createUploads(['a']);
+      const data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Uploads.map(upload => upload.Key)).to.eql(['a', 'b']);
+      const [upload] = data.Uploads;
+      expect(upload.UploadId).to.equal(uploadId);
+      expect(upload.Initiator).to.eql({
+        ID: '123456789000',
+        DisplayName: 'S3rver',
+      });
+      expect(upload.Owner).to.eql({
+        ID: '123456789000',
+        DisplayName: 'S3rver',
+      });
+      expect(upload.StorageClass).to.equal('STANDARD');
+      expect(upload.Initiated).to.be.an.instanceOf(Date);
+      expect(data.Uploads[1].StorageClass).to.equal('STANDARD_IA');
+    });
+
+    it('reports the bucket owner to other accounts listing uploads', async function() {
+      await createUploads(['a']);
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read' })
+        .promise();
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      const { Uploads } = await aliceClient
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(Uploads[0].Owner).to.eql({
+        ID: '123456789000',
+        DisplayName: 'S3rver',
+      });
+    });
+
+    it('lists uploads with a prefix and a delimiter', async function() {
+      await createUploads(['logs/a/1', 'logs/a/2', 'logs/b', 'text']);
+      const data = await s3Client
+        .listMultipartUploads({
+          Bucket: 'bucket-a',
+          Prefix: 'logs/',
+          Delimiter: '/',
+        })
+        .promise();
+      expect(data.Uploads.map(upload => upload.Key)).to.eql(['logs/b']);
+      expect(data.CommonPrefixes).to.eql([{ Prefix: 'logs/a/' }]);
+    });
+
+    it('paginates uploads with key and upload ID markers', async function() {
+      const uploadIds = await createUploads(['a', 'a', 'b']);
+      let data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a', MaxUploads: 1 })
+        .promise();
+      expect(data.IsTruncated).to.be.true;
+      expect(data.NextKeyMarker).to.equal('a');
+      expect(data.NextUploadIdMarker).to.equal(uploadIds[0]);
+
+      data = await s3Client
+        .listMultipartUploads({
+          Bucket: 'bucket-a',
+          KeyMarker: data.NextKeyMarker,
+          UploadIdMarker: data.NextUploadIdMarker,
+        })
+        .promise();
+      expect(data.IsTruncated).to.be.false;
+      expect(data.Uploads.map(upload => upload.UploadId)).to.eql(
+        uploadIds.slice(1),
+      );
+
+      data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a', KeyMarker: 'a' })
+        .promise();
+      expect(data.Uploads.map(upload => upload.UploadId)).to.eql([
+        uploadIds[2],
+      ]);
+    });
+
+    it('rejects an invalid max-uploads value', async function() {
+      await expect(
+        s3Client
+          .listMultipartUploads({ Bucket: 'bucket-a', MaxUploads: -1 })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidArgument');
+    });
   });
 
   describe('PUT Bucket website', () => {
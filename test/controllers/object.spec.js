@@ -1,6 +1,7 @@
 'use strict';
 
 const { expect } = require('chai');
+const crypto = require('crypto');
 const express = require('express');
 const FormData = require('form-data');
 const fs = require('fs-extra');
@@ -13,7 +14,15 @@ const request = require('request-promise-native').defaults({
 });
 const { URL, URLSearchParams } = require('url');
 
-const { createServerAndClient, generateTestObjects } = require('../helpers');
+const { createChecksumHash } = require('../../lib/checksum');
+
+const {
+  createAwsChunkedRequest,
+  createClient,
+  createServerAndClient,
+  generateTestObjects,
+  signV4Request,
+} = require('../helpers');
 
 describe('Operations on Objects', () => {
   let s3rver;
@@ -60,6 +69,30 @@ describe('Operations on Objects', () => {
       expect(find(data.Deleted, { Key: 'key67' })).to.exist;
     });
 
+    it('creates a delete marker for every entry of a key in a versioned bucket', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const data = await s3Client
+        .deleteObjects({
+          Bucket: 'bucket-a',
+          Delete: { Objects: times(5, () => ({ Key: 'text' })) },
+        })
+        .promise();
+      expect(data.Deleted).to.have.lengthOf(5);
+      const { Versions, DeleteMarkers } = await s3Client
+        .listObjectVersions({ Bucket: 'bucket-a' })
+        .promise();
+      expect(Versions).to.have.lengthOf(1);
+      expect(DeleteMarkers).to.have.lengthOf(5);
+    });
+
     it('reports invalid XML when using deleteObjects with zero objects', async function() {
       let error;
       try {
@@ -76,6 +109,30 @@ describe('Operations on Objects', () => {
       expect(error.code).to.equal('MalformedXML');
     });
 
+    it('does not delete objects when the request does not match its Content-MD5', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await expect(
+        s3Client
+          .deleteObjects({
+            Bucket: 'bucket-a',
+            Delete: { Objects: [{ Key: 'text' }] },
+          })
+          .on('afterBuild', ({ httpRequest }) => {
+            httpRequest.headers['Content-MD5'] = crypto
+              .createHash('md5')
+              .update('Hello!')
+              .digest('base64');
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'BadDigest');
+      const data = await s3Client
+        .listObjectsV2({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Contents).to.have.lengthOf(1);
+    });
+
     it('deletes nonexistent objects', async function() {
       const deleteObj = { Objects: [{ Key: 'doesnotexist' }] };
       const data = await s3Client
@@ -283,14 +340,415 @@ describe('Operations on Objects', () => {
       }
       expect(error).to.exist;
     });
+
+    describe('conditional requests', () => {
+      let ETag;
+      let LastModified;
+
+      beforeEach(async function() {
+        await s3Client
+          .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+          .promise();
+        ({ ETag, LastModified } = await s3Client
+          .headObject({ Bucket: 'bucket-a', Key: 'text' })
+          .promise());
+      });
+
+      const getObject = params =>
+        s3Client
+          .getObject({ Bucket: 'bucket-a', Key: 'text', ...params })
+          .promise()
+          .then(
+            () => 200,
+            err => err.statusCode,
+          );
+
+      it('gets an object only if it matches If-Match', async function() {
+        expect(await getObject({ IfMatch: ETag })).to.equal(200);
+        expect(await getObject({ IfMatch: `"abc", ${ETag}` })).to.equal(200);
+        expect(await getObject({ IfMatch: '*' })).to.equal(200);
+        expect(await getObject({ IfMatch: '"abc"' })).to.equal(412);
+        // If-Match uses the strong comparison
+        expect(await getObject({ IfMatch: `W/${ETag}` })).to.equal(412);
+      });
+
+      it('gets an object only if it is unmodified since If-Unmodified-Since', async function() {
+        const before = new Date(LastModified.getTime() - 60000);
+        expect(await getObject({ IfUnmodifiedSince: LastModified })).to.equal(
+          200,
+        );
+        expect(await getObject({ IfUnmodifiedSince: before })).to.equal(412);
+        // If-Unmodified-Since is ignored when If-Match is present
+        expect(
+          await getObject({ IfMatch: ETag, IfUnmodifiedSince: before }),
+        ).to.equal(200);
+      });
+
+      it('reports an unmodified object if it matches If-None-Match', async function() {
+        expect(await getObject({ IfNoneMatch: ETag })).to.equal(304);
+        expect(await getObject({ IfNoneMatch: `W/${ETag}` })).to.equal(304);
+        expect(await getObject({ IfNoneMatch: `"abc", ${ETag}` })).to.equal(
+          304,
+        );
+        expect(await getObject({ IfNoneMatch: '"abc"' })).to.equal(200);
+        // If-Modified-Since is ignored when If-None-Match is present
+        expect(
+          await getObject({
+            IfNoneMatch: '"abc"',
+            IfModifiedSince: LastModified,
+          }),
+        ).to.equal(200);
+        expect(await getObject({ IfModifiedSince: LastModified })).to.equal(
+          304,
+        );
+      });
+
+      it('keeps the ETag and Last-Modified headers of unmodified objects', async function() {
+        const url = s3Client.getSignedUrl('getObject', {
+          Bucket: 'bucket-a',
+          Key: 'text',
+        });
+        const res = await request(url, {
+          headers: { 'If-None-Match': ETag },
+          simple: false,
+        });
+        expect(res.statusCode).to.equal(304);
+        expect(res.headers.etag).to.equal(ETag);
+        expect(res.headers['last-modified']).to.equal(
+          LastModified.toUTCString(),
+        );
+        expect(res.body).to.be.empty;
+      });
+
+      it('evaluates preconditions before the range of a request', async function() {
+        expect(
+          await getObject({ IfMatch: '"abc"', Range: 'bytes=100-200' }),
+        ).to.equal(412);
+        expect(
+          await getObject({ IfNoneMatch: ETag, Range: 'bytes=100-200' }),
+        ).to.equal(304);
+      });
+    });
   });
 
   describe('GET Object ACL', () => {
-    it('returns a dummy acl for an object', async function() {
+    it('returns the private acl of an object by default', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'image0', Body: 'Hello!' })
+        .promise();
       const object = await s3Client
         .getObjectAcl({ Bucket: 'bucket-a', Key: 'image0' })
         .promise();
       expect(object.Owner.DisplayName).to.equal('S3rver');
+      expect(object.Grants).to.eql([
+        {
+          Grantee: {
+            Type: 'CanonicalUser',
+            ID: '123456789000',
+            DisplayName: 'S3rver',
+          },
+          Permission: 'FULL_CONTROL',
+        },
+      ]);
+    });
+  });
+
+  describe('Object ACLs', () => {
+    const allUsersGrantee = {
+      Type: 'Group',
+      URI: 'http://acs.amazonaws.com/groups/global/AllUsers',
+    };
+
+    it('denies anonymous requests for private objects', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      let error;
+      try {
+        await s3Client
+          .makeUnauthenticatedRequest('getObject', {
+            Bucket: 'bucket-a',
+            Key: 'text',
+          })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('AccessDenied');
+        expect(err.statusCode).to.equal(403);
+      }
+      expect(error).to.exist;
+    });
+
+    it('allows anonymous requests for public-read objects', async function() {
+      await s3Client
+        .putObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          Body: 'Hello!',
+          ACL: 'public-read',
+        })
+        .promise();
+      const object = await s3Client
+        .makeUnauthenticatedRequest('getObject', {
+          Bucket: 'bucket-a',
+          Key: 'text',
+        })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('putObject', {
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Bye!',
+          })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+    });
+
+    it('only allows signed requests for authenticated-read objects', async function() {
+      await s3Client
+        .putObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          Body: 'Hello!',
+          ACL: 'authenticated-read',
+        })
+        .promise();
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('getObject', {
+            Bucket: 'bucket-a',
+            Key: 'text',
+          })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+      await s3Client.getObject({ Bucket: 'bucket-a', Key: 'text' }).promise();
+    });
+
+    it('gets and puts the ACLs of object versions', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      const { VersionId } = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Bye!' })
+        .promise();
+      await s3Client
+        .putObjectAcl({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId,
+          ACL: 'public-read',
+        })
+        .promise();
+
+      const versionAcl = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text', VersionId })
+        .promise();
+      expect(versionAcl.Grants).to.deep.include({
+        Grantee: allUsersGrantee,
+        Permission: 'READ',
+      });
+      const currentAcl = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(currentAcl.Grants).to.have.lengthOf(1);
+      const object = await s3Client
+        .makeUnauthenticatedRequest('getObject', {
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId,
+        })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+      await expect(
+        s3Client
+          .makeUnauthenticatedRequest('getObject', {
+            Bucket: 'bucket-a',
+            Key: 'text',
+          })
+          .promise(),
+      ).to.eventually.be.rejectedWith('Access Denied');
+
+      for (const request of [
+        s3Client.getObjectAcl({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId: 'unknown',
+        }),
+        s3Client.putObjectAcl({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId: 'unknown',
+          ACL: 'public-read',
+        }),
+      ]) {
+        await expect(
+          request.promise(),
+        ).to.eventually.be.rejected.and.have.property('code', 'NoSuchVersion');
+      }
+    });
+
+    it('puts a canned ACL on an existing object', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObjectAcl({ Bucket: 'bucket-a', Key: 'text', ACL: 'public-read' })
+        .promise();
+      const acl = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(acl.Grants).to.deep.include({
+        Grantee: allUsersGrantee,
+        Permission: 'READ',
+      });
+      await s3Client
+        .makeUnauthenticatedRequest('getObject', {
+          Bucket: 'bucket-a',
+          Key: 'text',
+        })
+        .promise();
+    });
+
+    it('puts an ACL specified with grant headers', async function() {
+      await s3Client
+        .putObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          Body: 'Hello!',
+          GrantRead: `uri="${allUsersGrantee.URI}"`,
+          GrantFullControl: 'id="123456789000"',
+        })
+        .promise();
+      const acl = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(acl.Grants).to.deep.equal([
+        {
+          Grantee: allUsersGrantee,
+          Permission: 'READ',
+        },
+        {
+          Grantee: {
+            Type: 'CanonicalUser',
+            ID: '123456789000',
+            DisplayName: 'S3rver',
+          },
+          Permission: 'FULL_CONTROL',
+        },
+      ]);
+    });
+
+    it('puts an ACL specified in an AccessControlPolicy document', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObjectAcl({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          AccessControlPolicy: {
+            Owner: { ID: '123456789000' },
+            Grants: [{ Grantee: allUsersGrantee, Permission: 'READ' }],
+          },
+        })
+        .promise();
+      const acl = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(acl.Owner).to.deep.equal({
+        ID: '123456789000',
+        DisplayName: 'S3rver',
+      });
+      expect(acl.Grants).to.deep.equal([
+        { Grantee: allUsersGrantee, Permission: 'READ' },
+      ]);
+    });
+
+    it('rejects requests specifying both a canned ACL and grant headers', async function() {
+      let error;
+      try {
+        await s3Client
+          .putObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Hello!',
+            ACL: 'private',
+            GrantRead: `uri="${allUsersGrantee.URI}"`,
+          })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('InvalidRequest');
+      }
+      expect(error).to.exist;
+    });
+
+    it('rejects grants for unknown accounts', async function() {
+      let error;
+      try {
+        await s3Client
+          .putObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Hello!',
+            GrantRead: 'id="999999999999"',
+          })
+          .promise();
+      } catch (err) {
+        error = err;
+        expect(err.code).to.equal('InvalidArgument');
+      }
+      expect(error).to.exist;
+    });
+
+    it('fails to put an ACL on an object that does not exist', async function() {
+      await expect(
+        s3Client
+          .putObjectAcl({ Bucket: 'bucket-a', Key: 'text', ACL: 'private' })
+          .promise(),
+      ).to.eventually.be.rejectedWith('The specified key does not exist.');
+    });
+
+    it('applies the ACL specified when initiating a multipart upload', async function() {
+      const upload = await s3Client
+        .createMultipartUpload({
+          Bucket: 'bucket-a',
+          Key: 'multipart',
+          ACL: 'public-read',
+        })
+        .promise();
+      const part = await s3Client
+        .uploadPart({
+          Bucket: 'bucket-a',
+          Key: 'multipart',
+          UploadId: upload.UploadId,
+          PartNumber: 1,
+          Body: 'Hello!',
+        })
+        .promise();
+      await s3Client
+        .completeMultipartUpload({
+          Bucket: 'bucket-a',
+          Key: 'multipart',
+          UploadId: upload.UploadId,
+          MultipartUpload: { Parts: [{ PartNumber: 1, ETag: part.ETag }] },
+        })
+        .promise();
+      const object = await s3Client
+        .makeUnauthenticatedRequest('getObject', {
+          Bucket: 'bucket-a',
+          Key: 'multipart',
+        })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
     });
   });
 
@@ -323,6 +781,13 @@ describe('Operations on Objects', () => {
   });
 
   describe('POST Object', () => {
+    beforeEach(async function() {
+      // unsigned form uploads are only accepted by publicly writable buckets
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read-write' })
+        .promise();
+    });
+
     it('stores a text object for a multipart/form-data request', async function() {
       const form = new FormData();
       form.append('key', 'text');
@@ -397,6 +862,7 @@ describe('Operations on Objects', () => {
       const file = require.resolve('../fixtures/image0.jpg');
       const form = new FormData();
       form.append('key', 'image');
+      form.append('acl', 'public-read');
       form.append('file', fs.createReadStream(file));
       const res = await request.post('bucket-a', {
         baseUrl: s3Client.config.endpoint,
@@ -594,6 +1060,7 @@ describe('Operations on Objects', () => {
     it('ignores fields specified after the file field', async function() {
       const form = new FormData();
       form.append('key', 'text');
+      form.append('acl', 'public-read');
       form.append('file', 'Hello!');
       form.append('Content-Type', 'text/plain');
       form.append('success_action_status', '200');
@@ -669,20 +1136,198 @@ describe('Operations on Objects', () => {
         '<ArgumentName>file</ArgumentName><ArgumentValue>0</ArgumentValue>',
       );
     });
-  });
 
-  describe('PUT Object', () => {
-    it('stores a text object in a bucket', async function() {
-      const data = await s3Client
-        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
-        .promise();
-      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}"/);
-    });
+    describe('with a policy', () => {
+      function signV2Policy(policy) {
+        const encodedPolicy = Buffer.from(JSON.stringify(policy)).toString(
+          'base64',
+        );
+        return {
+          AWSAccessKeyId: 'S3RVER',
+          policy: encodedPolicy,
+          signature: crypto
+            .createHmac('sha1', 'S3RVER')
+            .update(encodedPolicy)
+            .digest('base64'),
+        };
+      }
 
-    it('stores a different image and update the previous image', async function() {
-      const files = [
-        require.resolve('../fixtures/image0.jpg'),
-        require.resolve('../fixtures/image1.jpg'),
+      async function postForm(bucket, fields, file = 'Hello!') {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) {
+          form.append(name, value);
+        }
+        form.append('file', file, 'post_file.txt');
+        try {
+          return await request.post(bucket, {
+            baseUrl: s3Client.config.endpoint,
+            body: form,
+            headers: form.getHeaders(),
+          });
+        } catch (err) {
+          return err.response;
+        }
+      }
+
+      it('stores an object with a V4-signed policy in a private bucket', async function() {
+        const { fields } = s3Client.createPresignedPost({
+          Bucket: 'bucket-b',
+          Fields: { key: 'text' },
+        });
+        const res = await postForm('bucket-b', fields);
+        expect(res.statusCode).to.equal(204);
+        const object = await s3Client
+          .getObject({ Bucket: 'bucket-b', Key: 'text' })
+          .promise();
+        expect(object.Body.toString()).to.equal('Hello!');
+      });
+
+      it('stores an object with a V2-signed policy in a private bucket', async function() {
+        const res = await postForm('bucket-b', {
+          key: 'uploads/text',
+          'Content-Type': 'text/plain',
+          ...signV2Policy({
+            expiration: moment()
+              .add(1, 'hour')
+              .toISOString(),
+            conditions: [
+              { bucket: 'bucket-b' },
+              ['starts-with', '$key', 'uploads/'],
+              ['starts-with', '$Content-Type', 'text/'],
+            ],
+          }),
+        });
+        expect(res.statusCode).to.equal(204);
+        const object = await s3Client
+          .getObject({ Bucket: 'bucket-b', Key: 'uploads/text' })
+          .promise();
+        expect(object.ContentType).to.equal('text/plain');
+      });
+
+      it('applies the acl and tagging fields', async function() {
+        const { fields } = s3Client.createPresignedPost({
+          Bucket: 'bucket-b',
+          Fields: {
+            key: 'text',
+            acl: 'public-read',
+            tagging:
+              '<Tagging><TagSet><Tag><Key>Key1</Key><Value>Value1</Value></Tag></TagSet></Tagging>',
+          },
+        });
+        const res = await postForm('bucket-b', fields);
+        expect(res.statusCode).to.equal(204);
+        const object = await request('bucket-b/text', {
+          baseUrl: s3Client.config.endpoint,
+        });
+        expect(object.body).to.equal('Hello!');
+        const { TagSet } = await s3Client
+          .getObjectTagging({ Bucket: 'bucket-b', Key: 'text' })
+          .promise();
+        expect(TagSet).to.deep.equal([{ Key: 'Key1', Value: 'Value1' }]);
+      });
+
+      it('rejects an expired policy', async function() {
+        const res = await postForm('bucket-b', {
+          key: 'text',
+          ...signV2Policy({
+            expiration: moment()
+              .subtract(1, 'minute')
+              .toISOString(),
+            conditions: [{ bucket: 'bucket-b' }, { key: 'text' }],
+          }),
+        });
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.contain('<Code>AccessDenied</Code>');
+        expect(res.body).to.contain(
+          '<Message>Invalid according to Policy: Policy expired.</Message>',
+        );
+      });
+
+      it('rejects fields that fail a condition', async function() {
+        const res = await postForm('bucket-b', {
+          key: 'text',
+          ...signV2Policy({
+            expiration: moment()
+              .add(1, 'hour')
+              .toISOString(),
+            conditions: [
+              { bucket: 'bucket-b' },
+              ['starts-with', '$key', 'uploads/'],
+            ],
+          }),
+        });
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.contain(
+          '<Message>Invalid according to Policy: Policy Condition failed: [&quot;starts-with&quot;,&quot;$key&quot;,&quot;uploads/&quot;]</Message>',
+        );
+      });
+
+      it('rejects fields not covered by a condition', async function() {
+        const { fields } = s3Client.createPresignedPost({
+          Bucket: 'bucket-b',
+          Fields: { key: 'text' },
+        });
+        const res = await postForm('bucket-b', {
+          ...fields,
+          'Content-Type': 'text/plain',
+        });
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.contain(
+          '<Message>Invalid according to Policy: Extra input fields: content-type</Message>',
+        );
+      });
+
+      it('rejects files larger than the content-length-range', async function() {
+        const { fields } = s3Client.createPresignedPost({
+          Bucket: 'bucket-b',
+          Fields: { key: 'text' },
+          Conditions: [['content-length-range', 0, 5]],
+        });
+        const res = await postForm('bucket-b', fields);
+        expect(res.statusCode).to.equal(400);
+        expect(res.body).to.contain('<Code>EntityTooLarge</Code>');
+        expect(res.body).to.contain('<MaxSizeAllowed>5</MaxSizeAllowed>');
+        await expect(
+          s3Client.headObject({ Bucket: 'bucket-b', Key: 'text' }).promise(),
+        ).to.eventually.be.rejected.and.have.property('code', 'NotFound');
+      });
+
+      it('rejects a policy with an invalid signature', async function() {
+        const { fields } = s3Client.createPresignedPost({
+          Bucket: 'bucket-b',
+          Fields: { key: 'text' },
+        });
+        const res = await postForm('bucket-b', {
+          ...fields,
+          'X-Amz-Signature': 'a'.repeat(64),
+        });
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+      });
+
+      it('rejects credentials without a policy', async function() {
+        const res = await postForm('bucket-a', {
+          key: 'text',
+          AWSAccessKeyId: 'S3RVER',
+        });
+        expect(res.statusCode).to.equal(400);
+        expect(res.body).to.contain('<ArgumentName>policy</ArgumentName>');
+      });
+    });
+  });
+
+  describe('PUT Object', () => {
+    it('stores a text object in a bucket', async function() {
+      const data = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}"/);
+    });
+
+    it('stores a different image and update the previous image', async function() {
+      const files = [
+        require.resolve('../fixtures/image0.jpg'),
+        require.resolve('../fixtures/image1.jpg'),
       ];
 
       // Get object from store
@@ -762,6 +1407,11 @@ describe('Operations on Objects', () => {
       const res = await request.put('bucket-a/text', {
         baseUrl: s3Client.config.endpoint,
         body: 'Hello!',
+        headers: signV4Request({
+          endpoint: s3Client.endpoint.href,
+          path: '/bucket-a/text',
+          body: 'Hello!',
+        }),
       });
       expect(res.statusCode).to.equal(200);
       const data = await s3Client
@@ -855,6 +1505,227 @@ describe('Operations on Objects', () => {
         .putObject({ Bucket: bucket, Key: 'foo2.txt', Body: 'Hello2!' })
         .promise();
     });
+
+    it('stores an object uploaded with signed aws-chunked encoding', async function() {
+      const { headers, body } = createAwsChunkedRequest({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/chunked',
+        chunks: [Buffer.alloc(8192, 'a'), Buffer.from('Hello!')],
+      });
+      await request.put(new URL('/bucket-a/chunked', s3Client.endpoint.href), {
+        headers,
+        body,
+      });
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'chunked' })
+        .promise();
+      expect(object.Body.toString()).to.equal('a'.repeat(8192) + 'Hello!');
+      expect(object.ContentLength).to.equal(8198);
+      expect(object.ContentEncoding).to.be.undefined;
+    });
+
+    it('fails to store an aws-chunked upload with an incorrect chunk signature', async function() {
+      const { headers, body } = createAwsChunkedRequest({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/chunked',
+        chunks: [Buffer.from('Hello!')],
+        tamper: req => {
+          req.body = Buffer.from(req.body.toString().replace('Hello', 'Jello'));
+        },
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a/chunked', s3Client.endpoint.href),
+          { headers, body },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(403);
+      expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+    });
+
+    it('fails to store an aws-chunked upload shorter than its decoded content length', async function() {
+      const { headers, body } = createAwsChunkedRequest({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/chunked',
+        chunks: [Buffer.from('Hello!')],
+        unsigned: true,
+        tamper: req => {
+          req.body = Buffer.from(
+            req.body.toString().replace('6\r\nHello!', '5\r\nHello'),
+          );
+        },
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a/chunked', s3Client.endpoint.href),
+          { headers, body },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>IncompleteBody</Code>');
+    });
+
+    it('stores an object uploaded with signed aws-chunked encoding and trailers', async function() {
+      const { headers, body } = createAwsChunkedRequest({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/chunked',
+        chunks: [Buffer.from('Hello!')],
+        trailers: { 'x-amz-checksum-crc32': 'nSrMVg==' },
+      });
+      await request.put(new URL('/bucket-a/chunked', s3Client.endpoint.href), {
+        headers,
+        body,
+      });
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'chunked' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('fails to store a signed aws-chunked upload with unsigned or altered trailers', async function() {
+      for (const tamper of [
+        req => {
+          req.body = Buffer.from(
+            req.body.toString().replace(/x-amz-trailer-signature:\w+\r\n/, ''),
+          );
+        },
+        req => {
+          req.body = Buffer.from(
+            req.body.toString().replace('nSrMVg==', 'AAAAAA=='),
+          );
+        },
+      ]) {
+        const { headers, body } = createAwsChunkedRequest({
+          endpoint: s3Client.endpoint.href,
+          path: '/bucket-a/chunked',
+          chunks: [Buffer.from('Hello!')],
+          trailers: { 'x-amz-checksum-crc32': 'nSrMVg==' },
+          tamper,
+        });
+        const res = await request
+          .put(new URL('/bucket-a/chunked', s3Client.endpoint.href), {
+            headers,
+            body,
+          })
+          .catch(err => err.response);
+        expect(res.statusCode).to.equal(403);
+        expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+      }
+      await expect(
+        s3Client.headObject({ Bucket: 'bucket-a', Key: 'chunked' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NotFound');
+    });
+
+    it('stores an object uploaded with unsigned aws-chunked encoding and trailers', async function() {
+      const { headers, body } = createAwsChunkedRequest({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/chunked',
+        chunks: [Buffer.from('Hello!')],
+        trailers: { 'x-amz-checksum-crc32': 'nSrMVg==' },
+        unsigned: true,
+      });
+      await request.put(new URL('/bucket-a/chunked', s3Client.endpoint.href), {
+        headers,
+        body,
+      });
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'chunked' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('fails to store an object with an invalid Content-MD5', async function() {
+      await expect(
+        s3Client
+          .putObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Hello!',
+            ContentMD5: 'not an md5',
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidDigest');
+    });
+
+    it('fails to replace an object when the payload does not match its Content-MD5', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const err = await s3Client
+        .putObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          Body: 'Jello!',
+          ContentMD5: crypto
+            .createHash('md5')
+            .update('Hello!')
+            .digest('base64'),
+        })
+        .promise()
+        .catch(err => err);
+      expect(err.code).to.equal('BadDigest');
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('fails to store an object when the payload does not match x-amz-content-sha256', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const headers = signV4Request({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/text',
+        body: 'Jello!',
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a/text', s3Client.endpoint.href),
+          { headers, body: 'Hello, world!' },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>XAmzContentSHA256Mismatch</Code>');
+      expect(res.body).to.contain(
+        `<ClientComputedContentSHA256>${headers['X-Amz-Content-Sha256']}</ClientComputedContentSHA256>`,
+      );
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('does not store a new object when the payload does not match x-amz-content-sha256', async function() {
+      const headers = signV4Request({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/text',
+        body: 'Jello!',
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a/text', s3Client.endpoint.href),
+          { headers, body: 'Hello!' },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      const data = await s3Client
+        .listObjectsV2({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Contents).to.have.lengthOf(0);
+    });
   });
 
   describe('PUT Object - Copy', () => {
@@ -1078,6 +1949,127 @@ describe('Operations on Objects', () => {
       }
       expect(error).to.exist;
     });
+
+    it('copies an object with special characters in its key', async function() {
+      const srcKey = 'what?/100%#1';
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: srcKey, Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .copyObject({
+          Bucket: 'bucket-b',
+          Key: 'text',
+          CopySource: `bucket-a/${encodeURIComponent(srcKey)}`,
+        })
+        .promise();
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-b', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('copies a specific version of an object', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      const v1 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+
+      // restores the older version as the current version
+      const data = await s3Client
+        .copyObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          CopySource: `bucket-a/text?versionId=${v1.VersionId}`,
+        })
+        .promise();
+      expect(data.CopySourceVersionId).to.equal(v1.VersionId);
+      expect(data.VersionId).to.not.equal(v1.VersionId);
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+
+      await expect(
+        s3Client
+          .copyObject({
+            Bucket: 'bucket-b',
+            Key: 'text',
+            CopySource: 'bucket-a/text?versionId=unknown',
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchVersion');
+    });
+
+    it('refuses to copy a delete marker by its version ID', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const { VersionId } = await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      await expect(
+        s3Client
+          .copyObject({
+            Bucket: 'bucket-b',
+            Key: 'text',
+            CopySource: `bucket-a/text?versionId=${VersionId}`,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidRequest');
+    });
+
+    it('evaluates copy source conditions against the source object', async function() {
+      const { ETag } = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const copy = params =>
+        s3Client
+          .copyObject({
+            Bucket: 'bucket-b',
+            Key: 'text',
+            CopySource: 'bucket-a/text',
+            ...params,
+          })
+          .promise();
+      const past = new Date(Date.now() - 60000);
+      const future = new Date(Date.now() + 60000);
+
+      await copy({ CopySourceIfMatch: ETag, CopySourceIfModifiedSince: past });
+      await copy({ CopySourceIfNoneMatch: '"abc"' });
+      // If-Match takes precedence over a failing If-Unmodified-Since
+      await copy({
+        CopySourceIfMatch: ETag,
+        CopySourceIfUnmodifiedSince: past,
+      });
+
+      for (const params of [
+        { CopySourceIfMatch: '"abc"' },
+        { CopySourceIfNoneMatch: ETag },
+        { CopySourceIfModifiedSince: future },
+        { CopySourceIfUnmodifiedSince: past },
+        // If-None-Match takes precedence over a passing If-Modified-Since
+        { CopySourceIfNoneMatch: ETag, CopySourceIfModifiedSince: past },
+      ]) {
+        await expect(copy(params)).to.eventually.be.rejected.and.have.property(
+          'code',
+          'PreconditionFailed',
+        );
+      }
+    });
   });
 
   describe('PUT Object tagging', () => {
@@ -1115,6 +2107,34 @@ describe('Operations on Objects', () => {
           .promise(),
       ).to.eventually.be.rejectedWith('The specified key does not exist.');
     });
+
+    it('fails to tag an object when the payload does not match x-amz-content-sha256', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const body =
+        '<Tagging><TagSet><Tag><Key>Test</Key><Value>true</Value></Tag></TagSet></Tagging>';
+      const headers = signV4Request({
+        endpoint: s3Client.endpoint.href,
+        path: '/bucket-a/text?tagging',
+        body: body.replace('true', 'false'),
+      });
+      let res;
+      try {
+        res = await request.put(
+          new URL('/bucket-a/text?tagging', s3Client.endpoint.href),
+          { headers, body },
+        );
+      } catch (err) {
+        res = err.response;
+      }
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>XAmzContentSHA256Mismatch</Code>');
+      const tagging = await s3Client
+        .getObjectTagging({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(tagging).to.eql({ TagSet: [] });
+    });
   });
 
   describe('Initiate/Upload/Complete Multipart upload', () => {
@@ -1148,7 +2168,7 @@ describe('Operations on Objects', () => {
           Body: Buffer.alloc(20 * Math.pow(1024, 2)), // 20MB
         })
         .promise();
-      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}"/);
+      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}-4"/);
     });
 
     it('completes a multipart upload with unquoted ETags', async function() {
@@ -1180,25 +2200,1522 @@ describe('Operations on Objects', () => {
         .promise();
     });
 
-    it('completes a multipart upload with metadata', async function() {
+    it('fails to upload a part that does not match its Content-MD5', async function() {
       const data = await s3Client
-        .upload({
-          Bucket: 'bucket-a',
-          Key: 'multi/directory/path/multipart',
-          Body: Buffer.alloc(20 * Math.pow(1024, 2)), // 20MB
-          Metadata: {
-            someKey: 'value',
-          },
-        })
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'text' })
         .promise();
-      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}"/);
-      const object = await s3Client
-        .getObject({
+      await expect(
+        s3Client
+          .uploadPart({
+            ...data,
+            PartNumber: 1,
+            Body: 'Jello!',
+            ContentMD5: crypto
+              .createHash('md5')
+              .update('Hello!')
+              .digest('base64'),
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'BadDigest');
+      const { Parts } = await s3Client.listParts(data).promise();
+      expect(Parts).to.be.empty;
+    });
+
+    it('fails to upload a part without a valid part number', async function() {
+      const data = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      for (const partNumber of [
+        '..%2F..%2Ftext',
+        '0',
+        '10001',
+        'one',
+        undefined,
+      ]) {
+        const query =
+          partNumber === undefined ? '' : `partNumber=${partNumber}&`;
+        await expect(
+          s3Client
+            .uploadPart({ ...data, PartNumber: 1, Body: 'Hello!' })
+            .on('build', ({ httpRequest }) => {
+              httpRequest.path = httpRequest.path.replace(
+                /partNumber=1&?/,
+                query,
+              );
+            })
+            .promise(),
+        ).to.eventually.be.rejected.and.have.property(
+          'code',
+          'InvalidArgument',
+        );
+      }
+      const { Parts } = await s3Client.listParts(data).promise();
+      expect(Parts).to.be.empty;
+      await expect(
+        s3Client.headObject({ Bucket: 'bucket-a', Key: 'text' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NotFound');
+    });
+
+    it('completes a multipart upload with a zero-padded part number', async function() {
+      const data = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      const { ETag } = await s3Client
+        .uploadPart({ ...data, PartNumber: 1, Body: 'Hello!' })
+        .on('build', ({ httpRequest }) => {
+          httpRequest.path = httpRequest.path.replace(
+            'partNumber=1',
+            'partNumber=001',
+          );
+        })
+        .promise();
+      await s3Client
+        .completeMultipartUpload({
+          ...data,
+          MultipartUpload: { Parts: [{ PartNumber: 1, ETag }] },
+        })
+        .promise();
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('completes a multipart upload with metadata', async function() {
+      const data = await s3Client
+        .upload({
+          Bucket: 'bucket-a',
+          Key: 'multi/directory/path/multipart',
+          Body: Buffer.alloc(20 * Math.pow(1024, 2)), // 20MB
+          Metadata: {
+            someKey: 'value',
+          },
+        })
+        .promise();
+      expect(data.ETag).to.match(/"[a-fA-F0-9]{32}-4"/);
+      const object = await s3Client
+        .getObject({
           Bucket: 'bucket-a',
           Key: 'multi/directory/path/multipart',
         })
         .promise();
       expect(object.Metadata.somekey).to.equal('value');
     });
+
+    async function uploadParts(client, bodies) {
+      const upload = await client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      const params = {
+        Bucket: upload.Bucket,
+        Key: upload.Key,
+        UploadId: upload.UploadId,
+      };
+      const parts = [];
+      for (const [i, Body] of bodies.entries()) {
+        const { ETag } = await client
+          .uploadPart({ ...params, PartNumber: i + 1, Body })
+          .promise();
+        parts.push({ PartNumber: i + 1, ETag });
+      }
+      return { params, parts };
+    }
+
+    it('computes the ETag of a multipart upload from the MD5s of its parts', async function() {
+      const bodies = [Buffer.alloc(5 * Math.pow(1024, 2), 1), 'Hello!'];
+      const { params, parts } = await uploadParts(s3Client, bodies);
+      const data = await s3Client
+        .completeMultipartUpload({
+          ...params,
+          MultipartUpload: { Parts: parts },
+        })
+        .promise();
+      const partMD5s = Buffer.concat(
+        bodies.map(body =>
+          crypto
+            .createHash('md5')
+            .update(body)
+            .digest(),
+        ),
+      );
+      const expectedETag = JSON.stringify(`${md5(partMD5s)}-2`);
+      expect(data.ETag).to.equal(expectedETag);
+      const object = await s3Client
+        .headObject({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      expect(object.ETag).to.equal(expectedETag);
+    });
+
+    it('rejects parts with mismatched ETags', async function() {
+      const { params, parts } = await uploadParts(s3Client, ['Hello!']);
+      await expect(
+        s3Client
+          .completeMultipartUpload({
+            ...params,
+            MultipartUpload: {
+              Parts: [{ ...parts[0], ETag: JSON.stringify(md5('Goodbye!')) }],
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidPart');
+    });
+
+    it('rejects parts that were never uploaded', async function() {
+      const { params, parts } = await uploadParts(s3Client, ['Hello!']);
+      await expect(
+        s3Client
+          .completeMultipartUpload({
+            ...params,
+            MultipartUpload: { Parts: [{ ...parts[0], PartNumber: 2 }] },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidPart');
+    });
+
+    it('rejects parts listed out of order', async function() {
+      const { params, parts } = await uploadParts(s3Client, [
+        Buffer.alloc(5 * Math.pow(1024, 2)),
+        'Hello!',
+      ]);
+      await expect(
+        s3Client
+          .completeMultipartUpload({
+            ...params,
+            MultipartUpload: { Parts: parts.reverse() },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidPartOrder');
+    });
+
+    it('rejects parts smaller than 5 MB except the last', async function() {
+      const { params, parts } = await uploadParts(s3Client, [
+        'Hello, ',
+        'World!',
+      ]);
+      await expect(
+        s3Client
+          .completeMultipartUpload({
+            ...params,
+            MultipartUpload: { Parts: parts },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'EntityTooSmall');
+    });
+
+    it('accepts parts as small as a configured minimum part size', async function() {
+      ({ s3Client } = await createServerAndClient({
+        configureBuckets: Object.values(buckets),
+        minPartSize: 6,
+      }));
+      const { params, parts } = await uploadParts(s3Client, [
+        'Hello!',
+        'World!',
+      ]);
+      await s3Client
+        .completeMultipartUpload({
+          ...params,
+          MultipartUpload: { Parts: parts },
+        })
+        .promise();
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!World!');
+    });
+  });
+
+  describe('Abort Multipart Upload', () => {
+    let upload;
+
+    beforeEach(async function() {
+      const { Bucket, Key, UploadId } = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      upload = { Bucket, Key, UploadId };
+    });
+
+    it('aborts an upload and deletes its parts', async function() {
+      await s3Client
+        .uploadPart({ ...upload, PartNumber: 1, Body: 'Hello!' })
+        .promise();
+      await s3Client.abortMultipartUpload(upload).promise();
+      const data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Uploads).to.be.empty;
+      await expect(
+        s3Client.listParts(upload).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+
+    it('fails to abort an unknown upload', async function() {
+      await expect(
+        s3Client
+          .abortMultipartUpload({ ...upload, UploadId: 'unknown' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+
+    it('rejects parts of an aborted upload', async function() {
+      await s3Client.abortMultipartUpload(upload).promise();
+      await expect(
+        s3Client
+          .uploadPart({ ...upload, PartNumber: 1, Body: 'Hello!' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+
+    it('fails to complete an aborted upload', async function() {
+      const { ETag } = await s3Client
+        .uploadPart({ ...upload, PartNumber: 1, Body: 'Hello!' })
+        .promise();
+      await s3Client.abortMultipartUpload(upload).promise();
+      await expect(
+        s3Client
+          .completeMultipartUpload({
+            ...upload,
+            MultipartUpload: { Parts: [{ PartNumber: 1, ETag }] },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+  });
+
+  describe('List Parts', () => {
+    let upload;
+
+    beforeEach(async function() {
+      const { Bucket, Key, UploadId } = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      upload = { Bucket, Key, UploadId };
+    });
+
+    it('lists the uploaded parts of an upload', async function() {
+      const part2 = await s3Client
+        .uploadPart({ ...upload, PartNumber: 2, Body: 'World!' })
+        .promise();
+      const part1 = await s3Client
+        .uploadPart({ ...upload, PartNumber: 1, Body: 'Hello, ' })
+        .promise();
+      const data = await s3Client.listParts(upload).promise();
+      expect(data.UploadId).to.equal(upload.UploadId);
+      expect(data.Key).to.equal('multipart');
+      expect(data.Initiator.ID).to.equal('123456789000');
+      expect(data.IsTruncated).to.be.false;
+      expect(data.Parts).to.have.lengthOf(2);
+      expect(data.Parts.map(part => part.PartNumber)).to.eql([1, 2]);
+      expect(data.Parts.map(part => part.ETag)).to.eql([
+        part1.ETag,
+        part2.ETag,
+      ]);
+      expect(data.Parts.map(part => part.Size)).to.eql([7, 6]);
+      expect(data.Parts[0].LastModified).to.be.an.instanceOf(Date);
+    });
+
+    it('reports the bucket owner to other accounts listing parts', async function() {
+      const { s3Client } = await createServerAndClient({
+        configureBuckets: [{ name: 'bucket-a' }],
+        accounts: [
+          {
+            id: '111122223333',
+            displayName: 'alice',
+            accessKeys: [
+              { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+            ],
+          },
+        ],
+      });
+      await s3Client
+        .putBucketPolicy({
+          Bucket: 'bucket-a',
+          Policy: JSON.stringify({
+            Version: '2012-10-17',
+            Statement: [
+              {
+                Effect: 'Allow',
+                Principal: { AWS: '111122223333' },
+                Action: 's3:ListMultipartUploadParts',
+                Resource: 'arn:aws:s3:::bucket-a/*',
+              },
+            ],
+          }),
+        })
+        .promise();
+      const { UploadId } = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      const data = await aliceClient
+        .listParts({ Bucket: 'bucket-a', Key: 'multipart', UploadId })
+        .promise();
+      const owner = { ID: '123456789000', DisplayName: 'S3rver' };
+      expect(data.Initiator).to.eql(owner);
+      expect(data.Owner).to.eql(owner);
+    });
+
+    it('paginates parts with a part number marker', async function() {
+      for (const PartNumber of [1, 2, 3]) {
+        await s3Client
+          .uploadPart({ ...upload, PartNumber, Body: 'Hello!' })
+          .promise();
+      }
+      let data = await s3Client.listParts({ ...upload, MaxParts: 2 }).promise();
+      expect(data.Parts.map(part => part.PartNumber)).to.eql([1, 2]);
+      expect(data.IsTruncated).to.be.true;
+      expect(data.NextPartNumberMarker).to.equal(2);
+
+      data = await s3Client
+        .listParts({ ...upload, PartNumberMarker: data.NextPartNumberMarker })
+        .promise();
+      expect(data.Parts.map(part => part.PartNumber)).to.eql([3]);
+      expect(data.IsTruncated).to.be.false;
+    });
+
+    it('fails to list the parts of an unknown upload', async function() {
+      await expect(
+        s3Client.listParts({ ...upload, UploadId: 'unknown' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+
+    it('fails to list the parts of an upload for another key', async function() {
+      await expect(
+        s3Client.listParts({ ...upload, Key: 'text' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+
+    it('fails to list the parts of a completed upload', async function() {
+      const { ETag } = await s3Client
+        .uploadPart({ ...upload, PartNumber: 1, Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .completeMultipartUpload({
+          ...upload,
+          MultipartUpload: { Parts: [{ PartNumber: 1, ETag }] },
+        })
+        .promise();
+      await expect(
+        s3Client.listParts(upload).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchUpload');
+    });
+  });
+
+  describe('Upload Part - Copy', () => {
+    let upload;
+
+    beforeEach(async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-b', Key: 'text', Body: 'Hello, World!' })
+        .promise();
+      const { Bucket, Key, UploadId } = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      upload = { Bucket, Key, UploadId };
+    });
+
+    async function completeUpload(PartNumber, part) {
+      await s3Client
+        .completeMultipartUpload({
+          ...upload,
+          MultipartUpload: {
+            Parts: [{ PartNumber, ETag: part.CopyPartResult.ETag }],
+          },
+        })
+        .promise();
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'multipart' })
+        .promise();
+      return object.Body.toString();
+    }
+
+    it('copies an object into a part', async function() {
+      const part = await s3Client
+        .uploadPartCopy({
+          ...upload,
+          PartNumber: 1,
+          CopySource: 'bucket-b/text',
+        })
+        .promise();
+      expect(part.CopyPartResult.ETag).to.equal(
+        JSON.stringify(md5('Hello, World!')),
+      );
+      expect(await completeUpload(1, part)).to.equal('Hello, World!');
+    });
+
+    it('copies byte ranges of objects into parts', async function() {
+      const part1 = await s3Client
+        .uploadPartCopy({
+          ...upload,
+          PartNumber: 1,
+          CopySource: 'bucket-b/text',
+          CopySourceRange: 'bytes=0-0',
+        })
+        .promise();
+      expect(part1.CopyPartResult.ETag).to.equal(JSON.stringify(md5('H')));
+      const part2 = await s3Client
+        .uploadPartCopy({
+          ...upload,
+          PartNumber: 2,
+          CopySource: 'bucket-b/text',
+          CopySourceRange: 'bytes=7-11',
+        })
+        .promise();
+      expect(await completeUpload(2, part2)).to.equal('World');
+    });
+
+    it('rejects malformed and unsatisfiable byte ranges', async function() {
+      for (const CopySourceRange of ['bytes=7-', 'bytes=5-2', 'bytes=0-13']) {
+        await expect(
+          s3Client
+            .uploadPartCopy({
+              ...upload,
+              PartNumber: 1,
+              CopySource: 'bucket-b/text',
+              CopySourceRange,
+            })
+            .promise(),
+        ).to.eventually.be.rejected.and.have.property(
+          'code',
+          'InvalidArgument',
+        );
+      }
+    });
+
+    it('checks the preconditions of the copy source', async function() {
+      const { ETag } = await s3Client
+        .headObject({ Bucket: 'bucket-b', Key: 'text' })
+        .promise();
+      const params = { ...upload, PartNumber: 1, CopySource: 'bucket-b/text' };
+      await s3Client
+        .uploadPartCopy({ ...params, CopySourceIfMatch: ETag })
+        .promise();
+      for (const conditions of [
+        { CopySourceIfMatch: '"abc"' },
+        { CopySourceIfNoneMatch: ETag },
+        { CopySourceIfModifiedSince: new Date(Date.now() + 60000) },
+        { CopySourceIfUnmodifiedSince: new Date(Date.now() - 60000) },
+      ]) {
+        await expect(
+          s3Client.uploadPartCopy({ ...params, ...conditions }).promise(),
+        ).to.eventually.be.rejected.and.have.property(
+          'code',
+          'PreconditionFailed',
+        );
+      }
+    });
+
+    it('checks the preconditions of the copy source before its byte range', async function() {
+      await expect(
+        s3Client
+          .uploadPartCopy({
+            ...upload,
+            PartNumber: 1,
+            CopySource: 'bucket-b/text',
+            CopySourceIfMatch: '"abc"',
+            CopySourceRange: 'bytes=20-30',
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'PreconditionFailed',
+      );
+    });
+
+    it('fails to copy a nonexistent object', async function() {
+      await expect(
+        s3Client
+          .uploadPartCopy({
+            ...upload,
+            PartNumber: 1,
+            CopySource: 'bucket-b/nonexistent',
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchKey');
+    });
+  });
+
+  describe('Object versioning', () => {
+    async function setVersioning(status) {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: status },
+        })
+        .promise();
+    }
+
+    it("doesn't return version IDs in an unversioned bucket", async function() {
+      const data = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      expect(data.VersionId).to.be.undefined;
+    });
+
+    it('keeps every version of an object', async function() {
+      await setVersioning('Enabled');
+      const v1 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const v2 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+      expect(v1.VersionId).to.match(/^[\w-]{32}$/);
+      expect(v2.VersionId).to.not.equal(v1.VersionId);
+
+      let object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Goodbye!');
+      expect(object.VersionId).to.equal(v2.VersionId);
+      object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId: v1.VersionId })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+      expect(object.VersionId).to.equal(v1.VersionId);
+    });
+
+    it('keeps objects written before versioning was enabled as the null version', async function() {
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await setVersioning('Enabled');
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId: 'null' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('creates a delete marker when deleting an object', async function() {
+      await setVersioning('Enabled');
+      const { VersionId } = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const data = await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(data.DeleteMarker).to.be.true;
+      expect(data.VersionId).to.exist.and.not.equal(VersionId);
+
+      await expect(
+        s3Client.getObject({ Bucket: 'bucket-a', Key: 'text' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchKey');
+      await expect(
+        s3Client
+          .getObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            VersionId: data.VersionId,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('statusCode', 405);
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+      const list = await s3Client.listObjects({ Bucket: 'bucket-a' }).promise();
+      expect(list.Contents).to.be.empty;
+    });
+
+    it('restores the previous version when deleting the current version', async function() {
+      await setVersioning('Enabled');
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const marker = await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      const data = await s3Client
+        .deleteObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId: marker.VersionId,
+        })
+        .promise();
+      expect(data.DeleteMarker).to.be.true;
+      expect(data.VersionId).to.equal(marker.VersionId);
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+    });
+
+    it('permanently deletes a noncurrent version', async function() {
+      await setVersioning('Enabled');
+      const v1 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+      await s3Client
+        .deleteObject({
+          Bucket: 'bucket-a',
+          Key: 'text',
+          VersionId: v1.VersionId,
+        })
+        .promise();
+      await expect(
+        s3Client
+          .getObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            VersionId: v1.VersionId,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchVersion');
+    });
+
+    it('overwrites the null version while versioning is suspended', async function() {
+      await setVersioning('Enabled');
+      const v1 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await setVersioning('Suspended');
+      let data = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+      expect(data.VersionId).to.equal('null');
+      data = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello again!' })
+        .promise();
+      expect(data.VersionId).to.equal('null');
+
+      let object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId: 'null' })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello again!');
+      object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId: v1.VersionId })
+        .promise();
+      expect(object.Body.toString()).to.equal('Hello!');
+
+      data = await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(data.DeleteMarker).to.be.true;
+      expect(data.VersionId).to.equal('null');
+      await expect(
+        s3Client
+          .getObject({ Bucket: 'bucket-a', Key: 'text', VersionId: 'null' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('statusCode', 405);
+    });
+
+    it('deletes versions with deleteObjects', async function() {
+      await setVersioning('Enabled');
+      const v1 = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const data = await s3Client
+        .deleteObjects({
+          Bucket: 'bucket-a',
+          Delete: {
+            Objects: [
+              { Key: 'text', VersionId: v1.VersionId },
+              { Key: 'other' },
+            ],
+          },
+        })
+        .promise();
+      expect(find(data.Deleted, { Key: 'text' })).to.include({
+        VersionId: v1.VersionId,
+      });
+      expect(find(data.Deleted, { Key: 'other' })).to.include({
+        DeleteMarker: true,
+      });
+      await expect(
+        s3Client.getObject({ Bucket: 'bucket-a', Key: 'text' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchKey');
+    });
+  });
+
+  describe('Object Lock', () => {
+    // the SDK sends timestamps without milliseconds
+    const retainUntilDate = new Date(
+      Math.floor(Date.now() / 1000) * 1000 + 24 * 60 * 60 * 1000,
+    );
+
+    beforeEach(async function() {
+      await s3Client
+        .createBucket({ Bucket: 'locked', ObjectLockEnabledForBucket: true })
+        .promise();
+    });
+
+    async function putLockedObject(params) {
+      return s3Client
+        .putObject({ Bucket: 'locked', Key: 'text', Body: 'Hello!', ...params })
+        .promise();
+    }
+
+    it('rejects Object Lock headers in a bucket without Object Lock', async function() {
+      await expect(
+        s3Client
+          .putObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Hello!',
+            ObjectLockLegalHoldStatus: 'ON',
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidRequest');
+    });
+
+    it('protects a version in governance mode unless governance is bypassed', async function() {
+      const { VersionId } = await putLockedObject({
+        ObjectLockMode: 'GOVERNANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      const object = await s3Client
+        .headObject({ Bucket: 'locked', Key: 'text' })
+        .promise();
+      expect(object.ObjectLockMode).to.equal('GOVERNANCE');
+      expect(object.ObjectLockRetainUntilDate).to.eql(retainUntilDate);
+
+      await expect(
+        s3Client
+          .deleteObject({ Bucket: 'locked', Key: 'text', VersionId })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+      await s3Client
+        .deleteObject({
+          Bucket: 'locked',
+          Key: 'text',
+          VersionId,
+          BypassGovernanceRetention: true,
+        })
+        .promise();
+    });
+
+    it('protects a version in compliance mode', async function() {
+      const { VersionId } = await putLockedObject({
+        ObjectLockMode: 'COMPLIANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      await expect(
+        s3Client
+          .deleteObject({
+            Bucket: 'locked',
+            Key: 'text',
+            VersionId,
+            BypassGovernanceRetention: true,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+      const data = await s3Client
+        .deleteObjects({
+          Bucket: 'locked',
+          Delete: { Objects: [{ Key: 'text', VersionId }] },
+        })
+        .promise();
+      expect(data.Errors).to.have.lengthOf(1);
+      expect(data.Errors[0].Code).to.equal('AccessDenied');
+    });
+
+    it('still creates delete markers for locked objects', async function() {
+      await putLockedObject({
+        ObjectLockMode: 'COMPLIANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      const data = await s3Client
+        .deleteObject({ Bucket: 'locked', Key: 'text' })
+        .promise();
+      expect(data.DeleteMarker).to.be.true;
+    });
+
+    it('only extends retention periods in compliance mode', async function() {
+      const { VersionId } = await putLockedObject({
+        ObjectLockMode: 'COMPLIANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      await expect(
+        s3Client
+          .putObjectRetention({
+            Bucket: 'locked',
+            Key: 'text',
+            VersionId,
+            Retention: {
+              Mode: 'COMPLIANCE',
+              RetainUntilDate: new Date(Date.now() + 60 * 60 * 1000),
+            },
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+      await expect(
+        s3Client
+          .putObjectRetention({
+            Bucket: 'locked',
+            Key: 'text',
+            VersionId,
+            Retention: { Mode: 'GOVERNANCE', RetainUntilDate: retainUntilDate },
+            BypassGovernanceRetention: true,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+
+      const extendedDate = new Date(retainUntilDate.getTime() + 1000);
+      await s3Client
+        .putObjectRetention({
+          Bucket: 'locked',
+          Key: 'text',
+          VersionId,
+          Retention: { Mode: 'COMPLIANCE', RetainUntilDate: extendedDate },
+        })
+        .promise();
+      const data = await s3Client
+        .getObjectRetention({ Bucket: 'locked', Key: 'text', VersionId })
+        .promise();
+      expect(data.Retention).to.eql({
+        Mode: 'COMPLIANCE',
+        RetainUntilDate: extendedDate,
+      });
+    });
+
+    it('shortens retention periods in governance mode when bypassing governance', async function() {
+      await putLockedObject({
+        ObjectLockMode: 'GOVERNANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      const params = {
+        Bucket: 'locked',
+        Key: 'text',
+        Retention: {
+          Mode: 'GOVERNANCE',
+          RetainUntilDate: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      };
+      await expect(
+        s3Client.putObjectRetention(params).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+      await s3Client
+        .putObjectRetention({ ...params, BypassGovernanceRetention: true })
+        .promise();
+    });
+
+    it('protects a version under legal hold', async function() {
+      const { VersionId } = await putLockedObject();
+      await s3Client
+        .putObjectLegalHold({
+          Bucket: 'locked',
+          Key: 'text',
+          LegalHold: { Status: 'ON' },
+        })
+        .promise();
+      const data = await s3Client
+        .getObjectLegalHold({ Bucket: 'locked', Key: 'text' })
+        .promise();
+      expect(data.LegalHold.Status).to.equal('ON');
+      await expect(
+        s3Client
+          .deleteObject({
+            Bucket: 'locked',
+            Key: 'text',
+            VersionId,
+            BypassGovernanceRetention: true,
+          })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+
+      await s3Client
+        .putObjectLegalHold({
+          Bucket: 'locked',
+          Key: 'text',
+          LegalHold: { Status: 'OFF' },
+        })
+        .promise();
+      await s3Client
+        .deleteObject({ Bucket: 'locked', Key: 'text', VersionId })
+        .promise();
+    });
+
+    it('applies the default retention period to new objects', async function() {
+      await s3Client
+        .putObjectLockConfiguration({
+          Bucket: 'locked',
+          ObjectLockConfiguration: {
+            ObjectLockEnabled: 'Enabled',
+            Rule: { DefaultRetention: { Mode: 'COMPLIANCE', Days: 1 } },
+          },
+        })
+        .promise();
+      await putLockedObject();
+      const data = await s3Client
+        .getObjectRetention({ Bucket: 'locked', Key: 'text' })
+        .promise();
+      expect(data.Retention.Mode).to.equal('COMPLIANCE');
+      expect(data.Retention.RetainUntilDate.getTime()).to.be.closeTo(
+        retainUntilDate.getTime(),
+        60000,
+      );
+    });
+
+    it('keeps the retention of noncurrent versions', async function() {
+      const { VersionId } = await putLockedObject({
+        ObjectLockMode: 'GOVERNANCE',
+        ObjectLockRetainUntilDate: retainUntilDate,
+      });
+      await putLockedObject();
+      const data = await s3Client
+        .getObjectRetention({ Bucket: 'locked', Key: 'text', VersionId })
+        .promise();
+      expect(data.Retention.Mode).to.equal('GOVERNANCE');
+      await expect(
+        s3Client
+          .getObjectRetention({ Bucket: 'locked', Key: 'text' })
+          .promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'NoSuchObjectLockConfiguration',
+      );
+    });
+
+    it('rejects a retention date in the past', async function() {
+      await expect(
+        putLockedObject({
+          ObjectLockMode: 'GOVERNANCE',
+          ObjectLockRetainUntilDate: new Date(Date.now() - 1000),
+        }),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidArgument');
+    });
+  });
+
+  describe('Object lifecycle', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    async function putLifecycleRule(rule) {
+      await s3Client
+        .putBucketLifecycleConfiguration({
+          Bucket: 'bucket-a',
+          LifecycleConfiguration: {
+            Rules: [{ ID: 'test-rule', Status: 'Enabled', ...rule }],
+          },
+        })
+        .promise();
+    }
+
+    async function listVersionIds() {
+      const data = await s3Client
+        .listObjectVersions({ Bucket: 'bucket-a' })
+        .promise();
+      return [...data.Versions, ...data.DeleteMarkers].map(
+        version => version.VersionId,
+      );
+    }
+
+    it('expires objects matching a rule', async function() {
+      await putLifecycleRule({
+        Filter: { Prefix: 'logs/' },
+        Expiration: { Days: 1 },
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'logs/text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+
+      await s3rver.runLifecycle();
+      await s3Client
+        .headObject({ Bucket: 'bucket-a', Key: 'logs/text' })
+        .promise();
+
+      await s3rver.runLifecycle(new Date(Date.now() + 2 * DAY));
+      await expect(
+        s3Client.headObject({ Bucket: 'bucket-a', Key: 'logs/text' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NotFound');
+      await s3Client.headObject({ Bucket: 'bucket-a', Key: 'text' }).promise();
+    });
+
+    it('only expires objects with the tags of a rule', async function() {
+      await putLifecycleRule({
+        Filter: { Tag: { Key: 'temp', Value: 'true' } },
+        Expiration: { Days: 1 },
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'temp', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .putObjectTagging({
+          Bucket: 'bucket-a',
+          Key: 'temp',
+          Tagging: { TagSet: [{ Key: 'temp', Value: 'true' }] },
+        })
+        .promise();
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+
+      await s3rver.runLifecycle(new Date(Date.now() + 2 * DAY));
+      await expect(
+        s3Client.headObject({ Bucket: 'bucket-a', Key: 'temp' }).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'NotFound');
+      await s3Client.headObject({ Bucket: 'bucket-a', Key: 'text' }).promise();
+    });
+
+    it('returns the expiration of objects matching a rule', async function() {
+      await putLifecycleRule({
+        Filter: { Prefix: '' },
+        Expiration: { Days: 1 },
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const data = await s3Client
+        .headObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      const [, expiryDate] = /^expiry-date="(.+)", rule-id="test-rule"$/.exec(
+        data.Expiration,
+      );
+      // expiration dates are rounded up to the next midnight UTC
+      const expectedDate = new Date(
+        Math.ceil((data.LastModified.getTime() + DAY) / DAY) * DAY,
+      );
+      expect(new Date(expiryDate)).to.eql(expectedDate);
+    });
+
+    it('expires noncurrent versions', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await putLifecycleRule({
+        Filter: { Prefix: '' },
+        NoncurrentVersionExpiration: { NoncurrentDays: 1 },
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      const { VersionId } = await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Goodbye!' })
+        .promise();
+
+      await s3rver.runLifecycle(new Date(Date.now() + 2 * DAY));
+      expect(await listVersionIds()).to.eql([VersionId]);
+    });
+
+    it('removes expired object delete markers', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await putLifecycleRule({
+        Filter: { Prefix: '' },
+        Expiration: { ExpiredObjectDeleteMarker: true },
+        NoncurrentVersionExpiration: { NoncurrentDays: 1 },
+      });
+      await s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+        .promise();
+      await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+
+      await s3rver.runLifecycle();
+      expect(await listVersionIds()).to.have.lengthOf(2);
+      await s3rver.runLifecycle(new Date(Date.now() + 2 * DAY));
+      expect(await listVersionIds()).to.be.empty;
+    });
+
+    it('aborts incomplete multipart uploads', async function() {
+      await putLifecycleRule({
+        Filter: { Prefix: '' },
+        AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 },
+      });
+      await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'large' })
+        .promise();
+      await s3rver.runLifecycle();
+      let data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Uploads).to.have.lengthOf(1);
+
+      await s3rver.runLifecycle(new Date(Date.now() + 2 * DAY));
+      data = await s3Client
+        .listMultipartUploads({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Uploads).to.be.empty;
+    });
+  });
+
+  describe('Conditional writes', () => {
+    const putObject = (Body, headers) =>
+      s3Client
+        .putObject({ Bucket: 'bucket-a', Key: 'text', Body })
+        .on('build', ({ httpRequest }) => {
+          Object.assign(httpRequest.headers, headers);
+        })
+        .promise();
+    const getText = async () =>
+      (
+        await s3Client.getObject({ Bucket: 'bucket-a', Key: 'text' }).promise()
+      ).Body.toString();
+
+    it('only creates objects that do not exist with If-None-Match', async function() {
+      await putObject('Hello!', { 'If-None-Match': '*' });
+      await expect(
+        putObject('Goodbye!', { 'If-None-Match': '*' }),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'PreconditionFailed',
+      );
+      expect(await getText()).to.equal('Hello!');
+    });
+
+    it('creates objects whose current version is a delete marker with If-None-Match', async function() {
+      await s3Client
+        .putBucketVersioning({
+          Bucket: 'bucket-a',
+          VersioningConfiguration: { Status: 'Enabled' },
+        })
+        .promise();
+      await putObject('Hello!');
+      await s3Client
+        .deleteObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      await putObject('Goodbye!', { 'If-None-Match': '*' });
+      expect(await getText()).to.equal('Goodbye!');
+    });
+
+    it('only replaces objects matching If-Match', async function() {
+      await expect(
+        putObject('Hello!', { 'If-Match': '"abc"' }),
+      ).to.eventually.be.rejected.and.have.property('code', 'NoSuchKey');
+      const { ETag } = await putObject('Hello!');
+      await expect(
+        putObject('Goodbye!', { 'If-Match': '"abc"' }),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'PreconditionFailed',
+      );
+      expect(await getText()).to.equal('Hello!');
+      await putObject('Goodbye!', { 'If-Match': ETag });
+      expect(await getText()).to.equal('Goodbye!');
+    });
+
+    it('rejects If-None-Match values other than *', async function() {
+      await expect(
+        putObject('Hello!', { 'If-None-Match': '"abc"' }),
+      ).to.eventually.be.rejected.and.have.property('code', 'NotImplemented');
+    });
+
+    it('completes multipart uploads conditionally', async function() {
+      const { ETag } = await putObject('Hello!');
+      const data = await s3Client
+        .createMultipartUpload({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      const part = await s3Client
+        .uploadPart({ ...data, PartNumber: 1, Body: 'Goodbye!' })
+        .promise();
+      const complete = headers =>
+        s3Client
+          .completeMultipartUpload({
+            ...data,
+            MultipartUpload: {
+              Parts: [{ PartNumber: 1, ETag: part.ETag }],
+            },
+          })
+          .on('build', ({ httpRequest }) => {
+            Object.assign(httpRequest.headers, headers);
+          })
+          .promise();
+
+      await expect(
+        complete({ 'If-None-Match': '*' }),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'PreconditionFailed',
+      );
+      // the upload can still be completed once its preconditions hold
+      await complete({ 'If-Match': ETag });
+      expect(await getText()).to.equal('Goodbye!');
+    });
+
+    it('only lets one of several concurrent conditional writes succeed', async function() {
+      const results = await Promise.all(
+        times(5, i =>
+          putObject(`Hello ${i}!`, { 'If-None-Match': '*' }).then(
+            () => 200,
+            err => err.statusCode,
+          ),
+        ),
+      );
+      expect(results.filter(status => status === 200)).to.have.lengthOf(1);
+      for (const status of results.filter(status => status !== 200)) {
+        expect(status).to.be.oneOf([409, 412]);
+      }
+    });
+
+    it('stores the ACL of the concurrent write that created the current version', async function() {
+      await Promise.all(
+        times(6, i =>
+          s3Client
+            .putObject({
+              Bucket: 'bucket-a',
+              Key: 'text',
+              Body: i % 2 ? 'public-read' : 'private',
+              ACL: i % 2 ? 'public-read' : 'private',
+            })
+            .promise(),
+        ),
+      );
+      const { Grants } = await s3Client
+        .getObjectAcl({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(Grants).to.have.lengthOf(
+        (await getText()) === 'public-read' ? 2 : 1,
+      );
+    });
+  });
+
+  describe('Object checksums', () => {
+    const withHeaders = (req, headers) =>
+      req.on('build', ({ httpRequest }) => {
+        Object.assign(httpRequest.headers, headers);
+      });
+
+    async function getChecksumHeaders(Key) {
+      const { $response } = await withHeaders(
+        s3Client.headObject({ Bucket: 'bucket-a', Key }),
+        { 'x-amz-checksum-mode': 'ENABLED' },
+      ).promise();
+      const { headers } = $response.httpResponse;
+      return Object.keys(headers)
+        .filter(header => header.startsWith('x-amz-checksum-'))
+        .reduce((acc, header) => ({ ...acc, [header]: headers[header] }), {});
+    }
+
+    it('stores the checksum of an object and returns it when checksum mode is enabled', async function() {
+      const { $response } = await withHeaders(
+        s3Client.putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' }),
+        {
+          'x-amz-sdk-checksum-algorithm': 'CRC32',
+          'x-amz-checksum-crc32': 'nSrMVg==',
+        },
+      ).promise();
+      expect($response.httpResponse.headers['x-amz-checksum-crc32']).to.equal(
+        'nSrMVg==',
+      );
+      const object = await s3Client
+        .getObject({ Bucket: 'bucket-a', Key: 'text' })
+        .promise();
+      expect(object.$response.httpResponse.headers).not.to.have.property(
+        'x-amz-checksum-crc32',
+      );
+      expect(await getChecksumHeaders('text')).to.eql({
+        'x-amz-checksum-crc32': 'nSrMVg==',
+        'x-amz-checksum-type': 'FULL_OBJECT',
+      });
+    });
+
+    it('fails to store an object that does not match its checksum', async function() {
+      await expect(
+        withHeaders(
+          s3Client.putObject({
+            Bucket: 'bucket-a',
+            Key: 'text',
+            Body: 'Jello!',
+          }),
+          {
+            'x-amz-checksum-sha256':
+              'M00Bb3Vc1txYxTqG4YOIL47BT1L7BTRYh8il7dQsh7c=',
+          },
+        ).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'BadDigest');
+      const data = await s3Client
+        .listObjectsV2({ Bucket: 'bucket-a' })
+        .promise();
+      expect(data.Contents).to.have.lengthOf(0);
+    });
+
+    it('rejects invalid checksums', async function() {
+      for (const headers of [
+        { 'x-amz-checksum-crc32': 'not a checksum' },
+        { 'x-amz-checksum-sha1': 'nSrMVg==' },
+        {
+          'x-amz-checksum-crc32': 'nSrMVg==',
+          'x-amz-checksum-crc32c': 'Cf3r1g==',
+        },
+        { 'x-amz-sdk-checksum-algorithm': 'MD5' },
+        { 'x-amz-sdk-checksum-algorithm': 'CRC32' },
+      ]) {
+        await expect(
+          withHeaders(
+            s3Client.putObject({
+              Bucket: 'bucket-a',
+              Key: 'text',
+              Body: 'Hello!',
+            }),
+            headers,
+          ).promise(),
+        ).to.eventually.be.rejected.and.have.property('code', 'InvalidRequest');
+      }
+    });
+
+    it('verifies checksums sent in trailers', async function() {
+      const upload = checksum => {
+        const { headers, body } = createAwsChunkedRequest({
+          endpoint: s3Client.endpoint.href,
+          path: '/bucket-a/chunked',
+          chunks: [Buffer.from('Hello!')],
+          trailers: { 'x-amz-checksum-crc64nvme': checksum },
+          unsigned: true,
+        });
+        return request
+          .put(new URL('/bucket-a/chunked', s3Client.endpoint.href), {
+            headers,
+            body,
+          })
+          .catch(err => err.response);
+      };
+      let res = await upload('AAAAAAAAAAA=');
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>BadDigest</Code>');
+
+      res = await upload('9/wT+qLbA4I=');
+      expect(res.statusCode).to.equal(200);
+      expect(res.headers['x-amz-checksum-crc64nvme']).to.equal('9/wT+qLbA4I=');
+      expect(await getChecksumHeaders('chunked')).to.eql({
+        'x-amz-checksum-crc64nvme': '9/wT+qLbA4I=',
+        'x-amz-checksum-type': 'FULL_OBJECT',
+      });
+    });
+
+    it('verifies checksums of POST uploads', async function() {
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read-write' })
+        .promise();
+      const post = checksum => {
+        const form = new FormData();
+        form.append('key', 'text');
+        form.append('x-amz-checksum-sha1', checksum);
+        form.append('file', 'Hello!', 'post_file.txt');
+        return request
+          .post('bucket-a', {
+            baseUrl: s3Client.config.endpoint,
+            body: form,
+            headers: form.getHeaders(),
+          })
+          .catch(err => err.response);
+      };
+      let res = await post('VYsknhkufvyHjLzDsL1xOTev9us=');
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.contain('<Code>BadDigest</Code>');
+
+      res = await post('aTQsXDnlrl8Ad67MMsD4GBH7gZM=');
+      expect(res.statusCode).to.equal(204);
+      expect(await getChecksumHeaders('text')).to.eql({
+        'x-amz-checksum-sha1': 'aTQsXDnlrl8Ad67MMsD4GBH7gZM=',
+        'x-amz-checksum-type': 'FULL_OBJECT',
+      });
+    });
+
+    it('calculates composite checksums of multipart uploads', async function() {
+      const data = await withHeaders(
+        s3Client.createMultipartUpload({ Bucket: 'bucket-a', Key: 'large' }),
+        { 'x-amz-checksum-algorithm': 'SHA256' },
+      ).promise();
+      expect(data.$response.httpResponse.headers).to.have.property(
+        'x-amz-checksum-algorithm',
+        'SHA256',
+      );
+      const params = {
+        Bucket: 'bucket-a',
+        Key: 'large',
+        UploadId: data.UploadId,
+      };
+      const bodies = [Buffer.alloc(5 * Math.pow(1024, 2)), 'Hello!'];
+      const partChecksums = bodies.map(body =>
+        crypto
+          .createHash('sha256')
+          .update(body)
+          .digest(),
+      );
+
+      // the checksum is calculated for parts that don't specify it
+      const part1 = await s3Client
+        .uploadPart({ ...params, PartNumber: 1, Body: bodies[0] })
+        .promise();
+      expect(
+        part1.$response.httpResponse.headers['x-amz-checksum-sha256'],
+      ).to.equal(partChecksums[0].toString('base64'));
+      const part2 = await withHeaders(
+        s3Client.uploadPart({ ...params, PartNumber: 2, Body: bodies[1] }),
+        { 'x-amz-checksum-sha256': partChecksums[1].toString('base64') },
+      ).promise();
+      await expect(
+        withHeaders(
+          s3Client.uploadPart({ ...params, PartNumber: 3, Body: 'Hello!' }),
+          { 'x-amz-checksum-crc32': 'nSrMVg==' },
+        ).promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'InvalidRequest');
+
+      await s3Client
+        .completeMultipartUpload({
+          ...params,
+          MultipartUpload: {
+            Parts: [
+              { PartNumber: 1, ETag: part1.ETag },
+              { PartNumber: 2, ETag: part2.ETag },
+            ],
+          },
+        })
+        .promise();
+      const compositeChecksum = crypto
+        .createHash('sha256')
+        .update(Buffer.concat(partChecksums))
+        .digest('base64');
+      expect(await getChecksumHeaders('large')).to.eql({
+        'x-amz-checksum-sha256': `${compositeChecksum}-2`,
+        'x-amz-checksum-type': 'COMPOSITE',
+      });
+    });
+
+    it('calculates full object CRC64NVME checksums of multipart uploads', async function() {
+      const data = await withHeaders(
+        s3Client.createMultipartUpload({ Bucket: 'bucket-a', Key: 'large' }),
+        { 'x-amz-checksum-algorithm': 'CRC64NVME' },
+      ).promise();
+      const params = {
+        Bucket: 'bucket-a',
+        Key: 'large',
+        UploadId: data.UploadId,
+      };
+      const bodies = [Buffer.alloc(5 * Math.pow(1024, 2)), 'Hello!'];
+      const parts = [];
+      for (const [i, Body] of bodies.entries()) {
+        const { ETag } = await s3Client
+          .uploadPart({ ...params, PartNumber: i + 1, Body })
+          .promise();
+        parts.push({ PartNumber: i + 1, ETag });
+      }
+      const { $response } = await s3Client
+        .completeMultipartUpload({
+          ...params,
+          MultipartUpload: { Parts: parts },
+        })
+        .promise();
+
+      const checksum = createChecksumHash('CRC64NVME')
+        .update(bodies[0])
+        .update(Buffer.from(bodies[1]))
+        .digest('base64');
+      expect($response.httpResponse.body.toString()).to.contain(
+        `<ChecksumCRC64NVME>${checksum}</ChecksumCRC64NVME>`,
+      );
+      expect(await getChecksumHeaders('large')).to.eql({
+        'x-amz-checksum-crc64nvme': checksum,
+        'x-amz-checksum-type': 'FULL_OBJECT',
+      });
+    });
   });
 });
@@ -4,7 +4,7 @@ const { expect } = require('chai');
 const { zip } = require('lodash');
 const moment = require('moment');
 
-const { createServerAndClient } = require('../helpers');
+const { createClient, createServerAndClient } = require('../helpers');
 
 describe('Operations on the Service', () => {
   describe('GET Service', () => {
@@ -28,5 +28,43 @@ describe('Operations on the Service', () => {
         expect(moment(bucket.CreationDate).isValid()).to.be.true;
       }
     });
+
+    it("only lists the requesting account's buckets", async function() {
+      const { s3Client } = await createServerAndClient({
+        configureBuckets: buckets,
+        accounts: [
+          {
+            id: '111122223333',
+            displayName: 'alice',
+            accessKeys: [
+              { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+            ],
+          },
+        ],
+      });
+      const aliceClient = createClient(s3Client, {
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+      });
+      await aliceClient.createBucket({ Bucket: 'alice-bucket' }).promise();
+
+      const aliceData = await aliceClient.listBuckets().promise();
+      expect(aliceData.Buckets.map(bucket => bucket.Name)).to.eql([
+        'alice-bucket',
+      ]);
+      const data = await s3Client.listBuckets().promise();
+      expect(data.Buckets.map(bucket => bucket.Name)).to.eql(
+        buckets.map(bucket => bucket.name),
+      );
+    });
+
+    it('denies anonymous requests to list buckets', async function() {
+      const { s3Client } = await createServerAndClient({
+        configureBuckets: buckets,
+      });
+      await expect(
+        s3Client.makeUnauthenticatedRequest('listBuckets').promise(),
+      ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+    });
   });
 });
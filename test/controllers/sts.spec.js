@@ -0,0 +1,232 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+const { expect } = require('chai');
+const request = require('request-promise-native').defaults({
+  resolveWithFullResponse: true,
+});
+
+const AWSAccount = require('../../lib/models/account');
+
+const { createClient, createServerAndClient } = require('../helpers');
+
+describe('Security Token Service', () => {
+  let s3Client;
+  let stsConfig;
+  let stsClient;
+
+  beforeEach(async function() {
+    ({ s3Client } = await createServerAndClient({
+      configureBuckets: [{ name: 'bucket-a' }],
+      accounts: [
+        {
+          id: '111122223333',
+          displayName: 'alice',
+          accessKeys: [
+            { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+          ],
+          trustedAccounts: ['123456789000'],
+        },
+      ],
+    }));
+    stsConfig = {
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER',
+      endpoint: s3Client.endpoint.href,
+      region: 'us-east-1',
+      sslEnabled: false,
+    };
+    stsClient = new AWS.STS(stsConfig);
+  });
+
+  async function getSessionClient() {
+    const { Credentials } = await stsClient.getSessionToken().promise();
+    return createClient(s3Client, {
+      accessKeyId: Credentials.AccessKeyId,
+      secretAccessKey: Credentials.SecretAccessKey,
+      sessionToken: Credentials.SessionToken,
+    });
+  }
+
+  it('issues session credentials for the requesting account', async function() {
+    const { Credentials } = await stsClient
+      .getSessionToken({ DurationSeconds: 900 })
+      .promise();
+    expect(Credentials.AccessKeyId).to.match(/^ASIA[0-9A-F]{16}$/);
+    expect(Credentials.Expiration.getTime()).to.be.closeTo(
+      Date.now() + 900000,
+      5000,
+    );
+
+    const sessionClient = createClient(s3Client, {
+      accessKeyId: Credentials.AccessKeyId,
+      secretAccessKey: Credentials.SecretAccessKey,
+      sessionToken: Credentials.SessionToken,
+    });
+    await sessionClient
+      .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+      .promise();
+    const data = await sessionClient.listBuckets().promise();
+    expect(data.Owner.ID).to.equal('123456789000');
+  });
+
+  it('issues credentials for a role in an account that trusts the requester', async function() {
+    const { Credentials, AssumedRoleUser } = await stsClient
+      .assumeRole({
+        RoleArn: 'arn:aws:iam::111122223333:role/uploader',
+        RoleSessionName: 'test-session',
+      })
+      .promise();
+    expect(AssumedRoleUser.Arn).to.equal(
+      'arn:aws:sts::111122223333:assumed-role/uploader/test-session',
+    );
+
+    const roleClient = createClient(s3Client, {
+      accessKeyId: Credentials.AccessKeyId,
+      secretAccessKey: Credentials.SecretAccessKey,
+      sessionToken: Credentials.SessionToken,
+    });
+    await roleClient.createBucket({ Bucket: 'alice-bucket' }).promise();
+    const data = await roleClient.listBuckets().promise();
+    expect(data.Owner.ID).to.equal('111122223333');
+    expect(data.Buckets.map(bucket => bucket.Name)).to.eql(['alice-bucket']);
+  });
+
+  it('works with SDK credential providers', async function() {
+    const roleClient = createClient(s3Client, {
+      accessKeyId: undefined,
+      secretAccessKey: undefined,
+      credentials: new AWS.ChainableTemporaryCredentials({
+        params: {
+          RoleArn: 'arn:aws:iam::111122223333:role/uploader',
+          RoleSessionName: 'test-session',
+        },
+        stsConfig,
+      }),
+    });
+    const data = await roleClient.listBuckets().promise();
+    expect(data.Owner.ID).to.equal('111122223333');
+  });
+
+  it('accepts session credentials in presigned URLs', async function() {
+    await s3Client
+      .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+      .promise();
+    const sessionClient = await getSessionClient();
+    const url = sessionClient.getSignedUrl('getObject', {
+      Bucket: 'bucket-a',
+      Key: 'text',
+    });
+    expect(url).to.contain('X-Amz-Security-Token=');
+    const res = await request(url);
+    expect(res.body).to.equal('Hello!');
+  });
+
+  it('rejects session credentials without their token', async function() {
+    const sessionClient = await getSessionClient();
+    sessionClient.config.credentials.sessionToken = undefined;
+    await expect(
+      sessionClient.listObjects({ Bucket: 'bucket-a' }).promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'InvalidToken');
+  });
+
+  it('rejects session credentials with the wrong token', async function() {
+    const sessionClient = await getSessionClient();
+    sessionClient.config.credentials.sessionToken = 'wrong';
+    await expect(
+      sessionClient.listObjects({ Bucket: 'bucket-a' }).promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'InvalidToken');
+  });
+
+  it('rejects a token with long-term credentials', async function() {
+    const tokenClient = createClient(s3Client, { sessionToken: 'token' });
+    await expect(
+      tokenClient.listObjects({ Bucket: 'bucket-a' }).promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'InvalidToken');
+  });
+
+  it('rejects expired session credentials', async function() {
+    const sessionClient = await getSessionClient();
+    const { accessKeyId } = sessionClient.config.credentials;
+    AWSAccount.registry
+      .get(accessKeyId)
+      .sessions.get(accessKeyId).expiration = new Date(Date.now() - 1000);
+    await expect(
+      sessionClient.listObjects({ Bucket: 'bucket-a' }).promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'ExpiredToken');
+  });
+
+  it('rejects session credentials for GetSessionToken', async function() {
+    const { Credentials } = await stsClient.getSessionToken().promise();
+    const sessionStsClient = new AWS.STS({
+      ...stsConfig,
+      accessKeyId: Credentials.AccessKeyId,
+      secretAccessKey: Credentials.SecretAccessKey,
+      sessionToken: Credentials.SessionToken,
+    });
+    await expect(
+      sessionStsClient.getSessionToken().promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+  });
+
+  it('rejects a duration shorter than 15 minutes', async function() {
+    const err = await stsClient
+      .getSessionToken({ DurationSeconds: 60 })
+      .promise()
+      .catch(err => err);
+    expect(err.code).to.equal('ValidationError');
+    expect(err.message).to.contain('greater than or equal to 900');
+  });
+
+  it('rejects a role in an unknown account', async function() {
+    await expect(
+      stsClient
+        .assumeRole({
+          RoleArn: 'arn:aws:iam::999999999999:role/uploader',
+          RoleSessionName: 'test-session',
+        })
+        .promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+  });
+
+  it('issues credentials for a role in the requesting account', async function() {
+    const { AssumedRoleUser } = await stsClient
+      .assumeRole({
+        RoleArn: 'arn:aws:iam::123456789000:role/uploader',
+        RoleSessionName: 'test-session',
+      })
+      .promise();
+    expect(AssumedRoleUser.Arn).to.equal(
+      'arn:aws:sts::123456789000:assumed-role/uploader/test-session',
+    );
+  });
+
+  it('rejects a role in an account that does not trust the requester', async function() {
+    const aliceStsClient = new AWS.STS({
+      ...stsConfig,
+      accessKeyId: 'AKIDALICE',
+      secretAccessKey: 'alicesecret',
+    });
+    await expect(
+      aliceStsClient
+        .assumeRole({
+          RoleArn: 'arn:aws:iam::123456789000:role/uploader',
+          RoleSessionName: 'test-session',
+        })
+        .promise(),
+    ).to.eventually.be.rejected.and.have.property('code', 'AccessDenied');
+  });
+
+  it('rejects unsigned requests', async function() {
+    let res;
+    try {
+      res = await request.post(s3Client.endpoint.href, {
+        form: { Action: 'GetSessionToken', Version: '2011-06-15' },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>MissingAuthenticationToken</Code>');
+  });
+});
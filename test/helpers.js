@@ -1,6 +1,7 @@
 'use strict';
 
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const { times } = require('lodash');
 const os = require('os');
@@ -56,4 +57,161 @@ exports.createServerAndClient = async function createServerAndClient(options) {
   return { s3rver, s3Client };
 };
 
+/**
+ * Creates another client for the server of an existing client, e.g. to sign requests as a
+ * different account.
+ */
+exports.createClient = function createClient(s3Client, options) {
+  return new AWS.S3({
+    accessKeyId: 'S3RVER',
+    secretAccessKey: 'S3RVER',
+    endpoint: s3Client.endpoint.href,
+    sslEnabled: false,
+    s3ForcePathStyle: true,
+    signatureVersion: 'v4',
+    ...options,
+  });
+};
+
+/**
+ * Signs a request using aws-sdk's V4 signer and returns its headers. The payload hash is
+ * calculated from the body unless an X-Amz-Content-Sha256 header is specified.
+ */
+exports.signV4Request = function signV4Request({
+  endpoint,
+  method = 'PUT',
+  path,
+  headers = {},
+  body = '',
+  accessKeyId = 'S3RVER',
+  secretAccessKey = 'S3RVER',
+}) {
+  const httpRequest = new AWS.HttpRequest(new AWS.Endpoint(endpoint));
+  httpRequest.method = method;
+  httpRequest.path = path;
+  httpRequest.region = 'us-east-1';
+  httpRequest.body = body;
+  Object.assign(httpRequest.headers, {
+    Host: httpRequest.endpoint.host,
+    'X-Amz-Content-Sha256': crypto
+      .createHash('sha256')
+      .update(body)
+      .digest('hex'),
+    ...headers,
+  });
+  new AWS.Signers.V4(httpRequest, 's3').addAuthorization(
+    { accessKeyId, secretAccessKey },
+    new Date(),
+  );
+  return httpRequest.headers;
+};
+
+/**
+ * Builds the headers and body of a request sent with the aws-chunked content encoding, as the
+ * AWS SDKs do for streaming uploads.
+ *
+ * Chunks, and trailers if there are any, are signed with a seed signature from aws-sdk's V4 signer
+ * unless `unsigned` is set, in which case the unsigned trailer variant is used.
+ */
+exports.createAwsChunkedRequest = function createAwsChunkedRequest({
+  endpoint,
+  method = 'PUT',
+  path,
+  chunks,
+  trailers = {},
+  unsigned = false,
+  accessKeyId = 'S3RVER',
+  secretAccessKey = 'S3RVER',
+  tamper = () => {},
+}) {
+  const decodedLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const trailerNames = Object.keys(trailers);
+
+  const headers = exports.signV4Request({
+    endpoint,
+    method,
+    path,
+    headers: {
+      'Content-Encoding': 'aws-chunked',
+      'X-Amz-Decoded-Content-Length': String(decodedLength),
+      'X-Amz-Content-Sha256': unsigned
+        ? 'STREAMING-UNSIGNED-PAYLOAD-TRAILER'
+        : trailerNames.length
+        ? 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER'
+        : 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD',
+      ...(trailerNames.length && { 'X-Amz-Trailer': trailerNames.join(',') }),
+    },
+    accessKeyId,
+    secretAccessKey,
+  });
+
+  const hmac = (key, data) =>
+    crypto
+      .createHmac('sha256', key)
+      .update(data)
+      .digest();
+  const sha256 = data =>
+    crypto
+      .createHash('sha256')
+      .update(data)
+      .digest('hex');
+  const timestamp = headers['X-Amz-Date'];
+  const scope = `${timestamp.slice(0, 8)}/us-east-1/s3/aws4_request`;
+  const signingKey = scope
+    .split('/')
+    .reduce((key, part) => hmac(key, part), 'AWS4' + secretAccessKey);
+  let previousSignature = /Signature=(\w+)/.exec(headers.Authorization)[1];
+
+  const parts = [];
+  for (const chunk of [...chunks, Buffer.alloc(0)]) {
+    if (unsigned) {
+      parts.push(Buffer.from(`${chunk.length.toString(16)}\r\n`));
+    } else {
+      previousSignature = hmac(
+        signingKey,
+        [
+          'AWS4-HMAC-SHA256-PAYLOAD',
+          timestamp,
+          scope,
+          previousSignature,
+          sha256(''),
+          sha256(chunk),
+        ].join('\n'),
+      ).toString('hex');
+      parts.push(
+        Buffer.from(
+          `${chunk.length.toString(
+            16,
+          )};chunk-signature=${previousSignature}\r\n`,
+        ),
+      );
+    }
+    if (chunk.length) {
+      parts.push(chunk, Buffer.from('\r\n'));
+    }
+  }
+  const canonicalTrailers = Object.entries(trailers)
+    .map(([name, value]) => `${name}:${value}\n`)
+    .join('');
+  parts.push(Buffer.from(canonicalTrailers.replace(/\n/g, '\r\n')));
+  if (!unsigned && trailerNames.length) {
+    const trailerSignature = hmac(
+      signingKey,
+      [
+        'AWS4-HMAC-SHA256-TRAILER',
+        timestamp,
+        scope,
+        previousSignature,
+        sha256(canonicalTrailers),
+      ].join('\n'),
+    ).toString('hex');
+    parts.push(Buffer.from(`x-amz-trailer-signature:${trailerSignature}\r\n`));
+  }
+  parts.push(Buffer.from('\r\n'));
+
+  const request = { headers, body: Buffer.concat(parts) };
+  tamper(request);
+  return request;
+};
+
 exports.instances = instances;
@@ -1,6 +1,8 @@
 'use strict';
 
+const AWS = require('aws-sdk');
 const { expect } = require('chai');
+const crypto = require('crypto');
 const express = require('express');
 const fs = require('fs-extra');
 const request = require('request-promise-native').defaults({
@@ -27,6 +29,18 @@ describe('REST Authentication', () => {
     }));
   });
 
+  function createV4Client(options) {
+    return new AWS.S3({
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER',
+      endpoint: s3Client.config.endpoint,
+      sslEnabled: false,
+      s3ForcePathStyle: true,
+      signatureVersion: 'v4',
+      ...options,
+    });
+  }
+
   it('can GET a signed URL with subdomain bucket', async function() {
     await s3Client
       .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
@@ -41,7 +55,7 @@ describe('REST Authentication', () => {
     });
     const { host, pathname, searchParams } = new URL(url);
     const res = await request(new URL(pathname, s3Client.config.endpoint), {
-      qs: searchParams,
+      qs: Object.fromEntries(searchParams),
       headers: { host },
     });
     expect(res.body).to.equal('Hello!');
@@ -64,7 +78,7 @@ describe('REST Authentication', () => {
     });
     const { host, pathname, searchParams } = new URL(url);
     const res = await request(new URL(pathname, s3Client.config.endpoint), {
-      qs: searchParams,
+      qs: Object.fromEntries(searchParams),
       headers: { host },
     });
     expect(res.body).to.equal('Hello!');
@@ -198,6 +212,146 @@ describe('REST Authentication', () => {
     expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
   });
 
+  it('can use header authentication [v4]', async function() {
+    const v4Client = createV4Client();
+    await v4Client
+      .putObject({ Bucket: 'bucket-a', Key: 'some/key?', Body: 'Hello!' })
+      .promise();
+    const data = await v4Client
+      .getObject({ Bucket: 'bucket-a', Key: 'some/key?' })
+      .promise();
+    expect(data.Body.toString()).to.equal('Hello!');
+    const { Contents } = await v4Client
+      .listObjectsV2({ Bucket: 'bucket-a', Prefix: 'some/', MaxKeys: 10 })
+      .promise();
+    expect(Contents).to.have.lengthOf(1);
+  });
+
+  it('rejects a request with an incorrect signature in header [v4]', async function() {
+    const badClient = createV4Client({ secretAccessKey: 'wrong' });
+    let res;
+    try {
+      res = await request('bucket-a/mykey', {
+        baseUrl: s3Client.config.endpoint,
+        headers: badClient
+          .getObject({ Bucket: 'bucket-a', Key: 'mykey' })
+          .build().httpRequest.headers,
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+    expect(res.body).to.contain('<CanonicalRequest>GET\n/bucket-a/mykey');
+    expect(res.body).to.contain('<StringToSign>AWS4-HMAC-SHA256\n');
+  });
+
+  it('rejects a request with a tampered credential scope [v4]', async function() {
+    const v4Client = createV4Client();
+    const { headers } = v4Client
+      .getObject({ Bucket: 'bucket-a', Key: 'mykey' })
+      .build().httpRequest;
+    let res;
+    try {
+      res = await request('bucket-a/mykey', {
+        baseUrl: s3Client.config.endpoint,
+        headers: {
+          ...headers,
+          Authorization: headers.Authorization.replace(
+            '/us-east-1/',
+            '/eu-west-1/',
+          ),
+        },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+  });
+
+  it('rejects a request with a mismatched credential date [v4]', async function() {
+    let res;
+    try {
+      res = await request('bucket-a/mykey', {
+        baseUrl: s3Client.config.endpoint,
+        headers: {
+          Authorization:
+            'AWS4-HMAC-SHA256 Credential=S3RVER/20060301/us-east-1/s3/aws4_request, ' +
+            'SignedHeaders=host;x-amz-date, Signature=dummysig',
+          'X-Amz-Content-SHA256': 'UNSIGNED-PAYLOAD',
+          'X-Amz-Date': toISO8601String(Date.now()),
+        },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.contain('<Code>AuthorizationHeaderMalformed</Code>');
+  });
+
+  it('can use header authentication dated only by the Date header [v4]', async function() {
+    const now = new Date();
+    const date = toISO8601String(now).slice(0, 8);
+    const { host } = new URL(s3Client.config.endpoint);
+    const headers = {
+      Date: now.toUTCString(),
+      'X-Amz-Content-SHA256': 'UNSIGNED-PAYLOAD',
+    };
+    const canonicalRequest = [
+      'GET',
+      '/bucket-a/',
+      '',
+      `date:${headers.Date}`,
+      `host:${host}`,
+      'x-amz-content-sha256:UNSIGNED-PAYLOAD',
+      '',
+      'date;host;x-amz-content-sha256',
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+    const scope = `${date}/us-east-1/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      toISO8601String(now),
+      scope,
+      crypto
+        .createHash('sha256')
+        .update(canonicalRequest)
+        .digest('hex'),
+    ].join('\n');
+    const signingKey = [date, 'us-east-1', 's3', 'aws4_request'].reduce(
+      (key, data) =>
+        crypto
+          .createHmac('sha256', key)
+          .update(data)
+          .digest(),
+      'AWS4S3RVER',
+    );
+    const signature = crypto
+      .createHmac('sha256', signingKey)
+      .update(stringToSign)
+      .digest('hex');
+    const res = await request('bucket-a/', {
+      baseUrl: s3Client.config.endpoint,
+      headers: {
+        ...headers,
+        Authorization:
+          `AWS4-HMAC-SHA256 Credential=S3RVER/${scope}, ` +
+          `SignedHeaders=date;host;x-amz-content-sha256, Signature=${signature}`,
+      },
+    });
+    expect(res.statusCode).to.equal(200);
+    expect(res.body).to.contain('<Name>bucket-a</Name>');
+  });
+
+  it('allows mismatched signatures when configured to [v4]', async function() {
+    s3rver.allowMismatchedSignatures = true;
+    const badClient = createV4Client({ secretAccessKey: 'wrong' });
+    await badClient
+      .putObject({ Bucket: 'bucket-a', Key: 'text', Body: 'Hello!' })
+      .promise();
+  });
+
   it('rejects a request with a large time skew', async function() {
     let res;
     try {
@@ -214,6 +368,42 @@ describe('REST Authentication', () => {
     }
     expect(res.statusCode).to.equal(403);
     expect(res.body).to.contain('<Code>RequestTimeTooSkewed</Code>');
+    expect(res.body).to.contain(
+      '<MaxAllowedSkewMilliseconds>900000</MaxAllowedSkewMilliseconds>',
+    );
+  });
+
+  it('rejects a request outside a configured time skew', async function() {
+    s3rver.maxAllowedSkew = 60000;
+    const requestTime = toISO8601String(Date.now() - 2 * 60000);
+    let res;
+    try {
+      res = await request('bucket-a/mykey', {
+        baseUrl: s3Client.config.endpoint,
+        headers: {
+          Authorization: 'AWS S3RVER:dummysig',
+          'X-Amz-Date': requestTime,
+        },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>RequestTimeTooSkewed</Code>');
+    expect(res.body).to.contain(`<RequestTime>${requestTime}</RequestTime>`);
+    expect(res.body).to.contain(
+      '<MaxAllowedSkewMilliseconds>60000</MaxAllowedSkewMilliseconds>',
+    );
+  });
+
+  it('lets clients correct their clock skew and retry', async function() {
+    const skewedClient = createV4Client({
+      // 20 minutes slow
+      systemClockOffset: -20 * 60000,
+      correctClockSkew: true,
+    });
+    await skewedClient.listObjects({ Bucket: 'bucket-a' }).promise();
+    expect(skewedClient.config.systemClockOffset).to.be.within(-5000, 5000);
   });
 
   it('rejects an expired presigned request [v2]', async function() {
@@ -250,6 +440,136 @@ describe('REST Authentication', () => {
     expect(res.body).to.contain('<Code>AccessDenied</Code>');
   });
 
+  it('can GET and PUT presigned URLs [v4]', async function() {
+    const v4Client = createV4Client();
+    const putUrl = v4Client.getSignedUrl('putObject', {
+      Bucket: 'bucket-a',
+      Key: 'some key+',
+      ContentType: 'text/plain',
+      Metadata: { somekey: 'value' },
+    });
+    await request.put(putUrl, {
+      body: 'Hello!',
+      headers: { 'Content-Type': 'text/plain' },
+    });
+    const getUrl = v4Client.getSignedUrl('getObject', {
+      Bucket: 'bucket-a',
+      Key: 'some key+',
+    });
+    const res = await request(getUrl);
+    expect(res.body).to.equal('Hello!');
+    expect(res.headers).to.have.property('x-amz-meta-somekey', 'value');
+  });
+
+  it('rejects a tampered presigned URL [v4]', async function() {
+    const url = new URL(
+      createV4Client().getSignedUrl('getObject', {
+        Bucket: 'bucket-a',
+        Key: 'mykey',
+      }),
+    );
+    url.pathname = '/bucket-a/otherkey';
+    let res;
+    try {
+      res = await request(url.href);
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+  });
+
+  it('rejects a presigned URL used with the wrong method [v4]', async function() {
+    const url = createV4Client().getSignedUrl('getObject', {
+      Bucket: 'bucket-a',
+      Key: 'mykey',
+    });
+    let res;
+    try {
+      res = await request.put(url, { body: 'Hello!' });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+  });
+
+  it('rejects a presigned URL signed with another key [v4]', async function() {
+    const url = createV4Client({
+      secretAccessKey: 'wrong',
+    }).getSignedUrl('getObject', { Bucket: 'bucket-a', Key: 'mykey' });
+    let res;
+    try {
+      res = await request(url);
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+  });
+
+  it('rejects a presigned URL with altered signed headers [v4]', async function() {
+    const url = new URL(
+      createV4Client().getSignedUrl('getObject', {
+        Bucket: 'bucket-a',
+        Key: 'mykey',
+      }),
+    );
+    url.searchParams.set('X-Amz-SignedHeaders', 'host;x-amz-acl');
+    let res;
+    try {
+      res = await request(url.href, { headers: { 'x-amz-acl': 'private' } });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>SignatureDoesNotMatch</Code>');
+  });
+
+  it('rejects a presigned request with unsigned x-amz-* headers [v4]', async function() {
+    const url = createV4Client().getSignedUrl('putObject', {
+      Bucket: 'bucket-a',
+      Key: 'mykey',
+    });
+    let res;
+    try {
+      res = await request.put(url, {
+        body: 'Hello!',
+        headers: { 'x-amz-meta-unsigned': 'value' },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.contain('<Code>AccessDenied</Code>');
+    expect(res.body).to.contain(
+      '<HeadersNotSigned>x-amz-meta-unsigned</HeadersNotSigned>',
+    );
+  });
+
+  it('rejects a presigned request with a mismatched credential date [v4]', async function() {
+    let res;
+    try {
+      res = await request('bucket-a/mykey', {
+        baseUrl: s3Client.config.endpoint,
+        qs: {
+          'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+          'X-Amz-Credential': 'S3RVER/20060301/us-east-1/s3/aws4_request',
+          'X-Amz-SignedHeaders': 'host',
+          'X-Amz-Signature': 'dummysig',
+          'X-Amz-Date': toISO8601String(Date.now()),
+          'X-Amz-Expires': 20,
+        },
+      });
+    } catch (err) {
+      res = err.response;
+    }
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.contain(
+      '<Code>AuthorizationQueryParametersError</Code>',
+    );
+  });
+
   it('rejects a presigned request with an invalid expiration [v4]', async function() {
     // aws-sdk unfortunately doesn't expose a way to set the timestamp of the request to presign
     // so we have to construct a mostly-valid request ourselves
@@ -381,7 +701,7 @@ describe('REST Authentication', () => {
     });
     const { host, pathname, searchParams } = new URL(url);
     const res = await request(new URL(pathname, s3Client.config.endpoint), {
-      qs: searchParams,
+      qs: Object.fromEntries(searchParams),
       headers: { host },
     });
     expect(res.body).to.equal('Hello!');
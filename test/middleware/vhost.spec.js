@@ -2,6 +2,7 @@
 
 const { expect } = require('chai');
 const xmlParser = require('fast-xml-parser');
+const fs = require('fs-extra');
 const { zip } = require('lodash');
 const he = require('he');
 const moment = require('moment');
@@ -10,10 +11,28 @@ const request = require('request-promise-native').defaults({
   resolveWithFullResponse: true,
 });
 
-const { createServerAndClient } = require('../helpers');
+const { createServerAndClient, signV4Request } = require('../helpers');
 
 describe('Virtual Host resolution', () => {
-  const buckets = [{ name: 'bucket-a' }, { name: 'bucket-b' }];
+  const buckets = [
+    // anonymous requests may only list public buckets
+    {
+      name: 'bucket-a',
+      configs: [
+        fs.readFileSync(require.resolve('../fixtures/acl-public-read.xml')),
+      ],
+    },
+    { name: 'bucket-b' },
+  ];
+
+  // listing buckets requires a signed request
+  const signHost = (endpoint, host) =>
+    signV4Request({
+      endpoint,
+      method: 'GET',
+      path: '/',
+      headers: { Host: host },
+    });
 
   it('lists objects with subdomain-domain style bucket access', async function() {
     const { s3Client } = await createServerAndClient({
@@ -41,7 +60,7 @@ describe('Virtual Host resolution', () => {
       configureBuckets: buckets,
     });
     const res = await request(s3Client.config.endpoint, {
-      headers: { host: 'bucket-a' },
+      headers: signHost(s3Client.config.endpoint, 'bucket-a'),
     });
     const parsedBody = xmlParser.parse(res.body, {
       tagValueProcessor: a => he.decode(a),
@@ -62,7 +81,7 @@ describe('Virtual Host resolution', () => {
       configureBuckets: buckets,
     });
     const res = await request(s3Client.config.endpoint, {
-      headers: { host: 's3.example.com' },
+      headers: signHost(s3Client.config.endpoint, 's3.example.com'),
     });
     const parsedBody = xmlParser.parse(res.body, {
       tagValueProcessor: a => he.decode(a),
@@ -82,7 +101,7 @@ describe('Virtual Host resolution', () => {
       configureBuckets: buckets,
     });
     const res = await request(s3Client.config.endpoint, {
-      headers: { host: os.hostname() },
+      headers: signHost(s3Client.config.endpoint, os.hostname()),
     });
     const parsedBody = xmlParser.parse(res.body, {
       tagValueProcessor: a => he.decode(a),
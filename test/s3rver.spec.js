@@ -5,6 +5,7 @@ const { expect } = require('chai');
 const express = require('express');
 const FormData = require('form-data');
 const fs = require('fs-extra');
+const http = require('http');
 const md5 = require('md5');
 const request = require('request-promise-native').defaults({
   resolveWithFullResponse: true,
@@ -73,9 +74,93 @@ describe('S3rver', () => {
         await server.close();
       }
     });
+
+    it('accepts requests signed with the key pairs of configured accounts', async function() {
+      const { s3Client } = await createServerAndClient({
+        accounts: [
+          {
+            id: '111122223333',
+            displayName: 'alice',
+            accessKeys: [
+              { accessKeyId: 'AKIDALICE1', secretAccessKey: 'alicesecret1' },
+              { accessKeyId: 'AKIDALICE2', secretAccessKey: 'alicesecret2' },
+            ],
+          },
+        ],
+      });
+      for (const accessKeyId of ['AKIDALICE1', 'AKIDALICE2']) {
+        const aliceClient = new AWS.S3({
+          accessKeyId,
+          secretAccessKey: accessKeyId.replace('AKIDALICE', 'alicesecret'),
+          endpoint: s3Client.endpoint.href,
+          sslEnabled: false,
+          s3ForcePathStyle: true,
+          signatureVersion: 'v4',
+        });
+        const data = await aliceClient.listBuckets().promise();
+        expect(data.Owner).to.eql({ ID: '111122223333', DisplayName: 'alice' });
+      }
+      const data = await s3Client.listBuckets().promise();
+      expect(data.Owner).to.eql({ ID: '123456789000', DisplayName: 'S3rver' });
+    });
   });
 
   describe('#close', () => {
+    it('stops accepting the credentials of its accounts after close', async function() {
+      const server = new S3rver({
+        accounts: [
+          {
+            id: '111122223333',
+            displayName: 'alice',
+            accessKeys: [
+              { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+            ],
+          },
+        ],
+      });
+      const { port } = await server.run();
+      const endpoint = `http://localhost:${port}`;
+      let sessionCredentials;
+      try {
+        const stsClient = new AWS.STS({
+          accessKeyId: 'S3RVER',
+          secretAccessKey: 'S3RVER',
+          endpoint,
+          region: 'us-east-1',
+          sslEnabled: false,
+        });
+        ({
+          Credentials: sessionCredentials,
+        } = await stsClient.getSessionToken().promise());
+      } finally {
+        await server.close();
+      }
+
+      const { s3Client } = await createServerAndClient();
+      for (const credentials of [
+        { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+        {
+          accessKeyId: sessionCredentials.AccessKeyId,
+          secretAccessKey: sessionCredentials.SecretAccessKey,
+          sessionToken: sessionCredentials.SessionToken,
+        },
+      ]) {
+        const client = new AWS.S3({
+          ...credentials,
+          endpoint: s3Client.endpoint.href,
+          sslEnabled: false,
+          s3ForcePathStyle: true,
+          signatureVersion: 'v4',
+        });
+        await expect(
+          client.listBuckets().promise(),
+        ).to.eventually.be.rejected.and.have.property(
+          'code',
+          'InvalidAccessKeyId',
+        );
+      }
+    });
+
     it('cleans up after close if the resetOnClose setting is true', async function() {
       const bucket = { name: 'foobars' };
 
@@ -168,6 +253,9 @@ describe('S3rver', () => {
     });
 
     it('triggers a Post event', async function() {
+      await s3Client
+        .putBucketAcl({ Bucket: 'bucket-a', ACL: 'public-read-write' })
+        .promise();
       const eventPromise = once(s3rver, 'event');
       const body = 'Hello!';
 
@@ -280,4 +368,62 @@ describe('S3rver', () => {
       await once(httpServer, 'close');
     }
   });
+
+  it('accepts requests signed with the key pairs of configured accounts when used as middleware', async function() {
+    const s3rver = new S3rver({
+      accounts: [
+        {
+          id: '111122223333',
+          displayName: 'alice',
+          accessKeys: [
+            { accessKeyId: 'AKIDALICE', secretAccessKey: 'alicesecret' },
+          ],
+        },
+      ],
+    });
+    const httpServer = http.createServer(s3rver.getMiddleware()).listen(0);
+    await once(httpServer, 'listening');
+
+    try {
+      const { port } = httpServer.address();
+      const aliceClient = new AWS.S3({
+        accessKeyId: 'AKIDALICE',
+        secretAccessKey: 'alicesecret',
+        endpoint: `http://localhost:${port}`,
+        sslEnabled: false,
+        s3ForcePathStyle: true,
+        signatureVersion: 'v4',
+      });
+      const data = await aliceClient.listBuckets().promise();
+      expect(data.Owner).to.eql({ ID: '111122223333', DisplayName: 'alice' });
+
+      await s3rver.close();
+      await expect(
+        aliceClient.listBuckets().promise(),
+      ).to.eventually.be.rejected.and.have.property(
+        'code',
+        'InvalidAccessKeyId',
+      );
+    } finally {
+      httpServer.close();
+      await once(httpServer, 'close');
+    }
+  });
+
+  it('applies lifecycle configurations periodically when used as middleware', async function() {
+    const s3rver = new S3rver({ lifecycleInterval: 10 });
+    let runs = 0;
+    const applied = new Promise(resolve => {
+      s3rver.runLifecycle = async () => {
+        runs++;
+        resolve();
+      };
+    });
+    s3rver.getMiddleware();
+    await applied;
+    await s3rver.close();
+    const runsBeforeClose = runs;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(runs).to.equal(runsBeforeClose);
+  });
 });